@@ -0,0 +1,622 @@
+/* ===========================================
+    POP LOGIC - SIMULATION ENGINE
+    ===========================================
+
+    The balloon outcome math shared by every screen that runs an AI
+    strategy. Nothing in here touches the DOM, timers or localStorage:
+    each function takes plain data and returns plain data, so the same
+    code drives the Level 2 and Level 3 conveyors in the browser and can
+    be loaded with require() by teacher tools and tests running in Node.
+
+    CORE IDEAS:
+    ===========
+    - A "stream" is a seeded random source ({ state }) that can be saved
+      and restored, so identical seeds always give identical balloons
+    - A "result" describes one processed balloon and doubles as the event
+      the screens render from (conveyor balloon, explosion, score)
+    - "stats" are the per-colour { score, pops, count, pumps } totals the
+      performance monitors read
+    - A "learner" is a bot's per-colour rule that improves from results
+    - A "bandit player" is one student's or bot's pulls on the Level 4
+      balloon machines, with the regret it has built up
+*/
+(function (root, factory) {
+    const engine = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = engine;
+    } else {
+        root.PopLogicEngine = engine;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Balloons behave exactly as configured at 20°C; every 2°C away from
+    // that moves both ends of their pop range by 1%
+    const DEFAULT_TEMPERATURE_SCALING = { baseline: 20, percentPerDegree: 0.5 };
+
+    // --- Seeded Random Streams ---
+
+    // FNV-1a hash - turns any seed text into a 32-bit starting state
+    function hashSeed(seed) {
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    function createRandomStream(seed, name) {
+        return { state: hashSeed(`${seed}:${name}`) };
+    }
+
+    // Mulberry32 - small and fast, plenty for game outcomes
+    function nextRandom(stream) {
+        stream.state = (stream.state + 0x6D2B79F5) >>> 0;
+        let t = stream.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    function randomInt(stream, min, max) {
+        return Math.floor(nextRandom(stream) * (max - min + 1)) + min;
+    }
+
+    // --- Balloon Generation ---
+
+    /**
+     * Picks a balloon type from a weighted distribution such as
+     * { red: 0.3, blue: 0.3, green: 0.2, yellow: 0.2 }.
+     * Weights don't need to add up to 1.
+     */
+    function pickBalloonType(stream, distribution) {
+        const types = Object.keys(distribution).filter(type => distribution[type] > 0);
+        const totalWeight = types.reduce((sum, type) => sum + distribution[type], 0);
+        const rand = nextRandom(stream) * totalWeight;
+        let cumulative = 0;
+        for (const type of types) {
+            cumulative += distribution[type];
+            if (rand < cumulative) return type;
+        }
+        return types[types.length - 1];
+    }
+
+    /**
+     * Shrinks (hot) or stretches (cold) a pop range around the baseline
+     * temperature. scaling: { baseline, percentPerDegree }
+     */
+    function getTemperatureRange(range, temperature, scaling = DEFAULT_TEMPERATURE_SCALING) {
+        if (temperature === undefined || temperature === null) return [...range];
+        const percentChange = Math.round((temperature - scaling.baseline) * scaling.percentPerDegree);
+        const min = Math.max(1, Math.round(range[0] * (1 - percentChange / 100)));
+        const max = Math.max(min + 1, Math.round(range[1] * (1 - percentChange / 100)));
+        return [min, max];
+    }
+
+    /**
+     * A copy of config with each type's pop range moved by up to maxShift
+     * pumps either way - the same factory on a different day, for
+     * held-out batches that don't quite match the training data.
+     */
+    function shiftConfigRanges(config, stream, maxShift) {
+        const shifted = {};
+        Object.keys(config).forEach(type => {
+            const offset = randomInt(stream, -maxShift, maxShift);
+            const min = Math.max(1, config[type].range[0] + offset);
+            shifted[type] = { ...config[type], range: [min, Math.max(min + 1, config[type].range[1] + offset)] };
+        });
+        return shifted;
+    }
+
+    function drawBalloon(stream, options) {
+        const type = pickBalloonType(stream, options.distribution);
+        const range = getTemperatureRange(options.config[type].range, options.temperature, options.temperatureScaling);
+        return { type, maxPumps: randomInt(stream, range[0], range[1]) };
+    }
+
+    // --- Scoring ---
+
+    /**
+     * The factory's golden rule: pumping past a balloon's capacity pops it
+     * and earns nothing, otherwise every pump is worth $1.
+     */
+    function resolveBalloon(balloon, pumps) {
+        const popped = pumps > balloon.maxPumps;
+        return {
+            type: balloon.type,
+            maxPumps: balloon.maxPumps,
+            pumps: pumps,
+            popped: popped,
+            score: popped ? 0 : pumps
+        };
+    }
+
+    /**
+     * Draws the next balloon and runs the strategy against it.
+     * The returned result is the event the screens render.
+     */
+    function simulateBalloon(stream, options) {
+        const balloon = drawBalloon(stream, options);
+        const target = options.strategy[balloon.type] || 0;
+        if (!options.sampling) return resolveBalloon(balloon, target);
+        const pumps = sampleBoltzmannPumps(options.sampling.stream, target, options.sampling.temperature, options.sampling.min, options.sampling.max);
+        return { ...resolveBalloon(balloon, pumps), target };
+    }
+
+    // --- Sampling Temperature ---
+    /*
+        How a language model picks its next word, applied to pump counts:
+        every candidate count from min to max gets a score (the further
+        from the strategy's setting, the lower), and a softmax turns the
+        scores into probabilities, p(k) ∝ exp(-|k - target| / T).
+        At temperature 0 the bot always picks the setting; as T rises the
+        distribution flattens and it takes more varied, riskier choices.
+    */
+    function getBoltzmannDistribution(target, temperature, min, max) {
+        const candidates = [];
+        for (let pumps = min; pumps <= max; pumps++) candidates.push(pumps);
+        if (!(temperature > 0)) {
+            const greedy = Math.min(max, Math.max(min, target));
+            return candidates.map(pumps => ({ pumps, probability: pumps === greedy ? 1 : 0 }));
+        }
+        // Subtracting the largest logit keeps exp() from underflowing at low temperatures
+        const logits = candidates.map(pumps => -Math.abs(pumps - target) / temperature);
+        const largest = Math.max(...logits);
+        const weights = logits.map(logit => Math.exp(logit - largest));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return candidates.map((pumps, i) => ({ pumps, probability: weights[i] / total }));
+    }
+
+    function sampleBoltzmannPumps(stream, target, temperature, min, max) {
+        const distribution = getBoltzmannDistribution(target, temperature, min, max);
+        const rand = nextRandom(stream);
+        let cumulative = 0;
+        for (const candidate of distribution) {
+            cumulative += candidate.probability;
+            if (rand < cumulative) return candidate.pumps;
+        }
+        return distribution[distribution.length - 1].pumps;
+    }
+
+    // --- Expected Value Model ---
+    /*
+        A balloon's capacity is drawn uniformly from its [min, max] range,
+        so the true odds of any pump setting can be worked out exactly:
+        it pops when the capacity is below the setting.
+    */
+    function getPopProbability(range, pumps) {
+        const outcomes = range[1] - range[0] + 1;
+        return Math.min(outcomes, Math.max(0, pumps - range[0])) / outcomes;
+    }
+
+    function getExpectedScore(range, pumps) {
+        return pumps * (1 - getPopProbability(range, pumps));
+    }
+
+    // [{ pumps, popProbability, expectedScore }] for 0..maxPumps
+    function getExpectedValueCurve(range, maxPumps) {
+        const curve = [];
+        for (let pumps = 0; pumps <= maxPumps; pumps++) {
+            curve.push({ pumps, popProbability: getPopProbability(range, pumps), expectedScore: getExpectedScore(range, pumps) });
+        }
+        return curve;
+    }
+
+    // Best pump setting for a range; ties go to the safer (lower) setting
+    function getOptimalPumps(range) {
+        let best = { pumps: 0, expectedScore: 0 };
+        for (let pumps = 1; pumps <= range[1]; pumps++) {
+            const expectedScore = getExpectedScore(range, pumps);
+            if (expectedScore > best.expectedScore + 1e-9) best = { pumps, expectedScore };
+        }
+        return best;
+    }
+
+    // --- Statistics ---
+
+    function createStats(types) {
+        const stats = {};
+        types.forEach(type => {
+            stats[type] = { score: 0, pops: 0, count: 0, pumps: 0 };
+        });
+        return stats;
+    }
+
+    function recordResult(stats, result) {
+        if (!stats[result.type]) stats[result.type] = { score: 0, pops: 0, count: 0, pumps: 0 };
+        const stat = stats[result.type];
+        stat.count++;
+        if (result.popped) {
+            stat.pops++;
+        } else {
+            stat.score += result.score;
+            stat.pumps += result.pumps;
+        }
+        return stats;
+    }
+
+    function summarizeStats(stats) {
+        const performance = {};
+        let totalScore = 0;
+        let totalPops = 0;
+        let totalCount = 0;
+        Object.keys(stats).forEach(type => {
+            const stat = stats[type];
+            performance[type] = {
+                avgScore: stat.count > 0 ? stat.score / stat.count : 0,
+                popRate: stat.count > 0 ? (stat.pops / stat.count) * 100 : 0,
+                count: stat.count
+            };
+            totalScore += stat.score;
+            totalPops += stat.pops;
+            totalCount += stat.count;
+        });
+        return {
+            performance,
+            totalScore,
+            totalCount,
+            overallPopRate: totalCount > 0 ? (totalPops / totalCount) * 100 : 0,
+            overallAvgScore: totalCount > 0 ? totalScore / totalCount : 0
+        };
+    }
+
+    /**
+     * How sure a strategy can be about the next balloon of a colour, from
+     * that colour's results so far: near 1 when nearly every one popped or
+     * nearly every one survived, 0.5 for a coin toss or no data at all.
+     * priorCount imaginary coin-toss balloons stop a few lucky results
+     * from looking certain.
+     */
+    function estimateConfidence(stat, priorCount = 4) {
+        const count = stat ? stat.count : 0;
+        const pops = stat ? stat.pops : 0;
+        const popRate = (pops + priorCount / 2) / (count + priorCount);
+        return Math.max(popRate, 1 - popRate);
+    }
+
+    /**
+     * Runs a whole batch headlessly.
+     * options: { strategy, config, distribution, count, temperature?,
+     *            temperatureScaling?, drift?, startIndex?, stream? | seed?,
+     *            stats?, onResult? }
+     * Pass an existing stream/stats (and the startIndex reached, when the
+     * batch drifts) to continue a run part-way through.
+     */
+    function simulateBatch(options) {
+        const stream = options.stream || createRandomStream(options.seed, 'batch');
+        const stats = options.stats || createStats(Object.keys(options.config));
+        const results = [];
+        let totalEarned = 0;
+        for (let i = 0; i < options.count; i++) {
+            const result = simulateBalloon(stream, getDriftedOptions(options, (options.startIndex || 0) + i));
+            recordResult(stats, result);
+            totalEarned += result.score;
+            results.push(result);
+            if (options.onResult) options.onResult(result, i);
+        }
+        return { results, stats, totalEarned };
+    }
+
+    // --- Concept Drift ---
+    /*
+        Partway through a batch the factory changes under the strategy:
+        a "range" drift shrinks one colour's pop range so it pops sooner,
+        a "mix" drift makes one colour most of the balloons. A drift is
+        { scenario, at, type } and applies from balloon index `at` on.
+        The detector only sees outcomes, like a real monitoring system.
+    */
+    const DRIFT_RANGE_FACTOR = 0.5;   // A drifted pop range keeps this share of its size
+    const DRIFT_MIX_WEIGHT = 3;       // A drifted colour outweighs all the others together this many times
+
+    function createDrift(stream, scenario, types, batchSize) {
+        return {
+            scenario,
+            at: randomInt(stream, Math.round(batchSize * 0.3), Math.round(batchSize * 0.5)),
+            type: types[randomInt(stream, 0, types.length - 1)]
+        };
+    }
+
+    // The balloon options in force for balloon `index` - options.drift may be unset
+    function getDriftedOptions(options, index) {
+        const drift = options.drift;
+        if (!drift || index < drift.at || !options.config[drift.type]) return options;
+        if (drift.scenario === 'range') {
+            const range = options.config[drift.type].range;
+            const min = Math.max(1, Math.round(range[0] * DRIFT_RANGE_FACTOR));
+            const config = { ...options.config, [drift.type]: { ...options.config[drift.type], range: [min, Math.max(min + 1, Math.round(range[1] * DRIFT_RANGE_FACTOR))] } };
+            return { ...options, config };
+        }
+        const others = Object.keys(options.distribution).filter(type => type !== drift.type)
+            .reduce((sum, type) => sum + options.distribution[type], 0);
+        return { ...options, distribution: { ...options.distribution, [drift.type]: Math.max(others, 1) * DRIFT_MIX_WEIGHT } };
+    }
+
+    /**
+     * Compares each colour's recent pop rate with its earlier one.
+     * outcomes: [{ type, popped }] oldest first. options: { window,
+     * minEarlier, threshold } - rates are 0-1. The 'all' entry does the
+     * same over every balloon with twice the window, which is where a
+     * mix change shows up.
+     * Returns the changes of at least `threshold`, biggest first:
+     * [{ type, earlierRate, recentRate, change }]
+     */
+    function detectDrift(outcomes, options) {
+        const { window, minEarlier, threshold } = options;
+        const groups = { all: outcomes };
+        outcomes.forEach(outcome => {
+            if (!groups[outcome.type]) groups[outcome.type] = [];
+            groups[outcome.type].push(outcome);
+        });
+        const popRate = list => list.filter(outcome => outcome.popped).length / list.length;
+        return Object.keys(groups).map(type => {
+            const list = groups[type];
+            const size = type === 'all' ? window * 2 : window;
+            if (list.length < size + minEarlier) return null;
+            const earlierRate = popRate(list.slice(0, -size));
+            const recentRate = popRate(list.slice(-size));
+            return { type, earlierRate, recentRate, change: recentRate - earlierRate };
+        }).filter(entry => entry && Math.abs(entry.change) >= threshold)
+            .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+    }
+
+    // --- Threshold Learner ---
+    /*
+        The Level 1 "machine learner": one stopping threshold per colour,
+        learned only from the feedback a player gets. A balloon that
+        survives proves the colour holds at least that many pumps, so the
+        learner pushes one pump further next time; a pop reveals exactly
+        where the balloon gave out, so it drops back to just below that.
+    */
+    const LEARNER_START_THRESHOLD = 3;
+
+    function createThresholdLearner(types) {
+        const thresholds = {};
+        types.forEach(type => { thresholds[type] = LEARNER_START_THRESHOLD; });
+        return { thresholds, history: [] };
+    }
+
+    function getLearnerThreshold(learner, type) {
+        if (learner.thresholds[type] === undefined) learner.thresholds[type] = LEARNER_START_THRESHOLD;
+        return learner.thresholds[type];
+    }
+
+    /**
+     * Plays one balloon with the learner's current threshold for its
+     * colour and learns from the outcome. Returns the resolved result
+     * plus the thresholds before and after.
+     */
+    function playLearnerBalloon(learner, balloon) {
+        const before = getLearnerThreshold(learner, balloon.type);
+        const result = resolveBalloon(balloon, before);
+        const after = result.popped ? Math.max(1, balloon.maxPumps - 1) : before + 1;
+        learner.thresholds[balloon.type] = after;
+        const entry = { ...result, thresholdBefore: before, thresholdAfter: after };
+        learner.history.push(entry);
+        return entry;
+    }
+
+    // --- Multi-Armed Bandit ---
+    /*
+        Level 4's balloon machines. Every machine has a hidden pop range
+        drawn like a balloon type's, and every pull inflates one balloon
+        with the same fixed number of pumps: it pays that many dollars if
+        the balloon holds and nothing if it pops. A "player" (the student
+        or a bot) pulls machines one at a time; each machine has its own
+        seeded stream per player, so the n-th pull of a machine gives
+        everyone the identical balloon.
+
+        Regret is the expected dollars lost by not pulling the best
+        machine every time - the yardstick for exploration strategies.
+    */
+    function drawMachineRanges(stream, count, limits) {
+        const ranges = [];
+        for (let i = 0; i < count; i++) {
+            const min = randomInt(stream, limits.min[0], limits.min[1]);
+            ranges.push([min, min + randomInt(stream, limits.span[0], limits.span[1])]);
+        }
+        return ranges;
+    }
+
+    // options: { seed, name, ranges, pumps }
+    function createBanditPlayer(options) {
+        return {
+            streams: options.ranges.map((_, i) => createRandomStream(options.seed, `${options.name}-machine-${i}`)),
+            counts: options.ranges.map(() => 0),
+            totals: options.ranges.map(() => 0),
+            history: [],
+            earned: 0,
+            regret: 0
+        };
+    }
+
+    /**
+     * Pulls one machine for a player and records the result. Returns the
+     * history entry: { machine, maxPumps, pumps, popped, score, regret }
+     * where regret is the running total after this pull.
+     */
+    function pullMachine(player, machine, ranges, pumps) {
+        const range = ranges[machine];
+        const result = resolveBalloon({ type: machine, maxPumps: randomInt(player.streams[machine], range[0], range[1]) }, pumps);
+        const best = Math.max(...ranges.map(r => getExpectedScore(r, pumps)));
+        player.counts[machine]++;
+        player.totals[machine] += result.score;
+        player.earned += result.score;
+        player.regret += best - getExpectedScore(range, pumps);
+        const entry = { machine, maxPumps: result.maxPumps, pumps, popped: result.popped, score: result.score, regret: player.regret };
+        player.history.push(entry);
+        return entry;
+    }
+
+    const getMachineAverage = (player, machine) => player.counts[machine] > 0 ? player.totals[machine] / player.counts[machine] : 0;
+
+    function pickBestAverage(player, scoreOf) {
+        let best = 0;
+        player.counts.forEach((_, machine) => {
+            if (scoreOf(machine) > scoreOf(best)) best = machine;
+        });
+        return best;
+    }
+
+    /**
+     * The machine a bandit bot pulls next. Both policies first try every
+     * machine once. Epsilon-greedy then exploits the best average, except
+     * that a fraction epsilon of pulls goes to a random machine. UCB1
+     * pulls the machine with the highest optimistic estimate - its
+     * average plus a bonus that shrinks the more it has been tried.
+     * options: { policy: 'epsilon-greedy' | 'ucb', epsilon, stream, maxReward }
+     */
+    function chooseBanditMachine(player, options) {
+        const untried = player.counts.indexOf(0);
+        if (untried !== -1) return untried;
+        if (options.policy === 'ucb') {
+            const pulls = player.counts.reduce((sum, count) => sum + count, 0);
+            return pickBestAverage(player, machine => getMachineAverage(player, machine) +
+                options.maxReward * Math.sqrt(2 * Math.log(pulls) / player.counts[machine]));
+        }
+        if (nextRandom(options.stream) < options.epsilon) return randomInt(options.stream, 0, player.counts.length - 1);
+        return pickBestAverage(player, machine => getMachineAverage(player, machine));
+    }
+
+    // --- Strategy Search ---
+
+    /**
+     * Total earned by a strategy on a fixed batch. options.stream is the
+     * batch's starting stream and is copied, so every candidate sees the
+     * identical balloons.
+     */
+    function evaluateStrategy(strategy, options) {
+        return simulateBatch({ ...options, strategy, stream: { ...options.stream } }).totalEarned;
+    }
+
+    function* gridCandidates(types, min, max, budget) {
+        const perType = Math.max(2, Math.floor(Math.pow(budget, 1 / types.length)));
+        const values = [];
+        for (let i = 0; i < perType; i++) values.push(Math.round(min + (max - min) * i / (perType - 1)));
+        const digits = types.map(() => 0);
+        while (true) {
+            const candidate = {};
+            types.forEach((type, i) => { candidate[type] = values[digits[i]]; });
+            yield candidate;
+            let i = 0;
+            while (i < digits.length && ++digits[i] === values.length) digits[i++] = 0;
+            if (i === digits.length) return;
+        }
+    }
+
+    function* randomCandidates(types, min, max, stream) {
+        while (true) {
+            const candidate = {};
+            types.forEach(type => { candidate[type] = randomInt(stream, min, max); });
+            yield candidate;
+        }
+    }
+
+    /**
+     * Searches the strategy space and yields one record per evaluated
+     * candidate: { candidate, earned, best, bestEarned, evaluations }.
+     * options: { method: 'grid' | 'random' | 'hill', types, min, max,
+     *            budget, evaluate(strategy) -> earned, stream }
+     * Hill climbing starts in the middle, tries +/- step on each colour,
+     * moves to any improvement, halves the step when stuck and restarts
+     * from a random point once the step falls below 1.
+     */
+    function* searchStrategies(options) {
+        const { method, types, min, max, budget, evaluate, stream } = options;
+        let best = null;
+        let bestEarned = -Infinity;
+        let evaluations = 0;
+        const tryCandidate = (candidate) => {
+            const earned = evaluate(candidate);
+            evaluations++;
+            if (earned > bestEarned) {
+                best = candidate;
+                bestEarned = earned;
+            }
+            return { candidate, earned, best, bestEarned, evaluations };
+        };
+
+        if (method === 'grid' || method === 'random') {
+            const candidates = method === 'grid'
+                ? gridCandidates(types, min, max, budget)
+                : randomCandidates(types, min, max, stream);
+            for (const candidate of candidates) {
+                if (evaluations >= budget) return;
+                yield tryCandidate(candidate);
+            }
+            return;
+        }
+
+        let current = {};
+        types.forEach(type => { current[type] = Math.round((min + max) / 2); });
+        let record = tryCandidate(current);
+        let currentEarned = record.earned;
+        yield record;
+        let step = Math.max(1, Math.round((max - min) / 4));
+        while (evaluations < budget) {
+            let improved = false;
+            for (const type of types) {
+                for (const direction of [1, -1]) {
+                    if (evaluations >= budget) return;
+                    const value = Math.min(max, Math.max(min, current[type] + direction * step));
+                    if (value === current[type]) continue;
+                    const neighbour = { ...current, [type]: value };
+                    record = tryCandidate(neighbour);
+                    yield record;
+                    if (record.earned > currentEarned) {
+                        current = neighbour;
+                        currentEarned = record.earned;
+                        improved = true;
+                    }
+                }
+            }
+            if (!improved) step = Math.floor(step / 2);
+            if (step < 1) {
+                current = randomCandidates(types, min, max, stream).next().value;
+                record = tryCandidate(current);
+                currentEarned = record.earned;
+                yield record;
+                step = Math.max(1, Math.round((max - min) / 4));
+            }
+        }
+    }
+
+    return {
+        DEFAULT_TEMPERATURE_SCALING,
+        hashSeed,
+        createRandomStream,
+        nextRandom,
+        randomInt,
+        pickBalloonType,
+        getTemperatureRange,
+        shiftConfigRanges,
+        drawBalloon,
+        resolveBalloon,
+        simulateBalloon,
+        getBoltzmannDistribution,
+        sampleBoltzmannPumps,
+        getPopProbability,
+        getExpectedScore,
+        getExpectedValueCurve,
+        getOptimalPumps,
+        createStats,
+        recordResult,
+        summarizeStats,
+        estimateConfidence,
+        simulateBatch,
+        createDrift,
+        getDriftedOptions,
+        detectDrift,
+        evaluateStrategy,
+        searchStrategies,
+        createThresholdLearner,
+        getLearnerThreshold,
+        playLearnerBalloon,
+        drawMachineRanges,
+        createBanditPlayer,
+        pullMachine,
+        getMachineAverage,
+        chooseBanditMachine
+    };
+});
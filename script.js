@@ -52,6 +52,7 @@ const startGameBtn = document.getElementById('start-game-btn');
 const selectL1Btn = document.getElementById('select-l1-btn');
 const selectL2Btn = document.getElementById('select-l2-btn');
 const selectL3Btn = document.getElementById('select-l3-btn');
+const selectL4Btn = document.getElementById('select-l4-btn');
 const resetProgressBtn = document.getElementById('reset-progress-btn');
 const tutorialOverlay = document.getElementById('tutorial-overlay');
 const tutorialBox = document.getElementById('tutorial-box');
@@ -72,23 +73,35 @@ const mainDescription = document.getElementById('main-description');
     (represented as balloon colors) that the AI must learn to process.
     Each color represents a different type of input data with varying
     complexity and risk levels - simulating real-world AI training scenarios.
+    
+    These values make up the built-in "Classic" level pack. Loading another
+    pack (see LEVEL PACKS below) replaces them.
+
+    Every screen (sliders, stats, monitors, history, strategy cards) is
+    generated from this object, so a new balloon type is one entry here:
+        name       label shown on screen (defaults to the capitalised key)
+        color      Tailwind colour of the balloon itself
+        textColor  Tailwind colour for labels (defaults to color)
+        range      [min, max] pumps before it pops
+        chartColor CSS colour for charts
+        sliders    optional per-level slider overrides, e.g. { l3: { value: 8 } }
 */
-const BALLOON_CONFIG = {
+let BALLOON_CONFIG = {
     // RED BALLOONS: High-value, moderate risk data
     // Represents important but predictable data patterns
-    red: { color: 'red-500', range: [6, 12], chartColor: '#EF4444' },
+    red: { name: 'Red', color: 'red-500', textColor: 'red-400', range: [6, 12], chartColor: '#EF4444', sliders: { l3: { value: 8 } } },
     
     // BLUE BALLOONS: Low-risk, consistent data
     // Represents reliable, stable data patterns
-    blue: { color: 'blue-400', range: [4, 6], chartColor: '#60A5FA' },
+    blue: { name: 'Blue', color: 'blue-400', textColor: 'blue-400', range: [4, 6], chartColor: '#60A5FA', sliders: { l3: { value: 5 } } },
     
     // GREEN BALLOONS: Variable risk data
     // Represents data with moderate unpredictability
-    green: { color: 'green-400', range: [2, 8], chartColor: '#4ADE80' },
+    green: { name: 'Green', color: 'green-400', textColor: 'green-400', range: [2, 8], chartColor: '#4ADE80', sliders: { l3: { value: 6 } } },
     
     // YELLOW BALLOONS: High-risk, unpredictable data
     // Represents noisy, unreliable data that can mislead AI
-    yellow: { color: 'yellow-400', range: [1, 20], chartColor: '#FBBF24' },
+    yellow: { name: 'Yellow', color: 'yellow-400', textColor: 'yellow-400', range: [1, 20], chartColor: '#FBBF24', sliders: { l3: { value: 10, max: 30 } } },
 };
 
 /* ===========================================
@@ -100,11 +113,178 @@ const BALLOON_CONFIG = {
     3. Mix with green and yellow (variable/unpredictable) - challenges assumptions
     This simulates how AI learns from structured training data.
 */
-const L1_SEQUENCE = ['red', 'red', 'red', 'red', 'blue', 'blue', 'blue', 'blue', 'green', 'red', 'blue', 'green', 'red', 'blue', 'green'];
+let L1_SEQUENCE = ['red', 'red', 'red', 'red', 'blue', 'blue', 'blue', 'blue', 'green', 'red', 'blue', 'green', 'red', 'blue', 'green'];
+
+// Mix of balloon types arriving on the Level 2 and Level 3 conveyors
+let L2_DISTRIBUTION = { red: 0.3, blue: 0.3, green: 0.2, yellow: 0.2 };
+let L3_DISTRIBUTION = { red: 0.3, blue: 0.3, green: 0.2, yellow: 0.2 };
+
+// Strategy slider limits per level; BALLOON_CONFIG[type].sliders can override them
+const STRATEGY_SLIDER_DEFAULTS = {
+    l2: { min: 0, max: 15, value: 0 },
+    l3: { min: 1, max: 25, value: 5 }
+};
+
+// Balloons processed in one Level 2 test run (simulating batch processing)
+let L2_BATCH_SIZE = 100;
+
+// How strongly the factory temperature squeezes or stretches pop ranges in Level 3
+let L3_TEMPERATURE_SCALING = { ...PopLogicEngine.DEFAULT_TEMPERATURE_SCALING };
+
+/* ===========================================
+    LEVEL PACKS - TEACHER-AUTHORED VARIANTS
+    ===========================================
+    A level pack is a JSON file in packs/ (format: packs/level-pack.schema.json)
+    describing balloon types (any number, see AI TRAINING DATA CONFIGURATION
+    above for the fields), pop ranges, the Level 1 sequence, conveyor
+    distributions, batch size, temperature scaling and tutorial/slide text.
+    Teachers can author variants like "only two colours" or "extremely
+    noisy green" without touching code. Choose one on the mode screen or
+    with ?pack=<id>; the built-in Classic pack needs no network at all.
+*/
+const LEVEL_PACK_URL_PARAM = 'pack';
+const DEFAULT_LEVEL_PACK_ID = 'default';
+
+const DEFAULT_LEVEL_PACK = JSON.parse(JSON.stringify({
+    id: DEFAULT_LEVEL_PACK_ID,
+    name: 'Classic Balloon Factory',
+    balloons: BALLOON_CONFIG,
+    level1: { sequence: L1_SEQUENCE },
+    level2: { distribution: L2_DISTRIBUTION, batchSize: L2_BATCH_SIZE },
+    level3: { distribution: L3_DISTRIBUTION, temperature: L3_TEMPERATURE_SCALING }
+}));
+
+// Built-in tutorial and slide text, captured before any pack overrides it
+let defaultPackText = null;
 
 // --- Game State Management - AI Learning Progress Tracking ---
 let gameState;
 
+/* ===========================================
+    STUDENT PROFILES - SHARED CLASSROOM DEVICES
+    ===========================================
+    Several students can keep separate progress on one browser. The
+    registry (popLogicProfiles) lists the profiles and which is active;
+    each profile's game state and event log live under their own keys,
+    namespaced with the profile id, so unlocked levels, tutorials, best
+    scores and strategies never leak from one student to the next.
+*/
+const PROFILE_REGISTRY_KEY = 'popLogicProfiles';
+const PROFILE_NAME_MAX_LENGTH = 30;
+// Keys used before profiles existed; their contents become the first profile
+const LEGACY_STORAGE_KEYS = { state: 'popLogicState', eventLog: 'popLogicEventLog' };
+
+let profileRegistry = loadProfileRegistry();
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+function createProfileId() {
+    return `p-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function loadProfileRegistry() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILE_REGISTRY_KEY));
+        if (saved && Array.isArray(saved.profiles) && saved.profiles.length > 0) {
+            if (!saved.profiles.some(profile => profile.id === saved.activeId)) saved.activeId = saved.profiles[0].id;
+            return saved;
+        }
+    } catch (err) {
+        // A damaged registry is rebuilt below; the profiles' own saves are untouched
+    }
+    const profile = { id: createProfileId(), name: 'Player 1', createdAt: Date.now() };
+    Object.keys(LEGACY_STORAGE_KEYS).forEach(kind => {
+        const legacy = localStorage.getItem(LEGACY_STORAGE_KEYS[kind]);
+        if (legacy === null) return;
+        localStorage.setItem(`${LEGACY_STORAGE_KEYS[kind]}:${profile.id}`, legacy);
+        localStorage.removeItem(LEGACY_STORAGE_KEYS[kind]);
+    });
+    const registry = { activeId: profile.id, profiles: [profile] };
+    localStorage.setItem(PROFILE_REGISTRY_KEY, JSON.stringify(registry));
+    return registry;
+}
+
+function saveProfileRegistry() {
+    localStorage.setItem(PROFILE_REGISTRY_KEY, JSON.stringify(profileRegistry));
+}
+
+const getActiveProfile = () => profileRegistry.profiles.find(profile => profile.id === profileRegistry.activeId);
+const getStateStorageKey = (profileId = profileRegistry.activeId) => `${LEGACY_STORAGE_KEYS.state}:${profileId}`;
+const getEventLogStorageKey = (profileId = profileRegistry.activeId) => `${LEGACY_STORAGE_KEYS.eventLog}:${profileId}`;
+
+function askProfileName(message, current = '') {
+    const name = prompt(message, current);
+    if (name === null) return null;
+    const trimmed = name.trim().slice(0, PROFILE_NAME_MAX_LENGTH);
+    if (!trimmed) return null;
+    if (profileRegistry.profiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase() && profile.name !== current)) {
+        alert(t('menu.profileExists', { name: trimmed }));
+        return null;
+    }
+    return trimmed;
+}
+
+function createProfile() {
+    const name = askProfileName(t('menu.newProfile'));
+    if (!name) return;
+    const profile = { id: createProfileId(), name, createdAt: Date.now() };
+    profileRegistry.profiles.push(profile);
+    switchProfile(profile.id);
+}
+
+function renameProfile() {
+    const profile = getActiveProfile();
+    const name = askProfileName(t('menu.renameProfile'), profile.name);
+    if (!name) return;
+    profile.name = name;
+    saveProfileRegistry();
+    renderProfilePicker();
+}
+
+async function deleteProfile() {
+    const profile = getActiveProfile();
+    if (profileRegistry.profiles.length === 1) {
+        alert(t('menu.onlyProfile'));
+        return;
+    }
+    if (!confirm(t('confirm.deleteProfile', { name: profile.name }))) return;
+    // Switch away first - switching saves the profile being left
+    await switchProfile(profileRegistry.profiles.find(p => p.id !== profile.id).id);
+    localStorage.removeItem(getStateStorageKey(profile.id));
+    localStorage.removeItem(getSaveBackupKey(profile.id));
+    localStorage.removeItem(getEventLogStorageKey(profile.id));
+    profileRegistry.profiles = profileRegistry.profiles.filter(p => p.id !== profile.id);
+    saveProfileRegistry();
+    renderProfilePicker();
+}
+
+/**
+ * Saves the current student's progress and loads another profile's,
+ * including its level pack.
+ */
+async function switchProfile(profileId) {
+    if (gameState.l2.isRunning) toggleL2Simulation();
+    if (gameState.l3.isRunning) toggleL3Simulation();
+    saveGameState();
+    saveEventLog();
+    profileRegistry.activeId = profileId;
+    saveProfileRegistry();
+    eventLog = loadEventLog();
+    initGame();
+    renderProfilePicker();
+    await loadSelectedLevelPack();
+    await loadSelectedLanguage();
+    startGlobalBanner();
+}
+
+function renderProfilePicker() {
+    const select = document.getElementById('profile-select');
+    select.innerHTML = profileRegistry.profiles.map(profile => `<option value="${profile.id}">${escapeHtml(profile.name)}</option>`).join('');
+    select.value = profileRegistry.activeId;
+    document.getElementById('profile-display').textContent = getActiveProfile().name;
+}
+
+
 /* ===========================================
     GAME STATE STRUCTURE - AI LEARNING TRACKING
     ===========================================
@@ -117,23 +297,49 @@ function getDefaultGameState() {
         // Level progression tracking
         unlockedLevels: 1,
         
+        // Seed shared by every balloon stream (set from the URL or by the teacher)
+        seed: null,
+        
+        // Class session joined from the teacher dashboard ({ code, name, studentId, serverUrl })
+        classSession: null,
+        
+        // Level pack the levels are built from (packs/<id>.json, or the built-in 'default')
+        levelPack: 'default',
+        
+        // Message catalogue the game is shown in (locales/<id>.json, or the built-in 'en')
+        language: 'en',
+        
+        // Single-key keyboard shortcuts (P, B, S, E, 1-4) - a student can turn them off
+        shortcuts: true,
+        
+        // End-of-level quiz attempts ({ at, score, total, answers }) per level
+        quiz: { l1: [], l2: [], l3: [] },
+        
             // Tutorial progress for each level
-            tutorial: { l1: 0, l2: 0, l3: 0 },
+            tutorial: { l1: 0, l2: 0, l3: 0, l4: 0 },
         // LEVEL 1: Pattern Recognition & Data Bias Detection
         l1: { 
             stats: {},           // Personal performance statistics per color
             balloonIndex: 0,     // Current position in training sequence
-            history: [],         // Last 8 balloon interactions for pattern analysis
+            history: [],         // Recent balloon interactions for pattern analysis (newest first)
+            contextWindow: 0,    // Balloons the Personal Data remembers (0 = unlimited)
             isPopping: false,    // Animation state control
             strategy: {},        // Player's learned strategies
-            bestScore: 0         // Best performance tracking
+            bestScore: 0,        // Best performance tracking
+            bot: { enabled: false, learner: null }  // Optional machine learner opponent
         },
         
         // LEVEL 2: Human-in-the-Loop AI Training
         l2: { 
             stats: {},           // AI performance metrics per color
             processedCount: 0,   // Number of balloons processed by AI
+            rng: null,           // Seeded balloon stream, restarted for every test run
             strategy: {},        // AI configuration parameters (pump settings)
+            series: { earned: [], popRate: {} },  // Per-balloon chart data for the current run
+            totalEarned: 0,      // $ earned in the current run
+            split: { enabled: false, shifted: false },  // Train/test split - also score strategies on hidden balloons
+            drift: { scenario: 'none', event: null, outcomes: [], alerts: [] },  // Concept drift scenario and detector state for the current run
+            review: { enabled: false, threshold: 70, pending: [], human: null, auto: null, runMs: 0 },  // Human review queue for low-confidence balloons in the current run
             pastStrategies: []  // Historical AI strategies for comparison
         },
         
@@ -141,75 +347,346 @@ function getDefaultGameState() {
         l3: { 
             stats: {},           // AI performance under different conditions
             totalScore: 0,       // Cumulative score across all conditions
+            processedCount: 0,   // Balloons produced since the last reset
             processedSinceChartUpdate: 0,  // Chart update frequency control
             temperature: 20,     // Current AI temperature (affects creativity/stability)
+            rng: null,           // Seeded balloon stream for continuous production
+            weatherRng: null,    // Seeded stream for temperature changes
+            samplingRng: null,   // Seeded stream for the bot's sampled pump choices
+            recent: [],          // Last few results, for the rolling chart averages
+            timeline: [],        // Sampled temperature / score / pop rate points for the chart
+            bandStats: {},       // Results per weather band (blizzard ... extreme heat)
+            policy: { enabled: false, rows: {} },  // Pump settings per weather band, if the student uses one
+            sampling: { enabled: false, temperature: 1, histogram: {} },  // Model temperature mode and the pumps it chose
             strategy: {}         // AI parameters adapted to environmental conditions
+        },
+        
+        // LEVEL 4: Exploration vs. Exploitation (multi-armed balloon bandit)
+        l4: {
+            round: 0,            // Which set of machines - Play Again draws the next set from the seed
+            ranges: [],          // Hidden pop range of every machine
+            player: null,        // The student's pulls ({ streams, counts, totals, history, earned, regret })
+            bot: { enabled: false, policy: 'epsilon-greedy', player: null, rng: null },  // Optional bandit bot
+            bestScore: 0         // Best total over all rounds
         }
     };
 }
 
 function resetAllProgress() {
-    localStorage.removeItem('popLogicState');
+    if (confirm(t('confirm.backupBeforeReset'))) exportProgress();
+    localStorage.removeItem(getStateStorageKey());
+    clearEventLog();
     initGame();
+    // The fresh game is on the Classic pack, so rebuild the balloon types and their stats for it
+    applyLevelPack(DEFAULT_LEVEL_PACK);
+    resetPackProgress();
+    setLevelPackStatus('');
+    populateLevelPackSelect();
+    // The language is a preference, not progress - keep it
+    gameState.language = activeLanguage.id;
+    saveGameState();
     goToLevelSelect();
 }
 
+/* ===========================================
+    SAVE SCHEMA - VERSIONED, WHITELISTED SAVES
+    ===========================================
+    Saves carry a schemaVersion. Loading runs the save through
+    SAVE_MIGRATIONS in order, keeps only the PERSISTED_FIELDS and fills
+    anything missing from getDefaultGameState(), so new fields never need
+    ad-hoc patches. Runtime-only values (interval ids, isRunning, the
+    balloon on screen) are never written. A save that can't be read is
+    copied to a backup key and the game starts fresh instead of failing.
+*/
+const SAVE_SCHEMA_VERSION = 1;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && isFinite(value);
+// Balloon type keys, in saves and level packs alike - they end up in
+// element ids and Tailwind class names
+const BALLOON_KEY_PATTERN = /^[a-z]{1,20}$/;
+
+const PERSISTED_FIELDS = {
+    root: ['unlockedLevels', 'seed', 'classSession', 'levelPack', 'tutorial', 'quiz', 'language', 'shortcuts'],
+    l1: ['stats', 'balloonIndex', 'history', 'contextWindow', 'strategy', 'bestScore', 'bot'],
+    l2: ['stats', 'processedCount', 'totalEarned', 'rng', 'strategy', 'series', 'split', 'drift', 'review', 'pastStrategies'],
+    l3: ['stats', 'totalScore', 'processedCount', 'processedSinceChartUpdate', 'temperature', 'rng', 'weatherRng',
+        'samplingRng', 'recent', 'timeline', 'bandStats', 'policy', 'sampling', 'strategy'],
+    l4: ['round', 'ranges', 'player', 'bot', 'bestScore']
+};
+
+/*
+    SAVE_MIGRATIONS[n] upgrades a version n save to version n + 1.
+    Fields that were simply added over time don't need a migration -
+    the defaults fill them in.
+*/
+const SAVE_MIGRATIONS = [
+    // 0 -> 1: saves from before versioning. Early stats entries could lack
+    // pops or pumps; give every entry the full engine shape
+    (save) => {
+        ['l1', 'l2', 'l3'].forEach(level => {
+            const stats = save[level] && save[level].stats;
+            if (!isPlainObject(stats)) return;
+            Object.keys(stats).forEach(type => {
+                stats[type] = { score: 0, pops: 0, count: 0, pumps: 0, ...stats[type] };
+            });
+        });
+        return { ...save, schemaVersion: 1 };
+    }
+];
+
+const getSaveBackupKey = (profileId = profileRegistry.activeId) => `${getStateStorageKey(profileId)}:backup`;
+
+function pickPersistedFields(source, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (source && source[field] !== undefined) picked[field] = source[field];
+    });
+    return picked;
+}
+
 function saveGameState() {
-    const stateToSave = JSON.parse(JSON.stringify(gameState));
-    if (stateToSave.l2) delete stateToSave.l2.chart;
-    if (stateToSave.l3) delete stateToSave.l3.chart;
-    localStorage.setItem('popLogicState', JSON.stringify(stateToSave));
+    const save = { schemaVersion: SAVE_SCHEMA_VERSION, ...pickPersistedFields(gameState, PERSISTED_FIELDS.root) };
+    ['l1', 'l2', 'l3', 'l4'].forEach(level => { save[level] = pickPersistedFields(gameState[level], PERSISTED_FIELDS[level]); });
+    localStorage.setItem(getStateStorageKey(), JSON.stringify(save));
+}
+
+/*
+    The defaults describe the shape of every nested field as well. An
+    object default with fields of its own ({ scenario, event, ... }) is
+    filled in field by field, keeping the default wherever the save has
+    the wrong type; an empty object or list default accepts any contents.
+    Fields whose default is null have no shape to compare against, so
+    they are checked by NULLABLE_SHAPES, and the lists the game reads
+    back item by item drop any item that fails SAVED_LIST_ITEMS.
+*/
+const isRandomStream = (value) => isPlainObject(value) && isFiniteNumber(value.state);
+const isNumberList = (value) => Array.isArray(value) && value.every(isFiniteNumber);
+const hasNumbers = (value, fields) => isPlainObject(value) && fields.every(field => isFiniteNumber(value[field]));
+
+function isBanditPlayer(value) {
+    return hasNumbers(value, ['earned', 'regret'])
+        && Array.isArray(value.streams) && value.streams.every(isRandomStream)
+        && isNumberList(value.counts) && value.counts.length === value.streams.length
+        && isNumberList(value.totals) && value.totals.length === value.streams.length
+        && Array.isArray(value.history) && value.history.every(entry => hasNumbers(entry, ['machine', 'score', 'regret']));
+}
+
+const NULLABLE_SHAPES = {
+    seed: (value) => typeof value === 'string',
+    classSession: (value) => isPlainObject(value) && ['code', 'name', 'studentId', 'serverUrl'].every(field => typeof value[field] === 'string'),
+    'l1.bot.learner': (value) => isPlainObject(value) && isStrategyMap(value.thresholds) && Array.isArray(value.history),
+    'l2.rng': isRandomStream,
+    'l2.drift.event': (value) => hasNumbers(value, ['at']) && ['range', 'mix'].includes(value.scenario) && BALLOON_KEY_PATTERN.test(value.type),
+    'l2.review.human': (value) => hasNumbers(value, ['count', 'correct', 'aiCorrect', 'earned']),
+    'l2.review.auto': (value) => hasNumbers(value, ['count', 'correct', 'earned']),
+    'l3.rng': isRandomStream,
+    'l3.weatherRng': isRandomStream,
+    'l3.samplingRng': isRandomStream,
+    'l4.player': isBanditPlayer,
+    'l4.bot.player': isBanditPlayer,
+    'l4.bot.rng': isRandomStream
+};
+
+const isQuizAttempt = (attempt) => hasNumbers(attempt, ['at', 'score', 'total']) && attempt.total > 0
+    && Array.isArray(attempt.answers) && attempt.answers.every(answer => isPlainObject(answer) && typeof answer.concept === 'string' && typeof answer.correct === 'boolean');
+
+const SAVED_LIST_ITEMS = {
+    'l1.history': (entry) => hasNumbers(entry, ['pumps']) && BALLOON_KEY_PATTERN.test(entry.type) && typeof entry.popped === 'boolean',
+    'quiz.l1': isQuizAttempt,
+    'quiz.l2': isQuizAttempt,
+    'quiz.l3': isQuizAttempt,
+    'l2.pastStrategies': isStrategyRecord,
+    'l2.drift.alerts': (alert) => hasNumbers(alert, ['at']) && (alert.type === 'all' || BALLOON_KEY_PATTERN.test(alert.type)),
+    'l4.ranges': (range) => isNumberList(range) && range.length === 2
+};
+
+// The saved value for `path` in the shape of its default, falling back to the default
+function matchDefaultShape(fallback, value, path) {
+    if (fallback === null || fallback === undefined) {
+        const isValid = NULLABLE_SHAPES[path];
+        return value === null || !isValid || isValid(value) ? value : fallback;
+    }
+    if (typeof value !== typeof fallback || Array.isArray(value) !== Array.isArray(fallback) || value === null) return fallback;
+    if (Array.isArray(value)) return SAVED_LIST_ITEMS[path] ? value.filter(SAVED_LIST_ITEMS[path]) : value;
+    if (!isPlainObject(fallback) || Object.keys(fallback).length === 0) return value;
+    const matched = { ...value };
+    Object.keys(fallback).forEach(field => {
+        matched[field] = field in value ? matchDefaultShape(fallback[field], value[field], `${path}.${field}`) : fallback[field];
+    });
+    return matched;
+}
+
+/**
+ * Turns a parsed save of any version into a full game state. Throws if
+ * the save is unusable.
+ */
+function restoreSave(save) {
+    if (!isPlainObject(save)) throw new Error('the save is not an object');
+    let version = save.schemaVersion || 0;
+    if (!Number.isInteger(version) || version < 0) throw new Error(`unknown save version ${save.schemaVersion}`);
+    // A save from a newer game skips the migrations and is loaded as far as this version understands it
+    while (version < SAVE_SCHEMA_VERSION) {
+        save = SAVE_MIGRATIONS[version](save);
+        version = save.schemaVersion;
+    }
+
+    const state = getDefaultGameState();
+    const copyFields = (target, source, fields, prefix) => {
+        Object.entries(pickPersistedFields(source, fields)).forEach(([field, value]) => {
+            // Keep the default when a value has the wrong shape (e.g. a list where an object belongs)
+            target[field] = matchDefaultShape(target[field], value, prefix + field);
+        });
+    };
+    copyFields(state, save, PERSISTED_FIELDS.root, '');
+    ['l1', 'l2', 'l3', 'l4'].forEach(level => {
+        if (isPlainObject(save[level])) copyFields(state[level], save[level], PERSISTED_FIELDS[level], `${level}.`);
+    });
+
+    const errors = [];
+    ['l1', 'l2', 'l3'].forEach(level => validateStats(state[level].stats, `${level}.stats`, errors));
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    return state;
 }
 
 function loadGameState() {
-    const savedState = localStorage.getItem('popLogicState');
-    if (savedState) {
-        gameState = JSON.parse(savedState);
-        if (!gameState.tutorial) gameState.tutorial = { l1: 0, l2: 0, l3: 0 };
-        if (!gameState.l1.bestScore) gameState.l1.bestScore = 0;
-        if (!gameState.l2.pastStrategies) gameState.l2.pastStrategies = [];
-    } else {
+    const key = getStateStorageKey();
+    const savedState = localStorage.getItem(key);
+    if (!savedState) {
+        gameState = getDefaultGameState();
+        return;
+    }
+    try {
+        gameState = restoreSave(JSON.parse(savedState));
+        saveGameState(); // Write back in the current schema
+    } catch (err) {
+        // Keep the unreadable save so nothing is lost, then start fresh
+        localStorage.setItem(getSaveBackupKey(), JSON.stringify({ backedUpAt: new Date().toISOString(), reason: err.message, save: savedState }));
         gameState = getDefaultGameState();
+        saveGameState();
+        setProgressFileStatus(t('progress.damaged'), true);
     }
 }
 
 function initGame() {
     loadGameState();
+    const urlSeed = getSeedFromUrl();
+    if (urlSeed && urlSeed !== gameState.seed) {
+        setGameSeed(urlSeed);
+    } else if (!gameState.seed) {
+        setGameSeed(generateSeed());
+    } else {
+        if (!gameState.l3.rng) gameState.l3.rng = createRandomStream(gameState.seed, 'l3');
+        if (!gameState.l3.weatherRng) gameState.l3.weatherRng = createRandomStream(gameState.seed, 'l3-weather');
+        if (!gameState.l3.samplingRng) gameState.l3.samplingRng = createRandomStream(gameState.seed, 'l3-sampling');
+        if (gameState.l4.ranges.length === 0) resetL4Machines(gameState.l4.round);
+        updateSeedDisplay();
+    }
     ['l1', 'l2', 'l3'].forEach(level => {
-            if (!gameState[level] || !gameState[level].stats || !gameState[level].stats.red) {
+            if (!gameState[level] || !gameState[level].stats || Object.keys(gameState[level].stats).length === 0) {
             resetStats(level);
             }
     });
     if (gameState.l2) gameState.l2.isRunning = false;
     if (gameState.l3) gameState.l3.isRunning = false;
+    updateClassPanel();
+    renderShortcutSetting();
 }
 
 function resetStats(level) {
-    const statsTemplate = { score: 0, pops: 0, count: 0, pumps: 0 };
-    gameState[level].stats = {
-        red: {...statsTemplate},
-        blue: {...statsTemplate},
-        green: {...statsTemplate},
-        yellow: {...statsTemplate}
-    };
+    gameState[level].stats = PopLogicEngine.createStats(getBalloonTypes());
         gameState[level].strategy = {};
     if (level === 'l1') {
             gameState.l1.history = [];
+            if (gameState.l1.bot) gameState.l1.bot.learner = null;
             gameState.l1.balloonIndex = 0;
             gameState.l1.isPopping = false;
     }
     if (level === 'l2') {
         gameState.l2.processedCount = 0;
+        gameState.l2.series = { earned: [], popRate: {} };
     }
         if (level === 'l3') {
         gameState.l3.totalScore = 0;
         gameState.l3.processedSinceChartUpdate = 0;
+        gameState.l3.recent = [];
+        gameState.l3.timeline = [];
+        gameState.l3.bandStats = {};
+        gameState.l3.policy = { enabled: false, rows: {} };
+        gameState.l3.sampling = { enabled: false, temperature: 1, histogram: {} };
         gameState.l3.temperature = 20;
+        gameState.l3.rng = createRandomStream(gameState.seed, 'l3');
+        gameState.l3.weatherRng = createRandomStream(gameState.seed, 'l3-weather');
+        gameState.l3.samplingRng = createRandomStream(gameState.seed, 'l3-sampling');
     }
 }
 
 // --- Utility Functions ---
-const getRandomInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+// Pass a seeded stream for anything that affects balloon outcomes; without one
+// this falls back to Math.random() (fine for particles and other visual effects)
+const getRandomInt = (min, max, stream) => Math.floor((stream ? nextRandom(stream) : Math.random()) * (max - min + 1)) + min;
+
+// --- Balloon Type Helpers ---
+const getBalloonTypes = () => Object.keys(BALLOON_CONFIG);
+const getBalloonName = (type) => BALLOON_CONFIG[type].name || type.charAt(0).toUpperCase() + type.slice(1);
+const getBalloonTextColor = (type) => BALLOON_CONFIG[type].textColor || BALLOON_CONFIG[type].color;
+
+function getSliderSettings(level, type) {
+    const overrides = (BALLOON_CONFIG[type].sliders || {})[level];
+    return { ...STRATEGY_SLIDER_DEFAULTS[level], ...overrides };
+}
+
+/* ===========================================
+    SEEDED RANDOMNESS - REPRODUCIBLE EXPERIMENTS
+    ===========================================
+    Every balloon outcome is drawn from a seeded stream so that a whole
+    class can play the identical balloon sequence and compare strategies
+    fairly. Streams are plain objects ({ state }) so they survive being
+    saved to localStorage along with the rest of the game state.
+*/
+const SEED_URL_PARAM = 'seed';
+
+// The stream implementation lives in engine.js so headless tools share it
+const { createRandomStream, nextRandom } = PopLogicEngine;
+
+function generateSeed() {
+    return Math.random().toString(36).slice(2, 8).toUpperCase();
+}
+
+function getSeedFromUrl() {
+    const seed = new URLSearchParams(window.location.search).get(SEED_URL_PARAM);
+    return seed && seed.trim() ? seed.trim() : null;
+}
+
+// Level 1 derives each balloon from its position so reloading mid-level
+// (or replaying) always produces the same balloon at the same index
+function getL1BalloonStream(index) {
+    return createRandomStream(gameState.seed, `l1:${index}`);
+}
+
+function setGameSeed(seed) {
+    gameState.seed = String(seed).trim() || generateSeed();
+    gameState.l2.rng = createRandomStream(gameState.seed, 'l2');
+    gameState.l3.rng = createRandomStream(gameState.seed, 'l3');
+    gameState.l3.weatherRng = createRandomStream(gameState.seed, 'l3-weather');
+    gameState.l3.samplingRng = createRandomStream(gameState.seed, 'l3-sampling');
+    resetL4Machines(0);
+    updateSeedDisplay();
+}
+
+function updateSeedDisplay() {
+    const seedDisplay = document.getElementById('seed-display');
+    const seedInput = document.getElementById('seed-input');
+    if (seedDisplay) seedDisplay.textContent = gameState.seed;
+    if (seedInput && document.activeElement !== seedInput) seedInput.value = gameState.seed;
+}
+
+function applyTeacherSeed() {
+    const seedInput = document.getElementById('seed-input');
+    if (!seedInput) return;
+    setGameSeed(seedInput.value);
+    saveGameState();
+}
 
 // --- Custom Tooltip Functions ---
 function showTooltip(text, x, y) {
@@ -284,13 +761,108 @@ const showScreen = (screenId) => {
     }
 };
 
-// --- Global Banner Update ---
-setInterval(() => {
-    document.getElementById('global-red').textContent = parseInt(document.getElementById('global-red').textContent) + getRandomInt(1, 5);
-    document.getElementById('global-blue').textContent = parseInt(document.getElementById('global-blue').textContent) + getRandomInt(0, 3);
-    document.getElementById('global-green').textContent = parseInt(document.getElementById('global-green').textContent) + getRandomInt(0, 2);
-    document.getElementById('global-gold').textContent = parseInt(document.getElementById('global-gold').textContent) + getRandomInt(0, 1);
-}, 2000);
+// --- Global Banner - Player Data ---
+/* ===========================================
+    GLOBAL PLAYER DATA - DATA BIAS LESSON
+    ===========================================
+    The banner shows real aggregated yields ($ pumped per colour) from a
+    pluggable data source. A teacher can inject bias - per-colour
+    multipliers that deliberately skew the published numbers - so the
+    "Should you trust it?" tutorial step has something real to uncover.
+
+        ?globalData=file       data/global-yields.json (default outside a class)
+        ?globalData=server     live class totals (default after joining a class)
+        ?globalData=recorded   data/recorded-yields.json, played back over time
+        ?bias=red:3,green:0.5  skews file/recorded data (class server bias is
+                               set on the teacher dashboard instead)
+*/
+const GLOBAL_DATA_REFRESH_MS = 5000;
+
+let globalBannerTimer = null;
+let recordedYields = null;
+let recordedSnapshotIndex = 0;
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+    return response.json();
+}
+
+function getBiasFromUrl() {
+    const bias = {};
+    const param = new URLSearchParams(window.location.search).get('bias');
+    (param || '').split(',').forEach(pair => {
+        const [color, multiplier] = pair.split(':');
+        if (color && !isNaN(parseFloat(multiplier))) bias[color.trim()] = parseFloat(multiplier);
+    });
+    return bias;
+}
+
+// Multiplies each colour's total by its bias (missing colours stay unbiased)
+function applyBiasInjection(totals, bias) {
+    const published = {};
+    Object.keys(totals).forEach(color => {
+        published[color] = Math.round(totals[color] * (bias && bias[color] !== undefined ? bias[color] : 1));
+    });
+    return published;
+}
+
+const GLOBAL_DATA_SOURCES = {
+    file: async () => {
+        const data = await fetchJson('data/global-yields.json');
+        return applyBiasInjection(data.totals, { ...data.bias, ...getBiasFromUrl() });
+    },
+    // The class server publishes numbers already skewed by the teacher's bias
+    server: async () => {
+        const session = gameState.classSession;
+        const serverUrl = session ? session.serverUrl : getClassServerUrl();
+        const query = session ? `?session=${encodeURIComponent(session.code)}` : '';
+        const data = await fetchJson(`${serverUrl}/api/global${query}`);
+        return data.totals;
+    },
+    // Cumulative snapshots from a past run, advanced one step per refresh
+    recorded: async () => {
+        if (!recordedYields) recordedYields = await fetchJson('data/recorded-yields.json');
+        const snapshots = recordedYields.snapshots;
+        const snapshot = snapshots[Math.min(recordedSnapshotIndex, snapshots.length - 1)];
+        recordedSnapshotIndex++;
+        return applyBiasInjection(snapshot.totals, { ...recordedYields.bias, ...getBiasFromUrl() });
+    }
+};
+
+function getGlobalDataSourceName() {
+    const requested = new URLSearchParams(window.location.search).get('globalData');
+    if (requested && GLOBAL_DATA_SOURCES[requested]) return requested;
+    return gameState.classSession ? 'server' : 'file';
+}
+
+async function refreshGlobalBanner() {
+    const sourceName = getGlobalDataSourceName();
+    const sourceLabel = document.getElementById('global-source');
+    try {
+        const totals = await GLOBAL_DATA_SOURCES[sourceName]();
+        getBalloonTypes().forEach(color => {
+            const el = document.getElementById(`global-${color}`);
+            if (el) el.textContent = formatMoney(totals[color] || 0);
+        });
+        sourceLabel.textContent = `(${t(`banner.source.${sourceName}`)})`;
+    } catch (err) {
+        // Keep the last numbers on screen - the data is only a hint anyway
+        sourceLabel.textContent = `(${t('banner.source.unavailable')})`;
+    }
+}
+
+function buildGlobalBanner() {
+    document.getElementById('global-totals').innerHTML = getBalloonTypes().map(color =>
+        `<div><span class="font-bold text-${getBalloonTextColor(color)}">${escapeHtml(getBalloonName(color).toUpperCase())}:</span> <span id="global-${color}">–</span></div>`
+    ).join('');
+}
+
+function startGlobalBanner() {
+    clearInterval(globalBannerTimer);
+    refreshGlobalBanner();
+    globalBannerTimer = setInterval(refreshGlobalBanner, GLOBAL_DATA_REFRESH_MS);
+}
 
 // --- Explosion Animation ---
 function createExplosion(container, color) {
@@ -314,111 +886,1028 @@ function createExplosion(container, color) {
     }
 }
 
-// --- Tutorial System ---
-const tutorialHighlight = document.getElementById('tutorial-highlight');
+/* ===========================================
+    LOCALIZATION - MESSAGE CATALOGUES
+    ===========================================
+    Player-facing text is looked up by key with t('key', { params }) so
+    the game can be played in the student's own language. English is
+    built in below and is the fallback for any key a catalogue is
+    missing; other languages are JSON catalogues in locales/<id>.json
+    (listed in locales/index.json) that also give the number locale,
+    currency and text direction. The choice is saved per profile and can
+    be linked with ?lang=<id>.
 
-function showTutorialStep(steps, level) {
-    // Ensure tutorial level exists in game state
-    if (!gameState.tutorial[level]) {
-        gameState.tutorial[level] = 0;
-        saveGameState();
-    }
-    
-    const stepIndex = gameState.tutorial[level];
-    if (stepIndex >= steps.length) {
-        tutorialOverlay.style.display = 'none';
-        return;
-    }
-    tutorialOverlay.style.display = 'block';
+    Static markup opts in with data-i18n="key" (text) or
+    data-i18n-html="key" (markup from the catalogue).
+*/
+const LANGUAGE_URL_PARAM = 'lang';
+const DEFAULT_LANGUAGE_ID = 'en';
 
-    const step = steps[stepIndex];
-    const targetElement = document.querySelector(step.element);
-    
-    if (!targetElement) {
-            gameState.tutorial[level]++;
-            saveGameState();
-            showTutorialStep(steps, level);
-            return;
-    }
+const DEFAULT_LANGUAGE = {
+    id: DEFAULT_LANGUAGE_ID,
+    name: 'English',
+    locale: 'en-US',
+    currency: 'USD',
+    dir: 'ltr',
+    messages: {
+        // Banner and main menu
+        'banner.title': 'TOTAL $ PUMPED BY PLAYERS',
+        'banner.player': 'PLAYER:',
+        'banner.seed': 'SEED:',
+        'banner.playerHint': 'Switch profiles on the main menu',
+        'banner.seedHint': 'Everyone using this seed gets the same balloons',
+        'banner.source.file': 'sample data',
+        'banner.source.server': 'your class',
+        'banner.source.recorded': 'recorded class',
+        'banner.source.unavailable': 'data unavailable',
+        'menu.subtitle': 'Welcome to the Balloon Factory',
+        'menu.intro': "You're the new AI engineer at PopLogic Balloon Factory! Your mission is to maximize yield by training AI systems to pump balloons perfectly. Each balloon has a secret maximum capacity - pump too little and you miss profit, pump too much and it pops!",
+        'menu.rule': '"Pump and Earn, Pop it Lose it"',
+        'menu.ruleCaption': "The factory's golden rule",
+        'menu.outro': 'Master AI concepts through interactive balloon experiments. Learn pattern recognition, model training, and temperature control in this engaging educational game.',
+        'menu.playingAs': 'Playing as:',
+        'menu.newProfile': 'Name for the new profile:',
+        'menu.renameProfile': 'New name for this profile:',
+        'menu.profileExists': 'There is already a profile called "{name}".',
+        'menu.onlyProfile': 'This is the only profile. Use "Reset All Progress" to start it again instead.',
+        'menu.profileNew': '+ New',
+        'menu.profileRename': 'Rename',
+        'menu.profileDelete': 'Delete',
+        'menu.language': 'Language:',
+        'menu.shortcuts': 'Single-key keyboard shortcuts (P, B, S, E, 1-4)',
+        'menu.enter': 'Enter the Factory',
+        'menu.install': '📲 Install Pop Logic',
+        'menu.languageUnavailable': 'Could not load language "{id}" - using English.',
+        'menu.seed': 'Class Seed:',
+        'menu.seedPlaceholder': 'e.g. 7B2KQ',
+        'menu.seedApply': 'Apply',
+        'menu.watchReplay': '🎬 Watch a Replay',
+        'menu.resetProgress': 'Reset All Progress',
+        'pack.label': 'Level Pack:',
+        'pack.loaded': 'Loaded "{name}".',
+        'pack.switched': 'Loaded "{name}" - Levels 1-3 start over with this pack.',
+        'pack.unavailable': 'Could not load pack "{id}" - using the Classic pack.',
+        'pack.notLoaded': 'Could not load pack "{id}".',
+        'pack.badId': '"{id}" is not a valid pack id.',
+        'pack.invalid': 'Pack "{id}" is invalid: {errors}',
+        'class.label': 'Join a Class:',
+        'class.namePlaceholder': 'Your name',
+        'class.codePlaceholder': 'Code',
+        'class.join': 'Join',
+        'class.leave': 'Leave',
+        'class.teacherLink': 'Teacher? Open the dashboard',
+        'class.joinedLabel': '{name} · Class {code}',
+        'class.missingDetails': 'Enter your name and the code from your teacher.',
+        'class.notFound': 'That class code was not found.',
+        'class.unreachable': 'Could not reach the class server.',
+        'class.joined': 'Joined! Your results will be shared with your teacher.',
+        'class.shared': 'Results shared with your teacher.',
+        'class.rejected': 'The class server rejected your results.',
+        'class.offline': 'Offline - results will be shared next time.',
+        'progress.label': 'Your Progress:',
+        'progress.export': '⬇ Export',
+        'progress.exportCsv': '⬇ Results CSV',
+        'progress.import': '⬆ Import',
+        'progress.downloaded': 'Progress downloaded.',
+        'progress.csvDownloaded': 'Balloon results downloaded.',
+        'progress.invalidJson': 'That file is not valid JSON.',
+        'progress.notProgressFile': 'This is not a PopLogic progress file.',
+        'progress.newerVersion': 'This file is from a newer version of PopLogic (file version {version}).',
+        'progress.rejected': "That file can't be imported: {errors}",
+        'progress.imported': 'Imported progress.',
+        'progress.importedStudent': 'Imported progress for {student}.',
+        'progress.damaged': 'Your saved progress was damaged, so a new game was started. A copy of the old save was kept on this device.',
 
-    const rect = targetElement.getBoundingClientRect();
+        // Why a progress file or level pack was rejected - {field} is the path in its JSON
+        'validation.missing': '{field} is missing',
+        'validation.required': '{field} is required',
+        'validation.text': '{field} must be text',
+        'validation.object': '{field} must be an object',
+        'validation.list': '{field} must be a list',
+        'validation.statsObject': '{field} must be an object of per-colour stats',
+        'validation.statsFields': '{field} needs score, pops, count and pumps of 0 or more',
+        'validation.strategyRecord': '{field} is not a valid strategy record',
+        'validation.session': '{field} is not a valid recorded session',
+        'validation.packObject': 'Pack must be a JSON object',
+        'validation.noBalloons': 'balloons must define at least one balloon type',
+        'validation.typeKey': '{field} must be a lowercase name such as "purple"',
+        'validation.range': '{field} must be [min, max] whole numbers with 1 <= min < max',
+        'validation.tailwindColour': '{field} must be a Tailwind colour such as "red-500"',
+        'validation.cssColour': '{field} must be a CSS colour',
+        'validation.sequence': '{field} must list at least one balloon',
+        'validation.unknownType': '{field} uses unknown balloon type "{type}"',
+        'validation.weights': '{field} must be an object of balloon weights',
+        'validation.weight': '{field} must be a weight of 0 or more',
+        'validation.positiveWeight': '{field} needs at least one positive weight',
+        'validation.wholeNumber': '{field} must be a whole number from {min} to {max}',
+        'validation.temperature': '{field} needs numeric baseline and percentPerDegree',
 
-    tutorialHighlight.style.left = `${rect.left - 10}px`;
-    tutorialHighlight.style.top = `${rect.top - 10}px`;
-    tutorialHighlight.style.width = `${rect.width + 20}px`;
-    tutorialHighlight.style.height = `${rect.height + 20}px`;
+        // Mode select
+        'select.title': 'Select a Mode',
+        'select.l1.title': 'Level 1: Human Training',
+        'select.l1.text': 'Learn the basics of pattern recognition and data bias by training yourself first.',
+        'select.l2.title': 'Level 2: AI Supervisor',
+        'select.l2.text': 'Build a simple AI and act as its Human-in-the-Loop supervisor to guide its performance.',
+        'select.l2.locked': 'Level 1 must be completed first',
+        'select.l3.title': 'Open Game Mode',
+        'select.l3.text': 'Test your adaptive strategy in an infinite mode with a dynamic, unpredictable environment.',
+        'select.l3.locked': 'Level 2 must be completed first',
+        'select.l4.title': 'Level 4: Explore or Exploit',
+        'select.l4.text': 'Split a limited budget of pulls between mystery balloon machines - the reinforcement-learning dilemma.',
 
-    document.getElementById('tutorial-title').textContent = step.title;
-    const textContent = typeof step.text === 'function' ? step.text() : step.text;
-    document.getElementById('tutorial-text').innerHTML = textContent;
+        // Level 1
+        'l1.historyTitle': 'Last {count} Balloons',
+        'l1.memory.label': '🧠 Memory:',
+        'l1.memory.size': '{count} balloons',
+        'l1.memory.unlimited': 'Unlimited',
+        'l1.memory.limitedNote': '🧠 Worked out from your last {count} balloons only - older ones are forgotten.',
+        'l1.memory.unlimitedNote': '🧠 Worked out from every balloon so far.',
+        'l1.levelName': 'Level 1: Human Training',
+        'l1.progress': 'Balloon {index} of {total}',
+        'l1.pump': 'PUMP (+1)',
+        'l1.cashOut': 'CASH OUT',
+        'l1.personalData': 'Your Personal Data',
+        'l1.avgPumps': 'Avg. Pumps:',
+        'l1.insightsTitle': 'AI Insights',
+        'l1.finalInsightsTitle': 'Final Data Insights',
+        'l1.youEarned': 'YOU EARNED',
+        'l1.newBest': 'New Best Score!',
+        'l1.bestScore': 'Best Score: {score}',
+        'l1.nextLevel': 'Go to Level 2',
+        'l1.replay': 'Replay',
+        'l1.bot.toggle': '🤖 Race the Machine Learner',
+        'l1.bot.locked': 'Switch the bot on or off before the first balloon (use Replay to restart)',
+        'l1.bot.stat': '🤖 {amount} · stops at {pumps}',
+        'l1.bot.score': 'You {player} vs 🤖 Bot {bot}',
+        'l1.bot.intro': 'The bot plays each balloon right after you, learning from the same results.',
+        'l1.bot.lastPopped': 'Last balloon: the bot pumped {pumps} on {colour} and popped it 💥 - next time it stops at {next}.',
+        'l1.bot.lastBanked': 'Last balloon: the bot pumped {pumps} on {colour} and banked {amount} 💰 - next time it tries {next}.',
+        'l1.bot.stoppingPoint': 'stopping point {steps}',
+        'l1.bot.won': 'You beat the machine!',
+        'l1.bot.lost': 'The machine learner won this time.',
+        'l1.bot.tie': "It's a tie!",
+        'l1.bot.explain': 'The bot started every colour at a cautious {pumps} pumps. Each safe balloon made it try one more; each pop (💥) dropped it just below where the balloon burst.',
+        'slides.prev': 'Prev',
+        'slides.next': 'Next',
 
-    const boxWidth = 350; // max-width from CSS
-    let boxLeft, boxTop;
-    
-    // Special positioning for certain tutorial steps
-    if (step.title === 'Welcome to Training!' || step.title === 'You are ready to begin!') {
-        // Center in the middle of the screen
-        boxLeft = (window.innerWidth - boxWidth) / 2;
-        boxTop = (window.innerHeight - 200) / 2; // 200px estimated height
-    } else if (step.title === "AI's Short-Term Memory") {
-        // Center the entire popup in the middle of the screen
-        boxLeft = (window.innerWidth - boxWidth) / 2;
-        boxTop = (window.innerHeight - 450) / 2; // Slightly higher position
-    } else if (step.title === "Build Your AI!") {
-        // Position to the right of the highlighting area
-        boxLeft = rect.right + 20; // 20px to the right of the highlighted element
-        boxTop = rect.top + (rect.height / 2) - 100; // Center vertically with highlighted element
-    } else if (step.title === "Live Simulation") {
-        // Position to the left of the highlighting area
-        boxLeft = rect.left - boxWidth - 20; // 20px to the left of the highlighted element
-        boxTop = rect.top + (rect.height / 2) - 100; // Center vertically with highlighted element
-    } else {
-        // Default positioning relative to target element
-        boxLeft = rect.left + (rect.width / 2) - (boxWidth / 2);
-        boxTop = rect.bottom + 20;
-        
-        // Check if box would go off bottom of screen
-        if (boxTop + 200 > window.innerHeight) { // 200px estimated height
-            boxTop = rect.top - 220; // Position above with some margin
-        }
-        
-        // Check if box would go off top of screen
-        if (boxTop < 20) {
-            boxTop = 20; // Minimum top margin
-        }
+        // Level 2
+        'l2.factory': 'BALLOON FACTORY',
+        'l2.factoryRule': 'Pump and Earn. Pop it and Lose it',
+        'l2.skipToEnd': 'Skip to End',
+        'l2.earned': 'EARNED',
+        'l2.processed': 'Processed:',
+        'l2.rules': 'AI Strategy Rules',
+        'l2.runTest': 'RUN TEST',
+        'l2.finishTest': 'FINISH TEST',
+        'l2.backToLearn': 'Back to Learn',
+        'l2.openGame': 'Open Game Mode',
+        'l2.pastStrategies': 'Past Strategies',
+        'l2.clearAll': 'Clear All',
+        'l2.strategies.empty': 'No strategies yet',
+        'l2.strategies.emptyHint': 'Run a test to see your strategies here',
+        'l2.strategies.title': 'Strategy {number}',
+        'l2.strategies.settings': 'Your Strategy:',
+        'l2.strategies.pumps': '{count} pumps',
+        'l2.strategies.popRates': 'Pop Rates by Color:',
+        'l2.strategies.balloons': '{count} balloons',
+        'l2.strategies.overallPopRate': 'Overall Pop Rate:',
+        'l2.strategies.totalEarned': 'Total Earned:',
+        'l2.monitor': 'AI Performance Monitor',
+        'l2.insightsTitle': '🤖 AI Insights',
+        'l2.drift.label': '🌊 Concept drift:',
+        'l2.drift.none': 'None - the factory never changes',
+        'l2.drift.range': "A colour's pop range shrinks partway through",
+        'l2.drift.mix': 'The colour mix changes partway through',
+        'l2.drift.badge': '⚠️ Drift',
+        'l2.drift.watching': "🔍 Drift detector: watching - compares each colour's last {count} pop rates with its earlier ones.",
+        'l2.drift.alert': '⚠️ Drift detector: change spotted in {list}.',
+        'l2.drift.allColours': 'all colours',
+        'l2.drift.summaryTitle': '🌊 Concept Drift',
+        'l2.drift.revealRange': 'From balloon {at}, {colour} balloons popped between {min} and {max} pumps.',
+        'l2.drift.revealMix': 'From balloon {at}, most of the balloons were {colour}.',
+        'l2.drift.caught': 'The drift detector raised the alarm - did you pause and retune in time?',
+        'l2.drift.missed': 'The drift detector never raised the alarm. Some changes only show up slowly, or not at all in the pop rates.',
+        'l2.drift.missedNoise': 'The drift detector missed this change - its alarms came before it or named another colour. Some changes only show up slowly, or not at all in the pop rates.',
+        'l2.drift.noise': 'Alarms before the change or for another colour ({count}) were set off by random noise.',
+        'l2.drift.notReached': 'A drift was due at balloon {at}, but this run ended before it arrived.',
+        'l2.drift.falseAlarm': 'The drift detector raised an alarm, but nothing changed in this run - a false alarm set off by random noise.',
+        'l2.split.toggle': '🧪 Train/test split: also score each strategy on hidden balloons',
+        'l2.split.shift': 'Hidden balloons come from slightly different pop ranges',
+        'l2.split.note': '🧪 This is the training batch. Each strategy is also scored on {count} hidden test balloons.',
+        'l2.split.title': '🧪 Training vs. hidden test balloons ($ per balloon)',
+        'l2.split.colour': 'Colour',
+        'l2.split.train': 'Train',
+        'l2.split.test': 'Test',
+        'l2.split.gap': 'Gap',
+        'l2.split.overall': 'Overall',
+        'l2.split.overfit': 'Your strategy earned {gap} less per balloon on balloons it had never seen. It was partly fitted to the quirks of the training batch - that is overfitting.',
+        'l2.split.generalises': 'Your strategy did about as well on balloons it had never seen, so it learned the factory and not just the training batch.',
+        'l2.split.shiftedNote': 'The hidden balloons came from slightly different pop ranges, like real-world data drifting away from the training set.',
+        'l2.split.cardTest': 'Hidden Test ({count}):',
+        'l2.split.cardPerBalloon': 'Per Balloon (train / test):',
+        'l2.review.toggle': '👀 Human review: send balloons the AI is unsure about to me',
+        'l2.review.threshold': 'Review below confidence:',
+        'l2.review.title': '👀 Needs your review',
+        'l2.review.details': 'The AI is only {confidence} sure about this colour (you review anything under {threshold}). Up close, this balloon looks {look}.',
+        'l2.review.look.fragile': 'fragile',
+        'l2.review.look.normal': 'ordinary',
+        'l2.review.look.sturdy': 'sturdy',
+        'l2.review.waiting': '+{count} waiting',
+        'l2.review.stalled': '⏸️ Queue full - the conveyor has stopped until you decide.',
+        'l2.review.pump': '💨 Pump to {count}',
+        'l2.review.bank': '💰 Bank at {count}',
+        'l2.review.summaryTitle': '👀 Human Review vs. Automatic',
+        'l2.review.byYou': 'Reviewed by you',
+        'l2.review.automatic': 'Automatic',
+        'l2.review.balloons': 'Balloons',
+        'l2.review.accuracy': 'Right call',
+        'l2.review.earned': 'Earned',
+        'l2.review.helped': 'On the balloons you reviewed, the AI alone would have made the right call {accuracy} of the time - your oversight caught some of its mistakes.',
+        'l2.review.noHelp': 'On the balloons you reviewed, the AI alone would have made the right call {accuracy} of the time - as often as you or more, so those reviews cost time without adding accuracy.',
+        'l2.review.throughput': 'Throughput: {rate} balloons a minute, against {aiRate} for the AI on its own.',
+        'l2.review.accuracyNote': 'A right call means pumping a balloon that would hold at your setting, or banking one that would have popped.',
+        'l2.split.heldOut': 'Hidden test',
+        'l2.autotune.method.hill': 'Hill climbing',
+        'l2.autotune.method.random': 'Random search',
+        'l2.autotune.method.grid': 'Grid search',
+        'l2.autotune.methodLabel': 'Search method',
+        'l2.autotune.start': '🤖 Auto-tune',
+        'l2.autotune.title': '🤖 Auto-tune · {method}',
+        'l2.autotune.tested': '{count} strategies tested',
+        'l2.autotune.trying': 'Trying:',
+        'l2.autotune.bestSoFar': 'Best so far:',
+        'l2.autotune.colour': 'Colour',
+        'l2.autotune.you': 'You',
+        'l2.autotune.name': 'Auto-tune',
+        'l2.autotune.earned': 'Earned',
+        'l2.autotune.beat': 'The optimiser tested {count} strategies in seconds and beat yours by {amount}. But it has only ever seen these {batch} balloons - would its choices hold up on new ones?',
+        'l2.autotune.matched': 'Your intuition matched an optimiser that tested {count} strategies!',
+        'l2.autotune.sameBalloons': 'Both strategies were scored on the same {batch} balloons your test runs use.',
+        'l2.autotune.apply': 'Use Auto-tune Strategy',
+        'l2.autotune.close': 'Close',
+
+        // Level 3
+        'l3.climate': '🌡️ Factory Climate Control',
+        'l3.pumpSettings': '🎛️ AI Pump Settings',
+        'l3.start': '🚀 START PRODUCTION',
+        'l3.pause': '⏸️ PAUSE PRODUCTION',
+        'l3.reset': '🔄 Reset Production',
+        'l3.insightsTitle': '🤖 AI Insights',
+        'l3.floor': '🏭 PRODUCTION FLOOR',
+        'l3.floorSubtitle': 'Continuous Balloon Manufacturing - Weather Adaptive Mode',
+        'l3.totalRevenue': 'Total Revenue',
+        'l3.processed': 'Balloons Processed',
+        'l3.analytics': '📊 Production Analytics',
+        'l3.weather': 'Weather',
+        'l3.policy.toggle': '🗺️ Use a Weather Policy Table',
+        'l3.policy.hint': 'Set pumps for every weather band and production switches rows by itself when the weather changes.',
+        'l3.policy.inputLabel': '{band} {colour} pumps',
+        'l3.policy.copy': 'Copy sliders to every band',
+        'l3.bands.title': '🌦️ Results by Weather Band',
+        'l3.bands.empty': 'Start production to see how each weather band performs.',
+        'l3.bands.balloons': 'Balloons',
+        'l3.bands.avgScore': 'Avg. $',
+        'l3.bands.colourPopRate': '{colour} pop rate',
+        'l3.bands.colourPop': '{initial} pop',
+        'l3.sampling.toggle': '🎲 Sampling Temperature Mode',
+        'l3.sampling.hint': "Like a language model choosing its next word, the bot picks each balloon's pumps at random around your setting. Low model temperature = consistent, high = creative and risky.",
+        'l3.sampling.modelTemperature': 'Model Temperature',
+        'l3.sampling.greedy': 'T = 0: greedy - the bot always uses exactly your setting.',
+        'l3.sampling.spread': 'T = {temperature}: the bot uses your exact setting {exact} of the time and stays within ±2 pumps {within} of the time.',
+
+        // Performance monitors and the Expected Value Model (Levels 2 and 3)
+        'monitor.avgScore': 'Avg. Score',
+        'monitor.popRate': 'Pop Rate',
+        'monitor.model': 'Model: {amount} · {popChance} pop at {pumps} pumps',
+        'monitor.modelAtTemperature': 'Model: {amount} · {popChance} pop at {pumps} pumps ({temperature}°C)',
+        'model.chartLabel': '{colour}: expected score and pop chance by pump count',
+        'model.best': 'best {pumps} → {amount}',
+        'model.yours': 'Yours: {pumps} pumps → {amount} expected, {popChance} pop',
+        'model.title': '📐 Expected Value Model',
+        'model.legend': 'Coloured line: expected $ per balloon · <span class="text-red-400">dashed red</span>: chance of popping · <span class="text-white font-bold">white</span>: your setting · <span class="text-green-400">dashed green</span>: the optimum',
+        'model.legendAtTemperature': 'Coloured line: expected $ per balloon · <span class="text-red-400">dashed red</span>: chance of popping · <span class="text-white font-bold">white</span>: your setting · <span class="text-green-400">dashed green</span>: the optimum (at the current temperature)',
+
+        // Level 4
+        'l4.levelName': 'Level 4: Explore or Exploit',
+        'l4.rule': 'Every pull pumps one balloon {pumps} times: it pays {amount} if it holds and nothing if it pops.',
+        'l4.pullsLeft': 'Pulls left: {count}',
+        'l4.earned': 'Earned: {amount}',
+        'l4.machine': 'Machine {letter}',
+        'l4.untried': 'Not tried yet',
+        'l4.machineStats': 'Pulls: {pulls} · {total} · {average} per pull',
+        'l4.held': '💰 Held! +{amount}',
+        'l4.popped': '💥 Popped!',
+        'l4.botPulls': '🤖 pulled {count}×',
+        'l4.regretTitle': 'Regret - $ lost to not knowing the best machine',
+        'l4.regret': 'Your regret: {amount}',
+        'l4.regretWithBot': 'Your regret: {amount} · 🤖 Bot: {bot}',
+        'l4.botToggle': '🤖 Race a bandit bot',
+        'l4.botPolicy': 'Bot strategy:',
+        'l4.botLocked': 'Choose the bot before your first pull (use Play Again to restart)',
+        'l4.botStatus': 'You {you} vs 🤖 Bot {bot}',
+        'l4.policy.epsilon-greedy': 'Epsilon-greedy (explores 1 pull in 10 at random)',
+        'l4.policy.ucb': 'UCB (explores the machines it knows least)',
+        'l4.insightsTitle': '🤖 AI Insights',
+        'l4.summaryTitle': 'Budget spent!',
+        'l4.youEarned': 'You earned {amount} from {pulls} pulls.',
+        'l4.bestScore': 'Best: {amount}',
+        'l4.reveal': 'pops between {min} and {max} pumps, so a pull is worth {expected} on average.',
+        'l4.bestMachine': '⭐ best',
+        'l4.regretResult': 'Pulling the best machine every time would have earned {best} on average. Your regret: {regret}.',
+        'l4.botResult': '🤖 The {policy} bot earned {amount} with a regret of {regret}.',
+        'l4.playAgain': 'Play Again (new machines)',
+
+        // Charts
+        'chart.pause': '⏸ Pause',
+        'chart.resume': '▶ Resume',
+        'chart.zoomIn': 'Zoom in',
+        'chart.zoomOut': 'Zoom out',
+        'chart.all': 'All',
+        'chart.clear': 'Clear',
+        'chart.l2.title': '📈 Performance Charts',
+        'chart.l2.earnings': 'Cumulative Earnings',
+        'chart.l2.popRate': 'Pop Rate by Colour',
+        'chart.l3.title': '📈 Production Timeline',
+        'chart.l3.timeline': 'Temperature vs. Score and Pop Rate',
+        'chart.l3.sampling': 'Pumps the Bot Chose',
+        'chart.balloonsProcessed': 'Balloons processed',
+        'chart.earned': '$ earned',
+        'chart.cumulativeEarned': 'Cumulative $ earned',
+        'chart.popRatePercent': 'Pop rate %',
+        'chart.score': '$ per balloon',
+        'chart.rollingScore': '$ per balloon (last {count})',
+        'chart.temperature': 'Temperature °C',
+        'chart.popPercent': 'Pop %',
+        'chart.pumpsChosen': 'Pumps chosen',
+        'chart.balloons': 'Balloons',
+        'chart.pulls': 'Pulls',
+        'chart.regret': 'Regret $',
+        'chart.you': 'You',
+        'chart.random': 'Pulling at random',
+        'chart.bot.epsilon-greedy': '🤖 Epsilon-greedy bot',
+        'chart.bot.ucb': '🤖 UCB bot',
+
+        // Replay
+        'replay.noSessions': 'No recorded sessions yet',
+        'replay.heading': '🎬 Replay',
+        'replay.back': '← Back',
+        'replay.sessionLabel': 'Session:',
+        'replay.position': 'Replay position',
+        'replay.speed': 'Replay speed',
+        'replay.events': 'Events',
+        'replay.session': '{level} · {date} · {count} events',
+        'replay.title': '{level} · {date} · Seed {seed}',
+        'replay.play': '▶ Play',
+        'replay.pause': '⏸ Pause',
+        'replay.earned': 'Earned {amount}',
+        'replay.balloons': 'Balloons {count}',
+        'replay.pops': 'Pops {count}',
+        'replay.currentBalloon': 'Current balloon {pumps} pumps (holds {max})',
+        'replay.temperature': 'Temperature {temperature}',
+        'replay.strategy': 'Strategy: {chips}',
+        'replay.event.balloon': '🎈 Balloon {index}: {colour}',
+        'replay.event.pump': '⬆️ Pump {pumps}',
+        'replay.event.bank': '💰 Banked {amount}',
+        'replay.event.pop': '💥 {colour} popped after {pumps} pumps',
+        'replay.event.result': '{icon} {colour}: {pumps} pumps (could take {max})',
+        'replay.event.slider': '🎚️ {colour} set to {value}',
+        'replay.event.sliderBand': '🎚️ {colour} set to {value} for {band}',
+        'replay.event.start': '▶️ Started',
+        'replay.event.pause': '⏸️ Paused',
+        'replay.event.temperature': '🌡️ Temperature now {temperature}°C',
+        'replay.event.review.pump': '👀 {colour} reviewed: pumped',
+        'replay.event.review.bank': '👀 {colour} reviewed: banked',
+        'replay.event.end': '🏁 Finished',
+
+        // Quizzes
+        'quiz.title.l1': 'Level 1 Quiz',
+        'quiz.title.l2': 'Level 2 Quiz',
+        'quiz.title.l3': 'Open Game Quiz',
+        'quiz.ownData': 'Reading Your Own Data',
+        'quiz.open.l1': '📝 Take the Level 1 Quiz',
+        'quiz.open.l2': '📝 Quiz',
+        'quiz.open.l3': '📝 Take the Quiz',
+        'quiz.empty': 'No questions are available yet - play a little more and try again.',
+        'quiz.progress': 'Question {index} of {total}',
+        'quiz.predict': '🔮 Predict · {concept}',
+        'quiz.correct': '✅ Correct!',
+        'quiz.wrong': '❌ Not quite.',
+        'quiz.next': 'Next',
+        'quiz.seeResults': 'See Results',
+        'quiz.perfect': 'Perfect - you have mastered these ideas!',
+        'quiz.tryAgain': 'Review the explanations and try again to improve.',
+        'quiz.close': 'Close',
+        'quiz.none': 'No quiz taken yet.',
+        'quiz.summary': '📝 Quiz: latest {latest} · best {best} · {attempts}',
+        'quiz.attempts.one': '1 attempt',
+        'quiz.attempts.other': '{count} attempts',
+        'quiz.stats.l1PopRate.prompt': 'Which colour had your highest pop rate?',
+        'quiz.stats.l1PopRate.explanation': 'Your Personal Data panel and history showed which colour burst most often.',
+        'quiz.stats.l1Average.prompt': 'About how many pumps did you bank on an average {colour} balloon?',
+        'quiz.stats.l1Average.explanation': 'You banked {colour} balloons at about {average} pumps on average.',
+        'quiz.stats.l2BestColour.prompt': 'In your latest test run, which colour earned the most $ per balloon?',
+        'quiz.stats.l2BestColour.explanation': 'The performance monitor showed the average $ per balloon for each colour.',
+        'quiz.stats.l2PredictPop.prompt': 'Your AI pumps {colour} balloons {pumps} times. Predict roughly what share of them pop.',
+        'quiz.stats.l2PredictPop.explanation': 'The Expected Value Model puts it at about {chance} for {pumps} pumps.',
+        'quiz.stats.l3BestBand.prompt': 'Which weather gave your factory its best $ per balloon?',
+        'quiz.stats.l3BestBand.explanation': 'Results by Weather Band shows the average $ per balloon in each kind of weather.',
+        'quiz.stats.l3PredictPop.prompt': 'It is {temperature}°C and your AI pumps {colour} balloons {pumps} times. Predict roughly what share of them pop.',
+        'quiz.stats.l3PredictPop.explanation': 'At {temperature}°C the Expected Value Model puts it at about {chance}.',
+
+        // Tutorial overlay
+        'tutorial.previous': 'Previous',
+        'tutorial.next': 'Next',
+        'tutorial.finish': 'Finish',
+        'tutorial.skip': 'Skip Tutorial',
+
+        'tutorial.l1.welcome.title': 'Welcome to Training!',
+        'tutorial.l1.welcome.text': 'Your goal is simple: PUMP the balloon to increase its value, but CASH OUT the score before it pops!',
+        'tutorial.l1.global.title': 'Global Player Data',
+        'tutorial.l1.global.text': "Here's what players around the world are earning. This data might offer a clue... or it might show you a biased strategy. An AI must learn to evaluate if external data is useful or misleading. Should you trust it?",
+        'tutorial.l1.personal.title': 'Your Personal Data',
+        'tutorial.l1.personal.text': "As you play, your results will appear here. This is your AI's 'memory'. Use it to learn the balloon behaviors.",
+        'tutorial.l1.patterns.title': '🎯 Pattern Recognition & Strategy Building',
+        'tutorial.l1.patterns.text': 'After a few successful runs, the <strong>Avg. Pumps</strong> stat appears for each color. This is your personal data!<br><br><strong>Think about it:</strong> Do you notice patterns? Are some colors consistently allowing more pumps before popping? <br><br>This is how AI learns! By analyzing patterns in data, you can develop strategies. <br><br><em>💡 Pro tip: If Red balloons average 8 pumps safely, maybe try 7 pumps next time to be safer, or 9 pumps to be more aggressive!</em>',
+        'tutorial.l1.memory.title': "AI's Short-Term Memory",
+        'tutorial.l1.memory.text': "This panel shows your latest results. Think of this as an AI's <strong>Context Window</strong>. Like this panel, a GenAI model can only 'remember' a limited amount of recent information to make its next decision. Information that scrolls off is forgotten!<br><br>Use <strong>🧠 Memory</strong> to shrink the window to 3, 8 or 20 balloons. Your Personal Data will then only use what is still in it - how well can you play with a short memory?",
+        'tutorial.l1.memory.example': 'Example: Last 8 balloon results (💰 = cashed out, 💥 = popped)',
+        'tutorial.l1.noise.title': 'Noisy Data!',
+        'tutorial.l1.noise.text': "Watch out! Green balloons are highly unpredictable. In AI, this is called 'noisy data', and it's very difficult to make accurate predictions from it.",
+        'tutorial.l1.ready.title': 'You are ready to begin!',
+        'tutorial.l1.ready.text': "You've learned the basics! Time to test your knowledge. Good luck!",
+
+        'tutorial.l2.build.title': 'Build Your AI!',
+        'tutorial.l2.build.text': "Now you're the teacher. Use the sliders to set rules for your AI based on what you learned in Level 1. The AI will automatically cash in after this many pumps of each balloon type.",
+        'tutorial.l2.insights.title': 'AI Insights',
+        'tutorial.l2.insights.text': "This section will show you real-time insights about your AI's performance. Watch for patterns and learn from the data to improve your strategy!",
+        'tutorial.l2.simulation.title': 'Live Simulation',
+        'tutorial.l2.simulation.text': 'Your AI will now process {count} balloons based on your rules. Watch the performance monitor to see how it performs.',
+        'tutorial.l2.hitl.title': 'Human-in-the-Loop',
+        'tutorial.l2.hitl.text': "Things not going well? You can PAUSE the simulation at any time to adjust your AI's rules. This is your role as a Human Supervisor!",
+
+        'tutorial.l3.intro.title': '🌡️ AI Temperature Control',
+        'tutorial.l3.intro.text': "Welcome to the Production Floor! Here you'll learn about <strong>AI Temperature</strong> - one of the most important concepts in modern AI. Temperature controls how 'creative' or 'conservative' your AI behaves.",
+        'tutorial.l3.display.title': 'Temperature Display',
+        'tutorial.l3.display.text': 'This shows the current factory temperature. In AI terms, <strong>low temperature = stable, predictable behavior</strong> while <strong>high temperature = creative, risky behavior</strong>. Watch how it affects balloon stability!',
+        'tutorial.l3.start.title': '🚀 Start Production',
+        'tutorial.l3.start.text': 'Click this to begin continuous balloon production. Your AI will process balloons forever, but the weather will change every 15-60 seconds, affecting balloon behavior!',
+        'tutorial.l3.weather.title': '🌤️ Weather Patterns',
+        'tutorial.l3.weather.text': 'Notice the weather effects? <strong>Hot weather = balloons pop easier</strong> (high temperature = risky AI). <strong>Cold weather = balloons more stable</strong> (low temperature = conservative AI). This is exactly how AI temperature works!',
+        'tutorial.l3.patterns.title': '🎯 Pattern Recognition',
+        'tutorial.l3.patterns.text': 'As you play, ask yourself: <strong>Do you notice the tendency of balloons to pop more in hot weather?</strong> This is the key insight - temperature directly affects AI behavior and decision-making!',
+        'tutorial.l3.realLife.title': '🤖 AI Temperature in Real Life',
+        'tutorial.l3.realLife.text': 'In real AI systems, temperature controls creativity vs stability. <strong>Low temp (0.1-0.3):</strong> Conservative, factual responses. <strong>High temp (0.7-1.0):</strong> Creative, varied responses. Your balloon factory simulates this perfectly!',
+        'tutorial.l3.mission.title': '🎮 Your Mission',
+        'tutorial.l3.mission.text': "Adapt your pump settings based on the weather! When it's hot, reduce pumps to avoid losses. When it's cold, increase pumps for higher profits. This teaches you to tune AI temperature for optimal performance!",
+        'tutorial.l4.welcome.title': '🎰 Explore or Exploit?',
+        'tutorial.l4.welcome.text': 'Welcome to the machine room! Each of these balloon machines hides its own pop range. Your job: earn as much as you can with a <strong>limited number of pulls</strong>.',
+        'tutorial.l4.machines.title': 'Mystery Machines',
+        'tutorial.l4.machines.text': 'Click a machine (or press its number) to pull it. Every pull pumps one balloon the same number of times - some machines make tough balloons, others fragile ones. You can only find out by pulling.',
+        'tutorial.l4.budget.title': 'The Dilemma',
+        'tutorial.l4.budget.text': 'Every pull spent <strong>exploring</strong> an unknown machine is a pull not spent <strong>exploiting</strong> the best one you know. Reinforcement-learning agents face this exact trade-off.',
+        'tutorial.l4.regret.title': 'Regret',
+        'tutorial.l4.regret.text': '<strong>Regret</strong> is how much you lose, on average, by not pulling the best machine every time. Exploring costs regret now so you can stop losing later - watch the line flatten once you find the best machine.',
+        'tutorial.l4.bot.title': 'Race a Bot',
+        'tutorial.l4.bot.text': 'Want a rival? A <strong>bandit bot</strong> pulls the same machines after you. <strong>Epsilon-greedy</strong> mostly picks its best machine but sometimes tries a random one; <strong>UCB</strong> gives a bonus to machines it has tried least.',
+        'tutorial.l4.ready.title': 'Start Pulling!',
+        'tutorial.l4.ready.text': 'Spend your pulls wisely. At the end the machines are revealed so you can see how close you came to the best possible strategy.',
+
+        // Insights
+        'insight.l1.start': 'Every pump adds to the score, but also risk. How far will you push it?',
+        'insight.l1.strategy': "You've seen a few red balloons now. Have you developed a strategy? 🤔",
+        'insight.l1.adapt': 'The data is changing. A good AI must adapt its strategy constantly.',
+        'insight.l1.global': 'Trusting the global data can be misleading. What does YOUR data tell you?',
+        'insight.l1.final.redLabel': 'Red:',
+        'insight.l1.final.red': 'High risk, high reward. A tempting but dangerous choice.',
+        'insight.l1.final.blueLabel': 'Blue:',
+        'insight.l1.final.blue': 'Very predictable. Low risk, but the profits are smaller.',
+        'insight.l1.final.greenLabel': 'Green:',
+        'insight.l1.final.green': "Highly unpredictable 'noisy data'. It's tough to form a reliable strategy here.",
+        'insight.l1.final.predictable': 'Always pops between {min} and {max} pumps. Predictable and low risk, but the profits are limited.',
+        'insight.l1.final.risky': 'Never pops at {min} pumps or fewer, but can hold out to {max}. Every pump past {min} trades safety for reward.',
+        'insight.l1.final.noisy': "Pops anywhere from {min} to {max} pumps - 'noisy data' that makes a reliable strategy hard to find.",
+        'insight.l2.running': 'Your model is running. Are the pop rates acceptable? Pause and adjust!',
+        'insight.l2.monitor': 'The performance monitor gives you live feedback. Are any of your strategies unprofitable?',
+        'insight.l2.driftColour': '⚠️ Drift detector: {colour} balloons popped {recent} of the time in the last {count}, against {earlier} before. The factory may have changed - pause and check your strategy!',
+        'insight.l2.driftAll': '⚠️ Drift detector: {recent} of the last {count} balloons popped, against {earlier} before. Has the balloon mix changed? Pause and check your strategy!',
+        'insight.l2.review': '👀 The AI isn\'t sure about this balloon, so it\'s asking you. Human review can catch its mistakes - but every balloon you check slows the line down.',
+        'insight.l3.reset': 'Production reset. Ready to start fresh!',
+        'insight.l4.start': 'All the machines look the same from outside. The only way to learn which pays best is to pull it - but every test pull is a pull not spent on your favourite.',
+        'insight.l4.explored': 'You have tried every machine. A few pulls are noisy data - is your favourite really the best, or just lucky so far?',
+        'insight.l4.halfway': 'Halfway through the budget. Exploiting your best machine pays now; exploring could still reveal a better one.',
+        'insight.l4.final': 'Reinforcement-learning agents balance <strong>exploration</strong> (trying options to learn about them) with <strong>exploitation</strong> (using what they already know). Epsilon-greedy explores at random a fixed share of the time; UCB explores the options it is least sure about. Regret is the price of learning.',
+
+        // Level 1 slides
+        'slides.l1.youAreTheAi.title': 'You Are The AI!',
+        'slides.l1.youAreTheAi.text': 'You just performed <strong>Pattern Recognition</strong>. By observing data (balloons popping), your brain created a mental model to predict future outcomes. This is the fundamental concept behind most AI systems!',
+        'slides.l1.bias.title': 'Beware of Bias!',
+        'slides.l1.bias.text': 'Did the first four Red balloons make you feel overconfident? This is a form of <strong>Selection Bias</strong>, where early data skews your model. An AI trained only on this data might make dangerously risky decisions.',
+        'slides.l1.noise.title': "Handling 'Noisy' Data",
+        'slides.l1.noise.text': "Green balloons were chaotic, right? This represents <strong>'Noisy Data'</strong> in AI. It's difficult to find a reliable pattern in noisy data, which can lead to poor predictions and overfitting.",
+
+        // Weather bands (Level 3)
+        'weather.blizzard.name': 'Blizzard',
+        'weather.blizzard.status': 'BLIZZARD - EXTREME COLD',
+        'weather.blizzard.insight': '🧊 BLIZZARD CONDITIONS! Extreme cold makes balloons ultra-stable. You can maximize pump settings for massive profits!',
+        'weather.cold-snap.name': 'Cold Snap',
+        'weather.cold-snap.status': 'Cold Snap - Low Risk',
+        'weather.cold-snap.insight': '❄️ Cold snap detected! Balloons are very stable. Increase pump settings for higher profits!',
+        'weather.storm.name': 'Storm',
+        'weather.storm.status': 'Storm - Unstable Conditions',
+        'weather.storm.insight': '⛈️ Storm conditions! Unstable weather affects balloon behavior. Adjust settings carefully!',
+        'weather.cool.name': 'Cool',
+        'weather.cool.status': 'Cool - Stable Conditions',
+        'weather.cool.insight': '🌧️ Cool conditions detected. Balloons are stable. Good time to optimize your strategy!',
+        'weather.perfect.name': 'Perfect',
+        'weather.perfect.status': 'Perfect Conditions',
+        'weather.perfect.insight': '🌤️ Perfect factory conditions! Your AI is performing optimally in ideal weather.',
+        'weather.warm.name': 'Warm',
+        'weather.warm.status': 'Warm - Moderate Risk',
+        'weather.warm.insight': '☀️ Warm conditions detected. Balloons are slightly more fragile. Monitor your settings carefully!',
+        'weather.heat-wave.name': 'Heat Wave',
+        'weather.heat-wave.status': 'Heat Wave - HIGH RISK',
+        'weather.heat-wave.insight': '🌡️ Heat wave warning! Balloons are more fragile. Consider reducing pump settings to avoid catastrophic losses!',
+        'weather.extreme-heat.name': 'Extreme Heat',
+        'weather.extreme-heat.status': 'EXTREME HEAT - CRITICAL RISK',
+        'weather.extreme-heat.insight': '🔥 CRITICAL ALERT! Extreme heat detected! Balloons are extremely fragile - reduce all pump settings immediately!',
+
+        // Screen-reader announcements and keyboard hints
+        'announce.l1.balloon': 'Balloon {index} of {total}: {colour}.',
+        'announce.l1.balloonLabel': '{colour} balloon, pump count {pumps}',
+        'announce.l1.pump': 'Pump {pumps}: worth {amount}.',
+        'announce.l1.bank': 'Cashed out {amount} from the {colour} balloon.',
+        'announce.l1.pop': 'Pop! The {colour} balloon burst on pump {pumps} - nothing earned.',
+        'announce.l1.end': 'Level complete. You earned {amount}.',
+        'announce.l2.running': 'Test running.',
+        'announce.l2.paused': 'Test stopped after {count} balloons with {amount} earned.',
+        'announce.l2.progress': '{count} balloons processed, {amount} earned.',
+        'announce.l2.review': '{colour} balloon waiting for review. The AI is {confidence} sure.',
+        'announce.l2.complete': 'Test complete: {amount} earned from {count} balloons, pop rate {popRate}.',
+        'announce.l3.running': 'Production running.',
+        'announce.l3.paused': 'Production paused: {amount} from {count} balloons.',
+        'announce.l3.weather': 'Temperature {temperature}°C. {insight}',
+        'announce.l4.held': 'Machine {letter}: the balloon held, +{amount}. {left} pulls left.',
+        'announce.l4.popped': 'Machine {letter}: the balloon popped, nothing earned. {left} pulls left.',
+        'announce.l4.end': 'Budget spent. You earned {amount} with a regret of {regret}.',
+        'shortcuts.l1': 'Keyboard: P pump · B cash out · Esc skip the tutorial',
+        'shortcuts.l2': 'Keyboard: S run / finish test · E skip to end · P / B pump or bank a reviewed balloon · Esc skip the tutorial',
+        'shortcuts.l3': 'Keyboard: S start / pause production · Esc skip the tutorial',
+        'shortcuts.l4': 'Keyboard: 1-4 pull a machine · Esc skip the tutorial',
+        'l2.completeTitle': 'Simulation Complete!',
+        'l2.completeText': 'By pausing and adjusting your AI, you acted as a Human-in-the-Loop. This is vital for safety and performance.',
+        'l2.continue': 'Continue',
+
+        // Confirmations
+        'confirm.resetProduction': 'Are you sure you want to reset production? This will stop the current production and reset all statistics.',
+        'confirm.deleteProfile': "Delete {name}'s profile and all of its progress? This can't be undone.",
+        'confirm.backupBeforeReset': 'Download a backup of your progress before it is reset?',
+        'confirm.importStudent': "Replace your current progress with {student}'s file from {date}?",
+        'confirm.importFile': 'Replace your current progress with the file from {date}?',
+        'confirm.importOlderVersion': 'an older version',
+        'confirm.switchPack': 'Switching level pack restarts Levels 1-3 and clears your past strategies. Continue?'
     }
-    
-    // Ensure box stays within horizontal bounds
-    const finalLeft = Math.max(10, Math.min(window.innerWidth - boxWidth - 10, boxLeft));
-    
-    tutorialBox.style.top = `${boxTop}px`;
-    tutorialBox.style.left = `${finalLeft}px`;
-    
-    tutorialPrevBtn.style.display = stepIndex === 0 ? 'none' : 'block';
-    tutorialNextBtn.textContent = stepIndex === steps.length - 1 ? 'Finish' : 'Next';
-}
+};
 
+let activeLanguage = DEFAULT_LANGUAGE;
 
+/**
+ * Looks up a message in the active catalogue (falling back to English,
+ * then to the key itself) and fills {name} placeholders from params.
+ */
+function t(key, params = {}) {
+    const template = activeLanguage.messages[key] !== undefined ? activeLanguage.messages[key]
+        : DEFAULT_LANGUAGE.messages[key] !== undefined ? DEFAULT_LANGUAGE.messages[key]
+        : key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+}
 
-function advanceTutorial(direction, steps, level) {
-        gameState.tutorial[level] += direction;
-        if(gameState.tutorial[level] < 0) gameState.tutorial[level] = 0;
-        saveGameState();
-        showTutorialStep(steps, level);
+function formatNumber(value, fractionDigits = 0) {
+    return new Intl.NumberFormat(activeLanguage.locale, { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits }).format(value);
 }
 
-function skipTutorial() {
-    const activeScreenId = document.querySelector('.active-screen').id;
-    if (!activeScreenId.startsWith('level-')) return;
-    const levelKey = 'l' + activeScreenId.slice(-1);
-    
-    // Mark tutorial as completed for this level
-    const steps = levelKey === 'l1' ? L1_TUTORIAL_STEPS : levelKey === 'l2' ? L2_TUTORIAL_STEPS : L3_TUTORIAL_STEPS;
-    gameState.tutorial[levelKey] = steps.length;
-    saveGameState();
-    
-    // Hide tutorial overlay (skip button is part of overlay)
-    tutorialOverlay.style.display = 'none';
+function formatMoney(value, fractionDigits = 0) {
+    return new Intl.NumberFormat(activeLanguage.locale, {
+        style: 'currency',
+        currency: activeLanguage.currency,
+        currencyDisplay: 'narrowSymbol',
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    }).format(value);
+}
+
+// value is already a percentage (0-100), as in the stats summaries
+function formatPercent(value) {
+    return new Intl.NumberFormat(activeLanguage.locale, { style: 'percent', maximumFractionDigits: 0 }).format(value / 100);
+}
+
+function isRightToLeft() {
+    return activeLanguage.dir === 'rtl';
+}
+
+function validateLanguage(language) {
+    const errors = [];
+    if (!language || typeof language !== 'object') return ['the catalogue is not an object'];
+    if (typeof language.name !== 'string') errors.push('name must be a string');
+    if (!['ltr', 'rtl'].includes(language.dir)) errors.push('dir must be "ltr" or "rtl"');
+    try {
+        new Intl.NumberFormat(language.locale, { style: 'currency', currency: language.currency });
+    } catch (err) {
+        errors.push(`locale/currency: ${err.message}`);
+    }
+    if (!language.messages || typeof language.messages !== 'object') errors.push('messages must be an object');
+    else Object.keys(language.messages).forEach(key => {
+        if (typeof language.messages[key] !== 'string') errors.push(`message "${key}" must be a string`);
+    });
+    return errors;
+}
+
+async function fetchLanguage(languageId) {
+    if (languageId === DEFAULT_LANGUAGE_ID) return DEFAULT_LANGUAGE;
+    if (!/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(languageId)) throw new Error(`"${languageId}" is not a valid language id`);
+    const language = await fetchJson(`locales/${languageId}.json`);
+    const errors = validateLanguage(language);
+    if (errors.length > 0) throw new Error(`Language "${languageId}" is invalid:\n- ${errors.join('\n- ')}`);
+    return { ...language, id: languageId };
+}
+
+function getRequestedLanguageId() {
+    return new URLSearchParams(window.location.search).get(LANGUAGE_URL_PARAM) || gameState.language || DEFAULT_LANGUAGE_ID;
+}
+
+// Fills every data-i18n / data-i18n-html element, plus the placeholder,
+// aria-label and title attributes marked for translation, from the active catalogue
+function applyStaticMessages() {
+    document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    document.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+    document.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+}
+
+/**
+ * Re-renders the text that was built from the catalogue at runtime -
+ * buttons whose label follows state, the weather status, an open
+ * tutorial step and the Level 1 slides.
+ */
+function refreshLocalizedText() {
+    document.documentElement.lang = activeLanguage.id;
+    document.documentElement.dir = activeLanguage.dir;
+    applyStaticMessages();
+    l2StartStopBtn.textContent = t(gameState.l2.isRunning ? 'l2.finishTest' : 'l2.runTest');
+    l3StartStopBtn.textContent = t(gameState.l3.isRunning ? 'l3.pause' : 'l3.start');
+    document.getElementById('weather-status').textContent = t(`weather.${getWeatherBand(gameState.l3.temperature).id}.status`);
+    document.getElementById('l1-progress').textContent = t('l1.progress', { index: gameState.l1.balloonIndex + 1, total: L1_SEQUENCE.length });
+    document.getElementById('l1-insights-title').textContent = t(document.getElementById('l1-summary-area').style.display === 'block' ? 'l1.finalInsightsTitle' : 'l1.insightsTitle');
+    const activeScreenId = document.querySelector('.active-screen').id;
+    if (activeScreenId.startsWith('level-') && tutorialOverlay.style.display === 'block') {
+        const levelKey = 'l' + activeScreenId.slice(-1);
+        showTutorialStep(getTutorialStepsByLevel()[levelKey], levelKey);
+    }
+    renderEducationalSlides('l1', currentSlideIndex);
+    renderL1MemorySelect();
+    if (gameState.l1.currentBalloon) renderL1();
+    document.getElementById('l2-earned-amount').textContent = formatMoney(gameState.l2.totalEarned);
+    document.getElementById('l3-total-score').textContent = formatMoney(gameState.l3.totalScore);
+    ['l2', 'l3'].forEach(level => {
+        // Monitors are built when their level is first opened
+        if (document.getElementById(`${level}-performance-monitor`).children.length > 0) updatePerformanceMonitor(level);
+        renderExpectedValuePanel(level);
+    });
+    renderL2SplitControls();
+    renderL2ReviewControls();
+    displayPastStrategies();
+    renderL2DriftStatus();
+    renderL2DriftSummary();
+    renderL2SplitSummary();
+    renderL2ReviewQueue();
+    renderL2ReviewSummary();
+    if (autoTune) renderAutoTuneCard();
+    relabelCharts();
+    renderQuizSummaries();
+    updateClassPanel();
+    renderL3PolicyTable();
+    renderL3BandMonitor();
+    renderL3SamplingControls();
+    // Level 4's machines are built when it is first opened
+    if (document.getElementById('l4-machines').children.length > 0) {
+        buildL4Machines();
+        if (document.getElementById('l4-summary-area').classList.contains('hidden')) renderL4();
+        else endLevel4(true);
+    }
+    refreshGlobalBanner();
+}
+
+/**
+ * Loads the language chosen in the URL or saved game. A missing or
+ * broken catalogue falls back to English so the game always starts.
+ */
+async function loadSelectedLanguage() {
+    const languageId = getRequestedLanguageId();
+    try {
+        activeLanguage = await fetchLanguage(languageId);
+        gameState.language = languageId;
+    } catch (err) {
+        activeLanguage = DEFAULT_LANGUAGE;
+        gameState.language = DEFAULT_LANGUAGE_ID;
+        setLanguageStatus(t('menu.languageUnavailable', { id: languageId }));
+    }
+    refreshLocalizedText();
+    await populateLanguageSelect();
+}
+
+async function populateLanguageSelect() {
+    const select = document.getElementById('language-select');
+    let languages = [{ id: DEFAULT_LANGUAGE_ID, name: DEFAULT_LANGUAGE.name }];
+    try {
+        const index = await fetchJson('locales/index.json');
+        languages = languages.concat(index.languages.filter(language => language.id !== DEFAULT_LANGUAGE_ID));
+    } catch (err) {
+        // Opened straight from disk - only the built-in English is available
+    }
+    select.innerHTML = languages.map(language => `<option value="${language.id}">${escapeHtml(language.name)}</option>`).join('');
+    select.value = gameState.language;
+}
+
+function setLanguageStatus(text) {
+    const statusEl = document.getElementById('language-status');
+    if (statusEl) statusEl.textContent = text;
+}
+
+async function changeLanguage(languageId) {
+    if (languageId === gameState.language) return;
+    try {
+        activeLanguage = await fetchLanguage(languageId);
+        gameState.language = languageId;
+        saveGameState();
+        setLanguageStatus('');
+        refreshLocalizedText();
+    } catch (err) {
+        document.getElementById('language-select').value = gameState.language;
+        setLanguageStatus(t('menu.languageUnavailable', { id: languageId }));
+    }
+}
+
+/* ===========================================
+    ACCESSIBILITY - KEYBOARD PLAY & SCREEN READERS
+    ===========================================
+    Every level can be played from the keyboard (shortcut letters are
+    the same in every language and are listed under each level's
+    controls). They are single keys with no modifier, so WCAG 2.1.4 asks
+    for a way to turn them off - speech input users and anyone who types
+    by mistake can untick them on the main menu. What is otherwise only
+    shown visually - a new balloon, each pump, pops, cash-outs, weather
+    changes and test results - is read out through the #live-announcer
+    ARIA live region.
+
+    The tutorial overlay and the modals are dialogs: opening one moves
+    focus into it, Tab stays inside, Escape closes it and focus goes
+    back to where it was.
+*/
+const KEYBOARD_SHORTCUTS = {
+    'level-1': { p: 'l1-pump-btn', b: 'l1-bank-btn' },
+    'level-2': { s: 'l2-start-stop-btn', e: 'l2-skip-to-end-btn', p: 'l2-review-pump-btn', b: 'l2-review-bank-btn' },
+    'level-3': { s: 'l3-start-stop-btn' },
+    'level-4': { 1: 'l4-machine-0', 2: 'l4-machine-1', 3: 'l4-machine-2', 4: 'l4-machine-3' }
+};
+const ANNOUNCE_DELAY_MS = 50;
+const L2_ANNOUNCE_EVERY = 25;   // Level 2 reads out progress every this many balloons
+const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Open dialogs, innermost last: { dialog, returnFocus, onEscape }
+const openDialogs = [];
+let announceTimer = null;
+let pendingAnnouncements = [];   // [{ text, group }] waiting for the timer
+
+/**
+ * Reads text out through the live region. The region is emptied first
+ * so a message identical to the last one is still announced, and
+ * messages from the same moment (a cash-out and the next balloon) are
+ * read together. A message with a group replaces a pending one from the
+ * same group, so fast pumping reads out the latest count only.
+ */
+function announce(text, group) {
+    const region = document.getElementById('live-announcer');
+    if (!region) return;
+    region.textContent = '';
+    if (group) pendingAnnouncements = pendingAnnouncements.filter(entry => entry.group !== group);
+    pendingAnnouncements.push({ text, group });
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+        region.textContent = pendingAnnouncements.map(entry => entry.text).join(' ');
+        pendingAnnouncements = [];
+    }, ANNOUNCE_DELAY_MS);
+}
+
+// An inline display (the tutorial overlay's) wins over Tailwind's .hidden
+function isShownOnScreen(el) {
+    if (el.disabled) return false;
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+        if (node.style.display === 'none') return false;
+        if (!node.style.display && node.classList.contains('hidden')) return false;
+    }
+    return true;
+}
+
+function getFocusableElements(container) {
+    return [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(isShownOnScreen);
+}
+
+function focusElement(el) {
+    if (el && typeof el.focus === 'function') el.focus();
+}
+
+function openDialog(dialog, initialFocus, onEscape) {
+    if (!openDialogs.some(entry => entry.dialog === dialog)) {
+        openDialogs.push({ dialog, returnFocus: document.activeElement, onEscape });
+    }
+    focusElement(initialFocus || getFocusableElements(dialog)[0]);
+}
+
+function closeDialog(dialog) {
+    const index = openDialogs.findIndex(entry => entry.dialog === dialog);
+    if (index === -1) return;
+    const [{ returnFocus }] = openDialogs.splice(index, 1);
+    if (openDialogs.length > 0) focusElement(getFocusableElements(openDialogs[openDialogs.length - 1].dialog)[0]);
+    else if (returnFocus && returnFocus !== document.body && document.body.contains(returnFocus) && isShownOnScreen(returnFocus)) focusElement(returnFocus);
+    else if (dialog.contains(document.activeElement)) document.activeElement.blur();
+}
+
+// Keeps Tab and Shift+Tab cycling inside the innermost open dialog
+function trapDialogFocus(e, dialog) {
+    const focusable = getFocusableElements(dialog);
+    if (focusable.length === 0) { e.preventDefault(); return; }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!dialog.contains(document.activeElement)) {
+        e.preventDefault();
+        focusElement(first);
+    } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        focusElement(last);
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        focusElement(first);
+    }
+}
+
+function isTypingTarget(el) {
+    return el && (['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) || el.isContentEditable);
+}
+
+function handleKeyboardShortcut(e) {
+    const dialogEntry = openDialogs[openDialogs.length - 1];
+    if (dialogEntry) {
+        if (e.key === 'Escape' && dialogEntry.onEscape) { e.preventDefault(); dialogEntry.onEscape(); }
+        else if (e.key === 'Tab') trapDialogFocus(e, dialogEntry.dialog);
+        return;
+    }
+    if (!gameState.shortcuts || e.ctrlKey || e.metaKey || e.altKey || e.repeat || isTypingTarget(e.target)) return;
+    const screen = document.querySelector('.active-screen');
+    const buttonId = KEYBOARD_SHORTCUTS[screen.id] && KEYBOARD_SHORTCUTS[screen.id][e.key.toLowerCase()];
+    const button = buttonId && document.getElementById(buttonId);
+    if (!button || !isShownOnScreen(button)) return;
+    e.preventDefault();
+    button.click();
+}
+
+// Screen readers only announce shortcuts that work, and the hints under each level go with them
+function renderShortcutSetting() {
+    const enabled = gameState.shortcuts;
+    document.getElementById('shortcuts-toggle').checked = enabled;
+    Object.values(KEYBOARD_SHORTCUTS).forEach(shortcuts => Object.entries(shortcuts).forEach(([key, buttonId]) => {
+        const button = document.getElementById(buttonId);
+        if (!button) return;
+        if (enabled) button.setAttribute('aria-keyshortcuts', key.toUpperCase());
+        else button.removeAttribute('aria-keyshortcuts');
+    }));
+    document.querySelectorAll('[data-i18n^="shortcuts."]').forEach(hint => hint.classList.toggle('hidden', !enabled));
+}
+
+function setShortcutsEnabled(enabled) {
+    gameState.shortcuts = enabled;
+    saveGameState();
+    renderShortcutSetting();
+}
+
+function hideTutorialOverlay() {
+    tutorialOverlay.style.display = 'none';
+    closeDialog(tutorialOverlay);
+}
+
+function closeL2CompletionModal() {
+    l2CompletionModal.classList.add('hidden');
+    closeDialog(l2CompletionModal);
+}
+
+// --- Tutorial System ---
+const tutorialHighlight = document.getElementById('tutorial-highlight');
+
+function showTutorialStep(steps, level) {
+    // Ensure tutorial level exists in game state
+    if (!gameState.tutorial[level]) {
+        gameState.tutorial[level] = 0;
+        saveGameState();
+    }
+    
+    const stepIndex = gameState.tutorial[level];
+    if (stepIndex >= steps.length) {
+        hideTutorialOverlay();
+        return;
+    }
+    tutorialOverlay.style.display = 'block';
+
+    const step = steps[stepIndex];
+    const targetElement = document.querySelector(step.element);
+    
+    if (!targetElement) {
+            gameState.tutorial[level]++;
+            saveGameState();
+            showTutorialStep(steps, level);
+            return;
+    }
+
+    const rect = targetElement.getBoundingClientRect();
+
+    tutorialHighlight.style.left = `${rect.left - 10}px`;
+    tutorialHighlight.style.top = `${rect.top - 10}px`;
+    tutorialHighlight.style.width = `${rect.width + 20}px`;
+    tutorialHighlight.style.height = `${rect.height + 20}px`;
+
+    // A level pack's own text wins over the catalogue
+    const params = step.params ? step.params() : {};
+    document.getElementById('tutorial-title').textContent = step.title || t(`${step.key}.title`, params);
+    document.getElementById('tutorial-text').innerHTML = (step.text || t(`${step.key}.text`, params)) + (step.extra ? step.extra() : '');
+
+    const boxWidth = 350; // max-width from CSS
+    let boxLeft, boxTop;
+    
+    // Special positioning for certain tutorial steps; sides swap in right-to-left languages
+    const position = isRightToLeft() ? { left: 'right', right: 'left' }[step.position] || step.position : step.position;
+    if (position === 'center') {
+        // Center in the middle of the screen
+        boxLeft = (window.innerWidth - boxWidth) / 2;
+        boxTop = (window.innerHeight - 200) / 2; // 200px estimated height
+    } else if (position === 'center-tall') {
+        // Center the entire popup in the middle of the screen
+        boxLeft = (window.innerWidth - boxWidth) / 2;
+        boxTop = (window.innerHeight - 450) / 2; // Slightly higher position
+    } else if (position === 'right') {
+        // Position to the right of the highlighting area
+        boxLeft = rect.right + 20; // 20px to the right of the highlighted element
+        boxTop = rect.top + (rect.height / 2) - 100; // Center vertically with highlighted element
+    } else if (position === 'left') {
+        // Position to the left of the highlighting area
+        boxLeft = rect.left - boxWidth - 20; // 20px to the left of the highlighted element
+        boxTop = rect.top + (rect.height / 2) - 100; // Center vertically with highlighted element
+    } else {
+        // Default positioning relative to target element
+        boxLeft = rect.left + (rect.width / 2) - (boxWidth / 2);
+        boxTop = rect.bottom + 20;
+        
+        // Check if box would go off bottom of screen
+        if (boxTop + 200 > window.innerHeight) { // 200px estimated height
+            boxTop = rect.top - 220; // Position above with some margin
+        }
+        
+        // Check if box would go off top of screen
+        if (boxTop < 20) {
+            boxTop = 20; // Minimum top margin
+        }
+    }
+    
+    // Ensure box stays within horizontal bounds
+    const finalLeft = Math.max(10, Math.min(window.innerWidth - boxWidth - 10, boxLeft));
+    
+    tutorialBox.style.top = `${boxTop}px`;
+    tutorialBox.style.left = `${finalLeft}px`;
+    
+    tutorialPrevBtn.style.display = stepIndex === 0 ? 'none' : 'block';
+    tutorialNextBtn.textContent = t(stepIndex === steps.length - 1 ? 'tutorial.finish' : 'tutorial.next');
+    openDialog(tutorialOverlay, tutorialNextBtn, skipTutorial);
+    announce(`${document.getElementById('tutorial-title').textContent}. ${document.getElementById('tutorial-text').textContent}`);
+}
+
+
+
+function advanceTutorial(direction, steps, level) {
+        gameState.tutorial[level] += direction;
+        if(gameState.tutorial[level] < 0) gameState.tutorial[level] = 0;
+        saveGameState();
+        showTutorialStep(steps, level);
+}
+
+function skipTutorial() {
+    const activeScreenId = document.querySelector('.active-screen').id;
+    if (!activeScreenId.startsWith('level-')) return;
+    const levelKey = 'l' + activeScreenId.slice(-1);
+    
+    // Mark tutorial as completed for this level
+    const steps = getTutorialStepsByLevel()[levelKey];
+    gameState.tutorial[levelKey] = steps.length;
+    saveGameState();
+    
+    // Hide tutorial overlay (skip button is part of overlay)
+    hideTutorialOverlay();
 }
 
 /* ===========================================
@@ -430,14 +1919,22 @@ function skipTutorial() {
 */
 const L1_TUTORIAL_STEPS = [
     // Step 1: Basic interaction mechanics
-    { element: '#l1-game-area', title: 'Welcome to Training!', text: "Your goal is simple: PUMP the balloon to increase its value, but CASH OUT the score before it pops!"},
-    { element: '#global-banner', title: 'Global Player Data', text: "Here's what players around the world are earning. This data might offer a clue... or it might show you a biased strategy. An AI must learn to evaluate if external data is useful or misleading. Should you trust it?"},
-    { element: '#l1-data-panel', title: 'Your Personal Data', text: "As you play, your results will appear here. This is your AI's 'memory'. Use it to learn the balloon behaviors."},
-    { element: '#l1-data-panel .text-red-400', title: '🎯 Pattern Recognition & Strategy Building', text: "After a few successful runs, the <strong>Avg. Pumps</strong> stat appears for each color. This is your personal data!<br><br><strong>Think about it:</strong> Do you notice patterns? Are some colors consistently allowing more pumps before popping? <br><br>This is how AI learns! By analyzing patterns in data, you can develop strategies. <br><br><em>💡 Pro tip: If Red balloons average 8 pumps safely, maybe try 7 pumps next time to be safer, or 9 pumps to be more aggressive!</em>"},
-    { element: 'body', title: "AI's Short-Term Memory", text: "This panel shows your last 8 results. Think of this as an AI's <strong>Context Window</strong>. Like this panel, a GenAI model can only 'remember' a limited amount of recent information to make its next decision. Information that scrolls off is forgotten!<br><br><div class='mt-4 p-3 bg-indigo-800/50 rounded-lg'><div class='grid grid-cols-8 gap-2 justify-items-center text-center text-sm'><div class='w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-red-400 flex flex-col items-center justify-center text-white font-bold text-xs relative shadow-md' style='color: var(--tw-bg-red-400);'><span class='text-white'>7</span><span class='text-lg'>💰</span><div class='absolute bottom-[-4px] left-1/2 -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-6 border-l-transparent border-r-transparent' style='border-top-color: var(--tw-bg-red-400);'></div></div><div class='w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-blue-400 flex flex-col items-center justify-center text-white font-bold text-xs relative shadow-md' style='color: var(--tw-bg-blue-400);'><span class='text-white'>4</span><span class='text-lg'>💰</span><div class='absolute bottom-[-4px] left-1/2 -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-6 border-l-transparent border-r-transparent' style='border-top-color: var(--tw-bg-blue-400);'></div></div><div class='w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-green-400 flex flex-col items-center justify-center text-white font-bold text-xs relative shadow-md' style='color: var(--tw-bg-green-400);'><span class='text-white'>3</span><span class='text-lg'>💥</span><div class='absolute bottom-[-4px] left-1/2 -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-6 border-l-transparent border-r-transparent' style='border-top-color: var(--tw-bg-green-400);'></div></div><div class='w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-red-400 flex flex-col items-center justify-center text-white font-bold text-xs relative shadow-md' style='color: var(--tw-bg-red-400);'><span class='text-white'>9</span><span class='text-lg'>💰</span><div class='absolute bottom-[-4px] left-1/2 -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-6 border-l-transparent border-r-transparent' style='border-top-color: var(--tw-bg-red-400);'></div></div><div class='w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-blue-400 flex flex-col items-center justify-center text-white font-bold text-xs relative shadow-md' style='color: var(--tw-bg-blue-400);'><span class='text-white'>5</span><span class='text-lg'>💰</span><div class='absolute bottom-[-4px] left-1/2 -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-6 border-l-transparent border-r-transparent' style='border-top-color: var(--tw-bg-blue-400);'></div></div><div class='w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-green-400 flex flex-col items-center justify-center text-white font-bold text-xs relative shadow-md' style='color: var(--tw-bg-green-400);'><span class='text-white'>6</span><span class='text-lg'>💥</span><div class='absolute bottom-[-4px] left-1/2 -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-6 border-l-transparent border-r-transparent' style='border-top-color: var(--tw-bg-green-400);'></div></div><div class='w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-red-400 flex flex-col items-center justify-center text-white font-bold text-xs relative shadow-md' style='color: var(--tw-bg-red-400);'><span class='text-white'>8</span><span class='text-lg'>💰</span><div class='absolute bottom-[-4px] left-1/2 -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-6 border-l-transparent border-r-transparent' style='border-top-color: var(--tw-bg-red-400);'></div></div><div class='w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-blue-400 flex flex-col items-center justify-center text-white font-bold text-xs relative shadow-md' style='color: var(--tw-bg-blue-400);'><span class='text-white'>3</span><span class='text-lg'>💰</span><div class='absolute bottom-[-4px] left-1/2 -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-6 border-l-transparent border-r-transparent' style='border-top-color: var(--tw-bg-blue-400);'></div></div></div><p class='text-xs text-indigo-300 mt-2'>Example: Last 8 balloon results (💰 = cashed out, 💥 = popped)</p></div>"},
-    { element: '#l1-data-panel .text-green-400', title: 'Noisy Data!', text: "Watch out! Green balloons are highly unpredictable. In AI, this is called 'noisy data', and it's very difficult to make accurate predictions from it."},
-    { element: 'body', title: 'You are ready to begin!', text: "You've learned the basics! Time to test your knowledge. Good luck!"},
+    { element: '#l1-game-area', key: 'tutorial.l1.welcome', position: 'center' },
+    { element: '#global-banner', key: 'tutorial.l1.global' },
+    { element: '#l1-data-panel', key: 'tutorial.l1.personal' },
+    { element: '#l1-data-panel .text-red-400', key: 'tutorial.l1.patterns' },
+    { element: 'body', key: 'tutorial.l1.memory', position: 'center-tall', extra: () => renderContextWindowExample() },
+    { element: '#l1-data-panel .text-green-400', key: 'tutorial.l1.noise' },
+    { element: 'body', key: 'tutorial.l1.ready', position: 'center' },
 ];
+
+// The sample history shown with the Context Window step
+const CONTEXT_WINDOW_EXAMPLE = [['red', 7, false], ['blue', 4, false], ['green', 3, true], ['red', 9, false], ['blue', 5, false], ['green', 6, true], ['red', 8, false], ['blue', 3, false]];
+
+function renderContextWindowExample() {
+    const balloons = CONTEXT_WINDOW_EXAMPLE.map(([color, pumps, popped]) => `<div class='w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-${color}-400 flex flex-col items-center justify-center text-white font-bold text-xs relative shadow-md' style='color: var(--tw-bg-${color}-400);'><span class='text-white'>${pumps}</span><span class='text-lg'>${popped ? '💥' : '💰'}</span><div class='absolute bottom-[-4px] left-1/2 -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-6 border-l-transparent border-r-transparent' style='border-top-color: var(--tw-bg-${color}-400);'></div></div>`).join('');
+    return `<br><br><div class='mt-4 p-3 bg-indigo-800/50 rounded-lg'><div class='grid grid-cols-8 gap-2 justify-items-center text-center text-sm'>${balloons}</div><p class='text-xs text-indigo-300 mt-2'>${t('tutorial.l1.memory.example')}</p></div>`;
+}
 /* ===========================================
     LEVEL 2 TUTORIAL STEPS - HUMAN-IN-THE-LOOP AI TRAINING
     ===========================================
@@ -447,10 +1944,10 @@ const L1_TUTORIAL_STEPS = [
 */
 const L2_TUTORIAL_STEPS = [
     // Step 1: AI parameter configuration
-    { element: '#l2-control-panel', title: 'Build Your AI!', text: "Now you're the teacher. Use the sliders to set rules for your AI based on what you learned in Level 1. The AI will automatically cash in after this many pumps of each balloon type."},
-    { element: 'body', title: 'AI Insights', text: "This section will show you real-time insights about your AI's performance. Watch for patterns and learn from the data to improve your strategy!"},
-    { element: '#l2-simulation-panel', title: 'Live Simulation', text: "Your AI will now process 100 balloons based on your rules. Watch the performance monitor to see how it performs."},
-    { element: '#l2-start-stop-btn', title: 'Human-in-the-Loop', text: "Things not going well? You can PAUSE the simulation at any time to adjust your AI's rules. This is your role as a Human Supervisor!"},
+    { element: '#l2-control-panel', key: 'tutorial.l2.build', position: 'right' },
+    { element: 'body', key: 'tutorial.l2.insights' },
+    { element: '#l2-simulation-panel', key: 'tutorial.l2.simulation', position: 'left', params: () => ({ count: L2_BATCH_SIZE }) },
+    { element: '#l2-start-stop-btn', key: 'tutorial.l2.hitl' },
 ];
 
 /* ===========================================
@@ -463,13 +1960,29 @@ const L2_TUTORIAL_STEPS = [
 */
 const L3_TUTORIAL_STEPS = [
     // Step 1: Introduction to AI temperature concept
-    { element: '#level-3 .bg-gradient-to-br', title: '🌡️ AI Temperature Control', text: "Welcome to the Production Floor! Here you'll learn about <strong>AI Temperature</strong> - one of the most important concepts in modern AI. Temperature controls how 'creative' or 'conservative' your AI behaves."},
-    { element: '#l3-temp-display', title: 'Temperature Display', text: "This shows the current factory temperature. In AI terms, <strong>low temperature = stable, predictable behavior</strong> while <strong>high temperature = creative, risky behavior</strong>. Watch how it affects balloon stability!"},
-    { element: '#l3-start-stop-btn', title: '🚀 Start Production', text: "Click this to begin continuous balloon production. Your AI will process balloons forever, but the weather will change every 15-60 seconds, affecting balloon behavior!"},
-    { element: 'body', title: '🌤️ Weather Patterns', text: "Notice the weather effects? <strong>Hot weather = balloons pop easier</strong> (high temperature = risky AI). <strong>Cold weather = balloons more stable</strong> (low temperature = conservative AI). This is exactly how AI temperature works!"},
-    { element: 'body', title: '🎯 Pattern Recognition', text: "As you play, ask yourself: <strong>Do you notice the tendency of balloons to pop more in hot weather?</strong> This is the key insight - temperature directly affects AI behavior and decision-making!"},
-    { element: 'body', title: '🤖 AI Temperature in Real Life', text: "In real AI systems, temperature controls creativity vs stability. <strong>Low temp (0.1-0.3):</strong> Conservative, factual responses. <strong>High temp (0.7-1.0):</strong> Creative, varied responses. Your balloon factory simulates this perfectly!"},
-    { element: 'body', title: '🎮 Your Mission', text: "Adapt your pump settings based on the weather! When it's hot, reduce pumps to avoid losses. When it's cold, increase pumps for higher profits. This teaches you to tune AI temperature for optimal performance!"},
+    { element: '#level-3 .bg-gradient-to-br', key: 'tutorial.l3.intro' },
+    { element: '#l3-temp-display', key: 'tutorial.l3.display' },
+    { element: '#l3-start-stop-btn', key: 'tutorial.l3.start' },
+    { element: 'body', key: 'tutorial.l3.weather' },
+    { element: 'body', key: 'tutorial.l3.patterns' },
+    { element: 'body', key: 'tutorial.l3.realLife' },
+    { element: 'body', key: 'tutorial.l3.mission' },
+];
+
+/* ===========================================
+    LEVEL 4 TUTORIAL STEPS - EXPLORATION VS EXPLOITATION
+    ===========================================
+    These steps introduce the multi-armed bandit: mystery machines, a
+    limited budget of pulls, and regret as the cost of learning which
+    option is best.
+*/
+const L4_TUTORIAL_STEPS = [
+    { element: '#l4-game-area', key: 'tutorial.l4.welcome', position: 'center' },
+    { element: '#l4-machines', key: 'tutorial.l4.machines' },
+    { element: '#l4-status', key: 'tutorial.l4.budget' },
+    { element: '#l4-regret-panel', key: 'tutorial.l4.regret', position: 'left' },
+    { element: '#l4-bot-panel', key: 'tutorial.l4.bot', position: 'left' },
+    { element: 'body', key: 'tutorial.l4.ready', position: 'center' },
 ];
 
 // --- Navigation ---
@@ -496,7 +2009,7 @@ const l1BalloonArea = document.getElementById('l1-balloon-area');
 
 function startLevel1() {
     showScreen('level-1');
-    document.getElementById('l1-insights-title').textContent = "AI Insights";
+    document.getElementById('l1-insights-title').textContent = t('l1.insightsTitle');
     if (gameState.l1.balloonIndex >= L1_SEQUENCE.length) {
         endLevel1(true); 
     } else {
@@ -504,6 +2017,7 @@ function startLevel1() {
         document.getElementById('l1-summary-area').style.display = 'none';
         l1BalloonArea.style.display = 'flex';
         document.getElementById('l1-progress').style.display = 'block';
+        renderL1MemorySelect();
         setupNextL1Balloon();
         showTutorialStep(L1_TUTORIAL_STEPS, 'l1');
     }
@@ -520,41 +2034,60 @@ function setupNextL1Balloon() {
     gameState.l1.isPopping = false;
     if (gameState.l1.balloonIndex >= L1_SEQUENCE.length) { endLevel1(); return; }
     const type = L1_SEQUENCE[gameState.l1.balloonIndex];
-    gameState.l1.currentBalloon = { type: type, maxPumps: getRandomInt(...BALLOON_CONFIG[type].range), colorClass: BALLOON_CONFIG[type].color };
+    const stream = getL1BalloonStream(gameState.l1.balloonIndex);
+    gameState.l1.currentBalloon = { type: type, maxPumps: getRandomInt(...BALLOON_CONFIG[type].range, stream), colorClass: BALLOON_CONFIG[type].color };
     gameState.l1.currentPumps = 0;
     renderL1();
+    announce(t('announce.l1.balloon', { index: gameState.l1.balloonIndex + 1, total: L1_SEQUENCE.length, colour: getBalloonName(type) }));
 
     const index = gameState.l1.balloonIndex;
-    if (index === 0) setInsight("Every pump adds to the score, but also risk. How far will you push it?", 1);
-    else if (index === 4) setInsight("You've seen a few red balloons now. Have you developed a strategy? 🤔", 1);
-    else if (index === 8) setInsight("The data is changing. A good AI must adapt its strategy constantly.", 1);
-    else if (index === 12) setInsight("Trusting the global data can be misleading. What does YOUR data tell you?", 1);
+    if (index === 0) startLogSession('l1');
+    logEvent('l1', 'balloon', { index, color: type, maxPumps: gameState.l1.currentBalloon.maxPumps });
+    if (index === 0) setInsight(t('insight.l1.start'), 1);
+    else if (index === 4) setInsight(t('insight.l1.strategy'), 1);
+    else if (index === 8) setInsight(t('insight.l1.adapt'), 1);
+    else if (index === 12) setInsight(t('insight.l1.global'), 1);
     
     if(gameState.tutorial.l1 === 5 && type === 'green') showTutorialStep(L1_TUTORIAL_STEPS, 'l1');
 }
 
+// One "Personal Data" row per balloon type that appears in the Level 1 sequence
+function buildL1DataPanel() {
+    const types = getBalloonTypes().filter(type => L1_SEQUENCE.includes(type));
+    document.getElementById('l1-data-rows').innerHTML = types.map(color =>
+        `<div class="flex justify-between items-baseline"><span class="font-bold text-${getBalloonTextColor(color)} text-lg">${escapeHtml(getBalloonName(color))}:</span><div class="text-right"><span id="l1-${color}-score" class="text-xl font-mono">${formatMoney(0)}</span><span class="text-sm text-gray-400 block"><span data-i18n="l1.avgPumps">${t('l1.avgPumps')}</span> <span id="l1-${color}-avg">${formatNumber(0, 1)}</span></span><span id="l1-${color}-bot" class="l1-bot-stat text-xs text-indigo-300 block hidden"></span></div></div>`
+    ).join('');
+}
+
+// A balloon with a face that grows with every pump (also used by the replay viewer)
+function getBalloonHtml(colorClass, pumps) {
+    const scale = 1 + pumps * 0.08;
+    return `<div class="balloon bg-${colorClass}" style="--scale: ${scale}; transform: scale(${scale}); color: var(--tw-bg-${colorClass})"><div class="balloon-face"><div class="eye left" style="transform: scaleY(${1 + pumps * 0.05})"></div><div class="eye right" style="transform: scaleY(${1 + pumps * 0.05})"></div><div class="mouth"></div></div><div class="balloon-string"></div></div>`;
+}
+
 function renderL1() {
     const { currentBalloon, currentPumps } = gameState.l1;
-    const scale = 1 + currentPumps * 0.08;
-    l1BalloonArea.innerHTML = `<div class="balloon bg-${currentBalloon.colorClass}" style="--scale: ${scale}; transform: scale(${scale}); color: var(--tw-bg-${currentBalloon.colorClass})"><div class="balloon-face"><div class="eye left" style="transform: scaleY(${1 + currentPumps * 0.05})"></div><div class="eye right" style="transform: scaleY(${1 + currentPumps * 0.05})"></div><div class="mouth"></div></div><div class="balloon-string"></div></div>`;
-    document.getElementById('l1-progress').textContent = `Balloon ${gameState.l1.balloonIndex + 1} of ${L1_SEQUENCE.length}`;
-    document.getElementById('l1-current-score').textContent = currentPumps;
-    
-    Object.keys(gameState.l1.stats).forEach(color => {
+    l1BalloonArea.innerHTML = getBalloonHtml(currentBalloon.colorClass, currentPumps);
+    l1BalloonArea.setAttribute('aria-label', t('announce.l1.balloonLabel', { colour: getBalloonName(currentBalloon.type), pumps: currentPumps }));
+    document.getElementById('l1-progress').textContent = t('l1.progress', { index: gameState.l1.balloonIndex + 1, total: L1_SEQUENCE.length });
+    document.getElementById('l1-current-score').textContent = formatMoney(currentPumps);
+    renderL1Stats();
+    renderL1Bot();
+    renderL1History();
+}
+
+// Personal Data rows - from the context window when it is limited
+function renderL1Stats() {
+    const stats = getL1WindowStats();
+    Object.keys(stats).forEach(color => {
         if (document.getElementById(`l1-${color}-score`)) {
-            const stat = gameState.l1.stats[color] || { score: 0, pumps: 0, count: 0};
-            document.getElementById(`l1-${color}-score`).textContent = `$${stat.score}`;
-            const avg = stat.count > 0 ? (stat.pumps / stat.count).toFixed(1) : '0.0';
-            document.getElementById(`l1-${color}-avg`).textContent = avg;
+            const stat = stats[color] || { score: 0, pumps: 0, count: 0};
+            document.getElementById(`l1-${color}-score`).textContent = formatMoney(stat.score);
+            document.getElementById(`l1-${color}-avg`).textContent = formatNumber(stat.count > 0 ? stat.pumps / stat.count : 0, 1);
         }
     });
-
-    const historyEl = document.getElementById('l1-history');
-    historyEl.innerHTML = (gameState.l1.history || []).map(h => {
-        const colorClass = BALLOON_CONFIG[h.type].color;
-        const popClass = h.popped ? 'opacity-60' : '';
-        return `<div class="w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-${colorClass} ${popClass} flex flex-col items-center justify-center text-white font-bold text-xs relative shadow-md" style="color: var(--tw-bg-${colorClass});"><span class="text-white">${h.pumps}</span><span class="text-lg">${h.popped ? '💥' : '💰'}</span><div class="absolute bottom-[-4px] left-1/2 -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-6 border-l-transparent border-r-transparent" style="border-top-color: var(--tw-bg-${colorClass});"></div></div>`;
-    }).join('');
+    const size = gameState.l1.contextWindow;
+    document.getElementById('l1-memory-note').textContent = size ? t('l1.memory.limitedNote', { count: size }) : t('l1.memory.unlimitedNote');
 }
 
 /* ===========================================
@@ -582,12 +2115,14 @@ function handleL1Pump() {
     
     // Increment pump count (simulating AI parameter adjustment)
     gameState.l1.currentPumps++;
+    logEvent('l1', 'pump', { pumps: gameState.l1.currentPumps });
     
     // Check if balloon exceeds maximum capacity (AI overfitting/overconfidence)
     if (gameState.l1.currentPumps > gameState.l1.currentBalloon.maxPumps) { 
         handleL1Pop(); // Balloon pops - AI failure
     } else { 
         renderL1(); // Update display - continue learning
+        announce(t('announce.l1.pump', { pumps: gameState.l1.currentPumps, amount: formatMoney(gameState.l1.currentPumps) }), 'l1-pump');
     }
 }
 
@@ -599,11 +2134,14 @@ function handleL1Bank() {
     gameState.l1.stats[type].pumps += pumps;
     gameState.l1.stats[type].count++;
     addToL1History(type, pumps, false);
+    logEvent('l1', 'bank', { color: type, pumps });
+    announce(t('announce.l1.bank', { amount: formatMoney(pumps), colour: getBalloonName(type) }));
+    playL1Bot();
     gameState.l1.balloonIndex++;
     saveGameState();
     
     if (gameState.tutorial.l1 <= 2) showTutorialStep(L1_TUTORIAL_STEPS, 'l1');
-    if (gameState.tutorial.l1 === 3 && gameState.l1.stats.red.count > 1) {
+    if (gameState.tutorial.l1 === 3 && gameState.l1.stats[type].count > 1) {
             showTutorialStep(L1_TUTORIAL_STEPS, 'l1');
     }
     setupNextL1Balloon();
@@ -616,6 +2154,9 @@ function handleL1Pop() {
     if (balloonEl) { createExplosion(l1BalloonArea, type); balloonEl.style.display = 'none'; }
     gameState.l1.stats[type].count++;
     addToL1History(type, maxPumps, true);
+    logEvent('l1', 'pop', { color: type, pumps: gameState.l1.currentPumps });
+    announce(t('announce.l1.pop', { colour: getBalloonName(type), pumps: gameState.l1.currentPumps }));
+    playL1Bot();
     saveGameState();
     setTimeout(() => { gameState.l1.balloonIndex++; setupNextL1Balloon(); }, 500);
 }
@@ -623,10 +2164,161 @@ function handleL1Pop() {
 function addToL1History(type, pumps, popped) {
     if(!gameState.l1.history) gameState.l1.history = [];
     gameState.l1.history.unshift({ type, pumps, popped });
-    if (gameState.l1.history.length > 8) gameState.l1.history.pop();
+    const size = gameState.l1.contextWindow;
+    if (size && gameState.l1.history.length > size) forgetL1Balloons(gameState.l1.history.slice(size, size + 1));
+    if (gameState.l1.history.length > L1_HISTORY_LIMIT) gameState.l1.history.pop();
     if (gameState.tutorial.l1 === 4) showTutorialStep(L1_TUTORIAL_STEPS, 'l1');
 }
 
+/* ===========================================
+    CONTEXT WINDOW - HOW MUCH THE PLAYER REMEMBERS
+    ===========================================
+    The history panel is the player's context window, and its size can
+    be set to a few balloons or to unlimited. In a limited window the
+    Personal Data stats are worked out only from the balloons still in
+    it, and a balloon that drops out fades away - it's forgotten, just
+    like text that scrolls out of a language model's context. Unlimited
+    keeps the classic rules: the stats remember every balloon and the
+    panel shows the most recent few.
+*/
+const L1_CONTEXT_WINDOWS = [3, 8, 20, 0];   // 0 = unlimited
+const L1_UNLIMITED_HISTORY_SHOWN = 8;
+const L1_HISTORY_LIMIT = Math.max(...L1_CONTEXT_WINDOWS);
+const L1_FORGET_FADE_MS = 1200;            // Matches .context-evicted in animations.css
+
+// Balloons that just dropped out of the window, still fading - never saved
+let l1Forgotten = { entries: [], at: 0 };
+
+function forgetL1Balloons(entries) {
+    l1Forgotten = { entries, at: Date.now() };
+    // Faded balloons still hold their grid cells until the panel is rebuilt
+    setTimeout(renderL1History, L1_FORGET_FADE_MS);
+}
+
+function getL1WindowStats() {
+    const size = gameState.l1.contextWindow;
+    if (!size) return gameState.l1.stats;
+    const stats = PopLogicEngine.createStats(getBalloonTypes());
+    gameState.l1.history.slice(0, size).forEach(entry => {
+        PopLogicEngine.recordResult(stats, { type: entry.type, pumps: entry.pumps, popped: entry.popped, score: entry.popped ? 0 : entry.pumps });
+    });
+    return stats;
+}
+
+function renderL1HistoryBalloon(entry, extraClass = '', extraStyle = '') {
+    const colorClass = BALLOON_CONFIG[entry.type] ? BALLOON_CONFIG[entry.type].color : 'gray-400';
+    const popClass = entry.popped ? 'opacity-60' : '';
+    return `<div class="w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-${colorClass} ${popClass} ${extraClass} flex flex-col items-center justify-center text-white font-bold text-xs relative shadow-md" style="color: var(--tw-bg-${colorClass});${extraStyle}"><span class="text-white">${entry.pumps}</span><span class="text-lg">${entry.popped ? '💥' : '💰'}</span><div class="absolute bottom-[-4px] left-1/2 -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-6 border-l-transparent border-r-transparent" style="border-top-color: var(--tw-bg-${colorClass});"></div></div>`;
+}
+
+function renderL1History() {
+    const size = gameState.l1.contextWindow;
+    const shown = size || L1_UNLIMITED_HISTORY_SHOWN;
+    const balloons = (gameState.l1.history || []).slice(0, shown).map(entry => renderL1HistoryBalloon(entry));
+    // The panel is rebuilt on every pump, so a fade carries on from where it had got to
+    const elapsed = Date.now() - l1Forgotten.at;
+    if (elapsed < L1_FORGET_FADE_MS) {
+        l1Forgotten.entries.forEach(entry => balloons.push(renderL1HistoryBalloon(entry, 'context-evicted', ` animation-delay: -${elapsed}ms;`)));
+    }
+    document.getElementById('l1-history').innerHTML = balloons.join('');
+    document.getElementById('l1-history-title').textContent = t('l1.historyTitle', { count: shown });
+}
+
+function renderL1MemorySelect() {
+    const select = document.getElementById('l1-memory-select');
+    select.innerHTML = L1_CONTEXT_WINDOWS.map(size =>
+        `<option value="${size}">${size ? t('l1.memory.size', { count: size }) : t('l1.memory.unlimited')}</option>`
+    ).join('');
+    select.value = String(gameState.l1.contextWindow);
+}
+
+function setL1ContextWindow(size) {
+    const oldShown = gameState.l1.contextWindow || L1_UNLIMITED_HISTORY_SHOWN;
+    if (size && size < oldShown) forgetL1Balloons(gameState.l1.history.slice(size, oldShown));
+    gameState.l1.contextWindow = size;
+    saveGameState();
+    renderL1Stats();
+    renderL1History();
+    announce(size ? t('l1.memory.limitedNote', { count: size }) : t('l1.memory.unlimitedNote'));
+}
+
+/* ===========================================
+    MACHINE LEARNER OPPONENT
+    ===========================================
+    An optional bot plays every Level 1 balloon right after the student,
+    using the engine's threshold learner: one stopping rule per colour,
+    improved only from the same bank/pop feedback the student sees.
+    It has to be switched on before the first balloon so the
+    head-to-head at the end is a fair race.
+*/
+function setL1BotEnabled(enabled) {
+    if (gameState.l1.balloonIndex > 0) return;
+    gameState.l1.bot.enabled = enabled;
+    gameState.l1.bot.learner = null;
+    saveGameState();
+    renderL1();
+}
+
+function playL1Bot() {
+    const bot = gameState.l1.bot;
+    if (!bot.enabled) return;
+    if (!bot.learner) bot.learner = PopLogicEngine.createThresholdLearner(getBalloonTypes().filter(type => L1_SEQUENCE.includes(type)));
+    PopLogicEngine.playLearnerBalloon(bot.learner, gameState.l1.currentBalloon);
+}
+
+function getL1BotScore(type) {
+    const history = gameState.l1.bot.learner ? gameState.l1.bot.learner.history : [];
+    return history.filter(entry => !type || entry.type === type).reduce((sum, entry) => sum + entry.score, 0);
+}
+
+function renderL1Bot() {
+    const bot = gameState.l1.bot;
+    const toggle = document.getElementById('l1-bot-toggle');
+    toggle.checked = bot.enabled;
+    toggle.disabled = gameState.l1.balloonIndex > 0;
+    toggle.parentElement.title = toggle.disabled ? t('l1.bot.locked') : '';
+
+    document.querySelectorAll('.l1-bot-stat').forEach(el => el.classList.toggle('hidden', !bot.enabled));
+    const summaryEl = document.getElementById('l1-bot-summary');
+    summaryEl.classList.toggle('hidden', !bot.enabled);
+    if (!bot.enabled) return;
+
+    getBalloonTypes().forEach(color => {
+        const el = document.getElementById(`l1-${color}-bot`);
+        if (el) el.textContent = t('l1.bot.stat', { amount: formatMoney(getL1BotScore(color)), pumps: bot.learner ? PopLogicEngine.getLearnerThreshold(bot.learner, color) : '?' });
+    });
+    const playerScore = Object.values(gameState.l1.stats).reduce((sum, s) => sum + s.score, 0);
+    const last = bot.learner && bot.learner.history[bot.learner.history.length - 1];
+    summaryEl.innerHTML = `
+        <p class="font-bold">${t('l1.bot.score', { player: `<span class="text-yellow-300">${formatMoney(playerScore)}</span>`, bot: `<span class="text-yellow-300">${formatMoney(getL1BotScore())}</span>` })}</p>
+        <p class="text-xs text-indigo-300 mt-1">${last
+            ? t(last.popped ? 'l1.bot.lastPopped' : 'l1.bot.lastBanked', { pumps: last.pumps, colour: escapeHtml(getBalloonName(last.type)), amount: formatMoney(last.score), next: last.thresholdAfter })
+            : t('l1.bot.intro')}</p>`;
+}
+
+// How each colour's learned threshold moved over the level, e.g. "3 → 4 → 💥 5"
+function describeL1BotLearning() {
+    const history = gameState.l1.bot.learner ? gameState.l1.bot.learner.history : [];
+    const types = getBalloonTypes().filter(type => history.some(entry => entry.type === type));
+    return types.map(color => {
+        const entries = history.filter(entry => entry.type === color);
+        const steps = [entries[0].thresholdBefore].concat(entries.map(entry => `${entry.popped ? '💥 ' : ''}${entry.thresholdAfter}`));
+        return `<p><strong><span class="text-${getBalloonTextColor(color)}">${escapeHtml(getBalloonName(color))}:</span></strong> ${t('l1.bot.stoppingPoint', { steps: steps.join(' → ') })} <span class="text-indigo-400">(${formatMoney(getL1BotScore(color))})</span></p>`;
+    }).join('');
+}
+
+function renderL1BotHeadToHead(playerScore) {
+    if (!gameState.l1.bot.enabled || !gameState.l1.bot.learner) return '';
+    const botScore = getL1BotScore();
+    const verdict = t(playerScore > botScore ? 'l1.bot.won' : playerScore < botScore ? 'l1.bot.lost' : 'l1.bot.tie');
+    return `
+        <div class="bg-indigo-900/50 p-4 rounded-2xl mt-4 text-sm">
+            <p class="text-lg font-bold">${t('l1.bot.score', { player: formatMoney(playerScore), bot: formatMoney(botScore) })} - ${verdict}</p>
+            <p class="text-indigo-300 mb-2">${t('l1.bot.explain', { pumps: gameState.l1.bot.learner.history[0].thresholdBefore })}</p>
+            <div class="text-left space-y-1">${describeL1BotLearning()}</div>
+        </div>`;
+}
+
 function endLevel1(isReview = false) {
     let totalScore = 0;
     if (!isReview) {
@@ -635,7 +2327,9 @@ function endLevel1(isReview = false) {
         if (totalScore > (gameState.l1.bestScore || 0)) {
             gameState.l1.bestScore = totalScore;
         }
+        endLogSession('l1', { score: totalScore });
         saveGameState();
+        syncClassResults();
     }
     
     totalScore = Object.values(gameState.l1.stats).reduce((sum, s) => sum + s.score, 0);
@@ -647,29 +2341,47 @@ function endLevel1(isReview = false) {
     document.getElementById('l1-controls').style.display = 'none';
     
     document.getElementById('l1-score-summary').innerHTML = `
-        <p class="text-2xl font-semibold text-indigo-200">YOU EARNED</p>
-        <p class="text-6xl font-bold text-yellow-300 my-2">$${totalScore}</p>
+        <p class="text-2xl font-semibold text-indigo-200">${t('l1.youEarned')}</p>
+        <p class="text-6xl font-bold text-yellow-300 my-2">${formatMoney(totalScore)}</p>
         <p class="text-lg font-semibold ${isNewBest ? 'text-green-400' : 'text-indigo-300'}">
-            ${isNewBest ? 'New Best Score!' : `Best Score: $${gameState.l1.bestScore}`}
+            ${isNewBest ? t('l1.newBest') : t('l1.bestScore', { score: formatMoney(gameState.l1.bestScore) })}
         </p>
+        ${renderL1BotHeadToHead(totalScore)}
     `;
 
     document.getElementById('l1-summary-area').style.display = 'block';
-    document.getElementById('l1-insights-title').textContent = "Final Data Insights";
-    setInsight(`<div class="text-left text-sm space-y-1">
-            <p><strong><span class="text-red-400">Red:</span></strong> High risk, high reward. A tempting but dangerous choice.</p>
-            <p><strong><span class="text-blue-400">Blue:</span></strong> Very predictable. Low risk, but the profits are smaller.</p>
-            <p><strong><span class="text-green-400">Green:</span></strong> Highly unpredictable 'noisy data'. It's tough to form a reliable strategy here.</p>
-        </div>`, 1);
+    announce(t('announce.l1.end', { amount: formatMoney(totalScore) }));
+    document.getElementById('l1-insights-title').textContent = t('l1.finalInsightsTitle');
+    const insightRows = getBalloonTypes().filter(type => L1_SEQUENCE.includes(type)).map(type => {
+        const { label, text } = describeL1Balloon(type);
+        return `<p><strong><span class="text-${getBalloonTextColor(type)}">${label}</span></strong> ${text}</p>`;
+    });
+    setInsight(`<div class="text-left text-sm space-y-1">${insightRows.join('')}</div>`, 1);
     renderEducationalSlides('l1', 0);
+    renderQuizSummaries();
+}
+
+// Colours with a hand-written closing note, used while they keep their Classic name and range
+const L1_CLASSIC_INSIGHT_TYPES = ['red', 'blue', 'green'];
+
+// The closing note on one Level 1 colour; other colours are described from their pop range
+function describeL1Balloon(type) {
+    const [min, max] = BALLOON_CONFIG[type].range;
+    const classic = DEFAULT_LEVEL_PACK.balloons[type];
+    if (L1_CLASSIC_INSIGHT_TYPES.includes(type) && classic.name === getBalloonName(type) && classic.range[0] === min && classic.range[1] === max) {
+        return { label: t(`insight.l1.final.${type}Label`), text: t(`insight.l1.final.${type}`) };
+    }
+    const spread = max - min;
+    const kind = spread <= 2 ? 'predictable' : spread >= 10 ? 'noisy' : 'risky';
+    return { label: `${escapeHtml(getBalloonName(type))}:`, text: t(`insight.l1.final.${kind}`, { min, max }) };
 }
 
 // --- Educational Slides ---
 const EDUCATIONAL_SLIDES = {
     l1: [
-        { title: "You Are The AI!", text: "You just performed <strong>Pattern Recognition</strong>. By observing data (balloons popping), your brain created a mental model to predict future outcomes. This is the fundamental concept behind most AI systems!" },
-        { title: "Beware of Bias!", text: "Did the first four Red balloons make you feel overconfident? This is a form of <strong>Selection Bias</strong>, where early data skews your model. An AI trained only on this data might make dangerously risky decisions." },
-        { title: "Handling 'Noisy' Data", text: "Green balloons were chaotic, right? This represents <strong>'Noisy Data'</strong> in AI. It's difficult to find a reliable pattern in noisy data, which can lead to poor predictions and overfitting." }
+        { key: 'slides.l1.youAreTheAi' },
+        { key: 'slides.l1.bias' },
+        { key: 'slides.l1.noise' }
     ]
 };
 
@@ -679,7 +2391,10 @@ function renderEducationalSlides(level, index) {
     const slides = EDUCATIONAL_SLIDES[level];
     const slide = slides[index];
     const contentEl = document.getElementById('slide-content');
-    contentEl.innerHTML = `<h3 class="text-2xl font-bold mb-2">${slide.title}</h3><p class="text-indigo-200">${slide.text}</p>`;
+    // Built-in slides come from the catalogue, level pack slides carry their own text
+    const title = slide.key ? t(`${slide.key}.title`) : slide.title;
+    const text = slide.key ? t(`${slide.key}.text`) : slide.text;
+    contentEl.innerHTML = `<h3 class="text-2xl font-bold mb-2">${title}</h3><p class="text-indigo-200">${text}</p>`;
     document.getElementById('slide-indicator').textContent = `${index + 1} / ${slides.length}`;
     document.getElementById('prev-slide-btn').disabled = index === 0;
     document.getElementById('next-slide-btn').disabled = index === slides.length - 1;
@@ -696,11 +2411,16 @@ const l2ModalCloseBtn = document.getElementById('l2-modal-close');
 
 function startLevel2() {
     showScreen('level-2');
-    if (gameState.l2.processedCount >= 100) {
+    if (gameState.l2.processedCount >= L2_BATCH_SIZE) {
         endLevel2(true);
     } else {
         buildPerformanceMonitor('l2');
         updateL2Stats();
+        refreshL2Charts(true);
+        document.getElementById('l2-drift-scenario').value = gameState.l2.drift.scenario;
+        renderL2DriftStatus();
+        renderL2SplitControls();
+        renderL2ReviewControls();
         displayPastStrategies(); // Show past strategies
         showTutorialStep(L2_TUTORIAL_STEPS, 'l2');
     }
@@ -719,29 +2439,30 @@ function buildPerformanceMonitor(level) {
     monitorEl.innerHTML = Object.keys(BALLOON_CONFIG).map(color => `
         <div>
             <div class="flex justify-between items-baseline mb-1">
-                <span class="font-bold text-${BALLOON_CONFIG[color].color}">${color.charAt(0).toUpperCase() + color.slice(1)}</span>
+                <span class="font-bold text-${BALLOON_CONFIG[color].color}">${escapeHtml(getBalloonName(color))}${level === 'l2' ? ` <span id="l2-${color}-drift" class="text-xs text-amber-300 hidden">${t('l2.drift.badge')}</span>` : ''}</span>
                 <div class="text-right">
                     <span id="${level}-${color}-avg-score" class="font-mono text-lg">$0.0</span>
-                    <span class="text-xs text-indigo-300 block">Avg. Score</span>
+                    <span class="text-xs text-indigo-300 block" data-i18n="monitor.avgScore">${t('monitor.avgScore')}</span>
                 </div>
                 <div class="text-right">
                     <span id="${level}-${color}-pop-rate" class="font-mono text-lg">0%</span>
-                        <span class="text-xs text-indigo-300 block">Pop Rate</span>
+                        <span class="text-xs text-indigo-300 block" data-i18n="monitor.popRate">${t('monitor.popRate')}</span>
                 </div>
             </div>
             <div class="performance-bar"><div id="${level}-${color}-perf-bar" class="performance-bar-inner"></div></div>
+            <div id="${level}-${color}-expected" class="text-xs text-indigo-400 mt-1"></div>
         </div>
     `).join('');
 }
 
 function updatePerformanceMonitor(level) {
         Object.keys(BALLOON_CONFIG).forEach(color => {
-        const stats = gameState[level].stats[color];
+        const stats = gameState[level].stats[color] || { score: 0, pops: 0, count: 0 };
         const avgScore = stats.count > 0 ? (stats.score / stats.count) : 0;
         const popRate = stats.count > 0 ? (stats.pops / stats.count) * 100 : 0;
         
-        document.getElementById(`${level}-${color}-avg-score`).textContent = `$${avgScore.toFixed(1)}`;
-        document.getElementById(`${level}-${color}-pop-rate`).textContent = `${popRate.toFixed(0)}%`;
+        document.getElementById(`${level}-${color}-avg-score`).textContent = formatMoney(avgScore, 1);
+        document.getElementById(`${level}-${color}-pop-rate`).textContent = formatPercent(popRate);
         
         const bar = document.getElementById(`${level}-${color}-perf-bar`);
         const maxAvg = BALLOON_CONFIG[color].range[1];
@@ -749,55 +2470,152 @@ function updatePerformanceMonitor(level) {
 
         bar.style.width = `${perfPercent}%`;
         // Use balloon colors instead of performance colors
-        if (color === 'red') {
-            bar.className = 'performance-bar-inner bg-red-500';
-        } else if (color === 'blue') {
-            bar.className = 'performance-bar-inner bg-blue-400';
-        } else if (color === 'green') {
-            bar.className = 'performance-bar-inner bg-green-400';
-        } else if (color === 'yellow') {
-            bar.className = 'performance-bar-inner bg-yellow-400';
-        }
+        bar.className = `performance-bar-inner bg-${BALLOON_CONFIG[color].color}`;
+
+        // Observed vs. the exact model for the current setting
+        const range = getModelRange(level, color);
+        const pumps = getSliderPumps(level, color);
+        document.getElementById(`${level}-${color}-expected`).textContent =
+            t(level === 'l3' ? 'monitor.modelAtTemperature' : 'monitor.model', {
+                amount: formatMoney(PopLogicEngine.getExpectedScore(range, pumps), 1),
+                popChance: formatPercent(PopLogicEngine.getPopProbability(range, pumps) * 100),
+                pumps,
+                temperature: gameState.l3.temperature
+            });
         });
 }
 
-function setupL2Controls() { ['red', 'blue', 'green', 'yellow'].forEach(color => { const slider = document.getElementById(`l2-${color}-pumps`); const valSpan = document.getElementById(`l2-${color}-val`); slider.addEventListener('input', () => { valSpan.textContent = slider.value; if (!gameState.l2.isRunning) updateL2Strategy(); }); }); }
-function updateL2Strategy() { ['red', 'blue', 'green', 'yellow'].forEach(color => { gameState.l2.strategy[color] = parseInt(document.getElementById(`l2-${color}-pumps`).value); }); }
-
-function disableL2Sliders() {
-    ['red', 'blue', 'green', 'yellow'].forEach(color => {
-        const slider = document.getElementById(`l2-${color}-pumps`);
-        slider.disabled = true;
-        slider.style.opacity = '0.5';
-        slider.style.cursor = 'not-allowed';
+/**
+ * Builds one pump slider per balloon type into #<level>-strategy-sliders.
+ * Sliders start from the level's current strategy where it has a value.
+ */
+function buildStrategySliders(level, onChange) {
+    const container = document.getElementById(`${level}-strategy-sliders`);
+    container.innerHTML = getBalloonTypes().map(color => {
+        const settings = getSliderSettings(level, color);
+        const saved = gameState[level].strategy[color];
+        const value = saved !== undefined ? saved : settings.value;
+        return `<div class="flex items-center gap-4"><label for="${level}-${color}-pumps" class="font-bold text-${getBalloonTextColor(color)} w-16">${escapeHtml(getBalloonName(color))}:</label><input type="range" id="${level}-${color}-pumps" min="${settings.min}" max="${settings.max}" value="${value}" class="${level === 'l2' ? 'flex-1' : 'w-full'}"><span id="${level}-${color}-val" class="font-mono w-8 text-center">${value}</span></div>`;
+    }).join('');
+    renderExpectedValuePanel(level);
+    getBalloonTypes().forEach(color => {
+        const slider = document.getElementById(`${level}-${color}-pumps`);
+        const valSpan = document.getElementById(`${level}-${color}-val`);
+        slider.addEventListener('input', () => { valSpan.textContent = slider.value; if (!gameState[level].isRunning) onChange(); renderExpectedValuePanel(level); });
+        slider.addEventListener('change', () => logEvent(level, 'slider', { color, value: parseInt(slider.value) }));
     });
 }
 
-function enableL2Sliders() {
-    ['red', 'blue', 'green', 'yellow'].forEach(color => {
-        const slider = document.getElementById(`l2-${color}-pumps`);
-        slider.disabled = false;
-        slider.style.opacity = '1';
-        slider.style.cursor = 'pointer';
-    });
-}
+/* ===========================================
+    EXPECTED VALUE MODEL - THE TRUE ODDS
+    ===========================================
+    Pop ranges are known and capacities are drawn uniformly, so every
+    pump setting has an exact expected score and pop probability. The
+    panel plots both for each colour, marking the student's slider and
+    the optimum, and the performance monitors show the model's numbers
+    next to the observed ones so sampling noise becomes visible.
+    Level 3 uses the pop ranges at the current factory temperature.
+*/
+function getModelRange(level, color) {
+    const range = BALLOON_CONFIG[color].range;
+    if (level !== 'l3') return range;
+    return PopLogicEngine.getTemperatureRange(range, gameState.l3.temperature, L3_TEMPERATURE_SCALING);
+}
+
+function getSliderPumps(level, color) {
+    if (level === 'l3' && gameState.l3.policy.enabled) return getActiveL3Strategy()[color] || 0;
+    const slider = document.getElementById(`${level}-${color}-pumps`);
+    return slider ? parseInt(slider.value) : (gameState[level].strategy[color] || 0);
+}
+
+function renderExpectedValueChart(level, color) {
+    const width = 160;
+    const height = 70;
+    const range = getModelRange(level, color);
+    const maxPumps = Math.max(getSliderSettings(level, color).max, range[1] + 1);
+    const curve = PopLogicEngine.getExpectedValueCurve(range, maxPumps);
+    const optimum = PopLogicEngine.getOptimalPumps(range);
+    const maxScore = Math.max(1, optimum.expectedScore);
+    const x = pumps => (pumps / maxPumps) * width;
+    const yScore = score => height - (score / maxScore) * (height - 4);
+    const yProb = prob => height - prob * (height - 4);
+    const evLine = curve.map(p => `${x(p.pumps).toFixed(1)},${yScore(p.expectedScore).toFixed(1)}`).join(' ');
+    const popLine = curve.map(p => `${x(p.pumps).toFixed(1)},${yProb(p.popProbability).toFixed(1)}`).join(' ');
+    const current = getSliderPumps(level, color);
+    const chartColor = BALLOON_CONFIG[color].chartColor;
+    return `
+        <svg viewBox="0 0 ${width} ${height}" class="w-full h-20 bg-indigo-900/50 rounded" role="img" aria-label="${t('model.chartLabel', { colour: escapeHtml(getBalloonName(color)) })}">
+            <line x1="${x(optimum.pumps)}" y1="0" x2="${x(optimum.pumps)}" y2="${height}" stroke="#4ADE80" stroke-width="1.5" stroke-dasharray="3 2" />
+            <line x1="${x(current)}" y1="0" x2="${x(current)}" y2="${height}" stroke="#FFFFFF" stroke-width="1.5" />
+            <polyline points="${popLine}" fill="none" stroke="#F87171" stroke-width="1" stroke-dasharray="2 2" />
+            <polyline points="${evLine}" fill="none" stroke="${escapeHtml(chartColor)}" stroke-width="2" />
+        </svg>`;
+}
+
+function renderExpectedValuePanel(level) {
+    const panel = document.getElementById(`${level}-ev-panel`);
+    if (!panel) return;
+    panel.innerHTML = getBalloonTypes().map(color => {
+        const range = getModelRange(level, color);
+        const current = getSliderPumps(level, color);
+        const optimum = PopLogicEngine.getOptimalPumps(range);
+        return `
+            <div>
+                <div class="flex justify-between items-baseline text-xs mb-1">
+                    <span class="font-bold text-${getBalloonTextColor(color)}">${escapeHtml(getBalloonName(color))} <span class="font-normal text-indigo-400">${range[0]}-${range[1]}</span></span>
+                    <span class="text-indigo-300">${t('model.best', { pumps: optimum.pumps, amount: formatMoney(optimum.expectedScore, 1) })}</span>
+                </div>
+                ${renderExpectedValueChart(level, color)}
+                <div class="text-xs text-indigo-300 mt-1">${t('model.yours', { pumps: current, amount: formatMoney(PopLogicEngine.getExpectedScore(range, current), 1), popChance: formatPercent(PopLogicEngine.getPopProbability(range, current) * 100) })}</div>
+            </div>`;
+    }).join('');
+}
+
+function setupL2Controls() { buildStrategySliders('l2', updateL2Strategy); }
+function updateL2Strategy() { getBalloonTypes().forEach(color => { gameState.l2.strategy[color] = parseInt(document.getElementById(`l2-${color}-pumps`).value); }); }
+
+function disableL2Sliders() {
+    getBalloonTypes().forEach(color => {
+        const slider = document.getElementById(`l2-${color}-pumps`);
+        slider.disabled = true;
+        slider.style.opacity = '0.5';
+        slider.style.cursor = 'not-allowed';
+    });
+    document.getElementById('l2-drift-scenario').disabled = true;
+    document.getElementById('l2-split-toggle').disabled = true;
+    document.getElementById('l2-split-shift').disabled = true;
+    document.getElementById('l2-review-toggle').disabled = true;
+}
+
+function enableL2Sliders() {
+    getBalloonTypes().forEach(color => {
+        const slider = document.getElementById(`l2-${color}-pumps`);
+        slider.disabled = false;
+        slider.style.opacity = '1';
+        slider.style.cursor = 'pointer';
+    });
+    document.getElementById('l2-drift-scenario').disabled = false;
+    renderL2SplitControls();
+    renderL2ReviewControls();
+}
 
 function resetL2Simulation() {
     // Reset processed count
     gameState.l2.processedCount = 0;
     
+    // Every run replays the same seeded balloon stream so strategies are compared fairly
+    gameState.l2.rng = createRandomStream(gameState.seed, 'l2');
+    
     // Reset earned amount
     gameState.l2.totalEarned = 0;
-    document.getElementById('l2-earned-amount').textContent = '0';
+    document.getElementById('l2-earned-amount').textContent = formatMoney(0);
     
     // Reset stats
-    const statsTemplate = { score: 0, pops: 0, count: 0, pumps: 0 };
-    gameState.l2.stats = {
-        red: {...statsTemplate},
-        blue: {...statsTemplate},
-        green: {...statsTemplate},
-        yellow: {...statsTemplate}
-    };
+    gameState.l2.stats = PopLogicEngine.createStats(getBalloonTypes());
+    gameState.l2.series = { earned: [], popRate: {} };
+    refreshL2Charts();
+    startL2Drift();
+    startL2Review();
     
     // Clear conveyor belt
     const conveyor2 = document.getElementById('l2-conveyor');
@@ -812,39 +2630,18 @@ function resetL2Simulation() {
 
 function saveL2Strategy() {
     // Calculate performance summary
-    const performance = {};
-    let totalScore = 0;
-    let totalPops = 0;
-    let totalCount = 0;
-    
-    ['red', 'blue', 'green', 'yellow'].forEach(color => {
-        const stats = gameState.l2.stats[color];
-        const avgScore = stats.count > 0 ? (stats.score / stats.count) : 0;
-        const popRate = stats.count > 0 ? (stats.pops / stats.count) * 100 : 0;
-        
-        performance[color] = {
-            avgScore: avgScore,
-            popRate: popRate,
-            count: stats.count
-        };
-        
-        totalScore += stats.score;
-        totalPops += stats.pops;
-        totalCount += stats.count;
-    });
-    
-    const overallPopRate = totalCount > 0 ? (totalPops / totalCount) * 100 : 0;
-    const overallAvgScore = totalCount > 0 ? totalScore / totalCount : 0;
+    const summary = PopLogicEngine.summarizeStats(gameState.l2.stats);
     
     // Create strategy record
     const strategyRecord = {
         timestamp: Date.now(),
         strategy: { ...gameState.l2.strategy },
-        performance: performance,
-        overallPopRate: overallPopRate,
-        overallAvgScore: overallAvgScore,
+        performance: summary.performance,
+        overallPopRate: summary.overallPopRate,
+        overallAvgScore: summary.overallAvgScore,
         totalProcessed: gameState.l2.processedCount
     };
+    if (gameState.l2.split.enabled) strategyRecord.test = scoreL2HeldOut(strategyRecord.strategy);
     
     // Add to past strategies (keep only last 3)
     if (!gameState.l2.pastStrategies) {
@@ -857,11 +2654,16 @@ function saveL2Strategy() {
     
     // Save to localStorage
     saveGameState();
+    syncClassResults();
     
     // Update display
     displayPastStrategies();
 }
 
+// Saved strategies can mention balloon types from a different level pack
+const getStrategyColor = (type) => BALLOON_CONFIG[type] ? getBalloonTextColor(type) : 'gray-400';
+const getStrategyName = (type) => BALLOON_CONFIG[type] ? getBalloonName(type) : type;
+
 function displayPastStrategies() {
     const strategiesList = document.getElementById('l2-strategies-list');
     if (!strategiesList || !gameState.l2.pastStrategies) return;
@@ -870,8 +2672,8 @@ function displayPastStrategies() {
         strategiesList.innerHTML = `
             <div class="bg-indigo-900/20 p-4 rounded-lg border border-indigo-600 min-w-[320px] flex-shrink-0 flex flex-col justify-center strategy-item">
                 <div class="text-center">
-                    <div class="text-indigo-400 text-sm mb-2">No strategies yet</div>
-                    <div class="text-xs text-indigo-500">Run a test to see your strategies here</div>
+                    <div class="text-indigo-400 text-sm mb-2">${t('l2.strategies.empty')}</div>
+                    <div class="text-xs text-indigo-500">${t('l2.strategies.emptyHint')}</div>
                 </div>
             </div>
         `;
@@ -885,7 +2687,7 @@ function displayPastStrategies() {
         return `
             <div class="bg-indigo-900/30 p-4 rounded-lg border border-indigo-600 min-w-[320px] flex-shrink-0">
             <div class="flex justify-between items-center mb-3">
-                <span class="text-sm font-bold text-indigo-200">Strategy ${strategyNum}</span>
+                <span class="text-sm font-bold text-indigo-200">${t('l2.strategies.title', { number: strategyNum })}</span>
                 <button class="delete-strategy-btn text-xs bg-red-500/20 hover:bg-red-500/30 text-red-400 px-2 py-1 rounded transition" data-index="${index}">
                     ×
                 </button>
@@ -893,15 +2695,15 @@ function displayPastStrategies() {
                 
                 <!-- Strategy Settings -->
                 <div class="mb-3">
-                    <div class="text-xs font-bold text-indigo-300 mb-2">Your Strategy:</div>
+                    <div class="text-xs font-bold text-indigo-300 mb-2">${t('l2.strategies.settings')}</div>
                     <div class="grid grid-cols-2 gap-2 text-xs">
-                        ${['red', 'blue', 'green', 'yellow'].map(color => `
+                        ${Object.keys(strategy.strategy).map(color => `
                             <div class="flex justify-between items-center">
                                 <div class="flex items-center gap-1">
-                                    <div class="w-2 h-2 rounded-full bg-${color}-400"></div>
-                                    <span class="text-${color}-400 font-bold">${color.toUpperCase()}:</span>
+                                    <div class="w-2 h-2 rounded-full bg-${getStrategyColor(color)}"></div>
+                                    <span class="text-${getStrategyColor(color)} font-bold">${escapeHtml(getStrategyName(color).toUpperCase())}:</span>
                                 </div>
-                                <span class="text-white font-mono">${strategy.strategy[color] || 0} pumps</span>
+                                <span class="text-white font-mono">${t('l2.strategies.pumps', { count: strategy.strategy[color] || 0 })}</span>
                             </div>
                         `).join('')}
                     </div>
@@ -909,17 +2711,17 @@ function displayPastStrategies() {
                 
                 <!-- Performance Data by Color -->
                 <div class="mb-3">
-                    <div class="text-xs font-bold text-indigo-300 mb-2">Pop Rates by Color:</div>
+                    <div class="text-xs font-bold text-indigo-300 mb-2">${t('l2.strategies.popRates')}</div>
                     <div class="space-y-1 text-xs">
-                        ${['red', 'blue', 'green', 'yellow'].map(color => `
+                        ${Object.keys(strategy.performance).map(color => `
                             <div class="flex justify-between items-center">
                                 <div class="flex items-center gap-1">
-                                    <div class="w-2 h-2 rounded-full bg-${color}-400"></div>
-                                    <span class="text-${color}-400">${color.toUpperCase()}:</span>
+                                    <div class="w-2 h-2 rounded-full bg-${getStrategyColor(color)}"></div>
+                                    <span class="text-${getStrategyColor(color)}">${escapeHtml(getStrategyName(color).toUpperCase())}:</span>
                                 </div>
                                 <div class="flex items-center gap-2">
-                                    <span class="text-white">${strategy.performance[color].count} balloons</span>
-                                    <span class="text-red-400 font-bold">${strategy.performance[color].popRate.toFixed(0)}%</span>
+                                    <span class="text-white">${t('l2.strategies.balloons', { count: strategy.performance[color].count })}</span>
+                                    <span class="text-red-400 font-bold">${formatPercent(strategy.performance[color].popRate)}</span>
                                 </div>
                             </div>
                         `).join('')}
@@ -929,13 +2731,22 @@ function displayPastStrategies() {
                 <!-- Overall Summary -->
                 <div class="pt-2 border-t border-indigo-600 text-xs">
                     <div class="flex justify-between mb-1">
-                        <span class="text-indigo-300">Overall Pop Rate:</span>
-                        <span class="text-red-400 font-bold">${strategy.overallPopRate.toFixed(0)}%</span>
+                        <span class="text-indigo-300">${t('l2.strategies.overallPopRate')}</span>
+                        <span class="text-red-400 font-bold">${formatPercent(strategy.overallPopRate)}</span>
                     </div>
                     <div class="flex justify-between">
-                        <span class="text-indigo-300">Total Earned:</span>
-                        <span class="text-green-400 font-bold">$${strategy.overallAvgScore * strategy.totalProcessed}</span>
+                        <span class="text-indigo-300">${t('l2.strategies.totalEarned')}</span>
+                        <span class="text-green-400 font-bold">${formatMoney(strategy.overallAvgScore * strategy.totalProcessed)}</span>
                     </div>
+                    ${strategy.test ? `
+                    <div class="flex justify-between mt-1">
+                        <span class="text-indigo-300">${t('l2.split.cardTest', { count: strategy.test.totalProcessed })}</span>
+                        <span class="text-amber-300 font-bold">${formatMoney(strategy.test.totalEarned)}</span>
+                    </div>
+                    <div class="flex justify-between mt-1">
+                        <span class="text-indigo-300">${t('l2.split.cardPerBalloon')}</span>
+                        <span class="font-mono">${formatMoney(strategy.overallAvgScore, 2)} / ${formatMoney(strategy.test.overallAvgScore, 2)}</span>
+                    </div>` : ''}
                 </div>
             </div>
         `;
@@ -969,38 +2780,46 @@ function skipL2ToEnd() {
     
     // Stop the current simulation
     clearInterval(gameState.l2.interval);
+    gameState.l2.isRunning = false;
     
-    // Simulate processing remaining balloons instantly
-    const remaining = 100 - gameState.l2.processedCount;
-    for (let i = 0; i < remaining; i++) {
-        const color = getL2RandomBalloon();
-        const config = BALLOON_CONFIG[color];
-        const maxPumps = getRandomInt(...config.range);
-        const strategyPumps = gameState.l2.strategy[color];
-        
-        // Calculate if balloon pops (same logic as normal simulation)
-        let scoreVal = 0;
-        if (strategyPumps > maxPumps) {
-            gameState.l2.stats[color].pops++;
-        } else {
-            scoreVal = strategyPumps;
-            gameState.l2.stats[color].score += scoreVal;
-        }
-        
-        // Update stats
-        gameState.l2.stats[color].count++;
+    const onResult = (result, index) => {
+        logResult('l2', result);
+        recordL2DriftOutcome(result, index);
+        recordL2AutoDecision(result);
         gameState.l2.processedCount++;
-        
-        // Update earned amount
-        gameState.l2.totalEarned = (gameState.l2.totalEarned || 0) + scoreVal;
-    }
+        gameState.l2.totalEarned = (gameState.l2.totalEarned || 0) + result.score;
+        recordL2ChartPoint();
+    };
+    
+    // Balloons still waiting for review go through on the AI's own decision
+    gameState.l2.review.pending.splice(0).forEach(balloon => {
+        const result = PopLogicEngine.resolveBalloon(balloon, gameState.l2.strategy[balloon.type] || 0);
+        PopLogicEngine.recordResult(gameState.l2.stats, result);
+        onResult(result, balloon.index);
+    });
+    renderL2ReviewQueue();
+    
+    // Simulate processing remaining balloons instantly (same engine as the live run)
+    const remaining = L2_BATCH_SIZE - gameState.l2.processedCount;
+    const startIndex = gameState.l2.processedCount;
+    gameState.l2.review.runMs += remaining * L2_BALLOON_MS;
+    PopLogicEngine.simulateBatch({
+        ...getL2SimulationOptions(),
+        stream: gameState.l2.rng,
+        stats: gameState.l2.stats,
+        count: remaining,
+        startIndex,
+        onResult: (result, i) => onResult(result, startIndex + i)
+    });
     
     // Update display
     updateL2Stats();
-    document.getElementById('l2-earned-amount').textContent = gameState.l2.totalEarned;
+    refreshL2Charts();
+    document.getElementById('l2-earned-amount').textContent = formatMoney(gameState.l2.totalEarned);
     
     // Save the strategy
     saveL2Strategy();
+    endLogSession('l2', { earned: gameState.l2.totalEarned });
     
     // Small delay to ensure performance monitor updates are visible
     setTimeout(() => {
@@ -1009,32 +2828,68 @@ function skipL2ToEnd() {
 }
 
 function toggleL2Simulation() {
+    if (autoTune && autoTune.timer) return;
     gameState.l2.isRunning = !gameState.l2.isRunning;
     const skipBtn = document.getElementById('l2-skip-to-end-btn');
     
     if (gameState.l2.isRunning) {
         if (gameState.tutorial.l2 < L2_TUTORIAL_STEPS.length) showTutorialStep(L2_TUTORIAL_STEPS, 'l2');
-        l2StartStopBtn.textContent = 'FINISH TEST';
+        l2StartStopBtn.textContent = t('l2.finishTest');
         l2StartStopBtn.classList.remove('bg-indigo-500', 'hover:bg-indigo-600');
         l2StartStopBtn.classList.add('bg-red-500', 'hover:bg-red-600');
         updateL2Strategy();
         disableL2Sliders();
         resetL2Simulation(); // Reset when starting
+        startLogSession('l2');
+        logEvent('l2', 'start', { strategy: { ...gameState.l2.strategy } });
         runL2Simulation();
         skipBtn.classList.remove('hidden'); // Show skip button
+        announce(t('announce.l2.running'));
     } else {
         if (gameState.tutorial.l2 < L2_TUTORIAL_STEPS.length) showTutorialStep(L2_TUTORIAL_STEPS, 'l2');
-        l2StartStopBtn.textContent = 'RUN TEST';
+        l2StartStopBtn.textContent = t('l2.runTest');
         l2StartStopBtn.classList.add('bg-indigo-500', 'hover:bg-indigo-600');
         l2StartStopBtn.classList.remove('bg-red-500', 'hover:bg-red-600');
         enableL2Sliders();
         saveL2Strategy(); // Save strategy when pausing
         clearInterval(gameState.l2.interval);
+        renderL2ReviewQueue();
+        logEvent('l2', 'pause');
+        endLogSession('l2', { earned: gameState.l2.totalEarned });
         skipBtn.classList.add('hidden'); // Hide skip button when paused
+        announce(t('announce.l2.paused', { count: gameState.l2.processedCount, amount: formatMoney(gameState.l2.totalEarned) }));
     }
 }
 
-function getL2RandomBalloon() { const rand = Math.random(); if (rand < 0.3) return 'red'; if (rand < 0.6) return 'blue'; if (rand < 0.8) return 'green'; return 'yellow'; }
+function getL2SimulationOptions() {
+    return { config: BALLOON_CONFIG, distribution: L2_DISTRIBUTION, strategy: gameState.l2.strategy, drift: gameState.l2.drift.event };
+}
+
+/**
+ * Sends one processed balloon down a conveyor - pops it on the way if the
+ * engine says the strategy over-pumped it.
+ */
+function renderConveyorBalloon(conveyor, result, popDelay, preExplode) {
+    const config = BALLOON_CONFIG[result.type];
+    const balloonItem = document.createElement('div');
+    balloonItem.className = 'absolute top-1/2 left-1/2 conveyor-belt-item';
+    const balloonEl = document.createElement('div');
+    balloonEl.className = `balloon bg-${config.color}`;
+    balloonEl.style.transform = 'scale(0.5)';
+    balloonEl.style.color = `var(--tw-bg-${config.color})`;
+    balloonItem.appendChild(balloonEl);
+    if (result.popped) {
+        setTimeout(() => {
+            if (preExplode) balloonEl.classList.add('pre-explode');
+            setTimeout(() => {
+                createExplosion(balloonItem, result.type);
+                balloonEl.style.display = 'none';
+            }, preExplode ? 500 : 0);
+        }, popDelay);
+    }
+    conveyor.appendChild(balloonItem);
+    setTimeout(() => { if (conveyor.contains(balloonItem)) conveyor.removeChild(balloonItem); }, 4000);
+}
 
 /* ===========================================
     LEVEL 2: HUMAN-IN-THE-LOOP AI SIMULATION
@@ -1045,63 +2900,57 @@ function getL2RandomBalloon() { const rand = Math.random(); if (rand < 0.3) retu
 */
 
 /**
- * Runs the AI simulation - processes 100 balloons using configured strategy
+ * Runs the AI simulation - processes a batch of balloons using configured strategy
  * This simulates how AI models process large datasets automatically
  * Students learn about AI performance monitoring and optimization
  */
 function runL2Simulation() {
     gameState.l2.interval = setInterval(() => {
-        // Stop after processing 100 balloons (simulating batch processing)
-        if (gameState.l2.processedCount >= 100) { endLevel2(); return; }
-        
-        // Select random balloon type (simulating diverse input data)
-        const type = getL2RandomBalloon();
-        const config = BALLOON_CONFIG[type];
-        
-        // Generate random maximum capacity (simulating data variability)
-        const maxPumps = getRandomInt(...config.range);
-        
-        // Apply AI strategy (simulating model prediction)
-        const strategyPumps = gameState.l2.strategy[type];
+        const review = gameState.l2.review;
+        const drawn = gameState.l2.processedCount + review.pending.length;
         
-        // Calculate result (simulating model performance evaluation)
-        let scoreVal = 0;
-        if (strategyPumps > maxPumps) { 
-            gameState.l2.stats[type].pops++; // AI overconfidence - model failure
-        } else { 
-            scoreVal = strategyPumps; 
-            gameState.l2.stats[type].score += scoreVal; // Successful prediction
-        }
+        // Stop after processing a full batch (simulating batch processing)
+        if (drawn >= L2_BATCH_SIZE && review.pending.length === 0) { endLevel2(); return; }
         
-        // Update statistics (simulating performance monitoring)
-        gameState.l2.stats[type].count++; 
-        gameState.l2.processedCount++;
+        // The line waits while the review queue is full, or for the last reviews of the batch
+        review.runMs += L2_BALLOON_MS;
+        if (drawn >= L2_BATCH_SIZE || review.pending.length >= L2_REVIEW_QUEUE_LIMIT) return;
         
-        // Update earned amount
-        gameState.l2.totalEarned = (gameState.l2.totalEarned || 0) + scoreVal;
-        document.getElementById('l2-earned-amount').textContent = gameState.l2.totalEarned;
-        const balloonItem = document.createElement('div');
-        balloonItem.className = 'absolute top-1/2 left-1/2 conveyor-belt-item';
-        const balloonEl = document.createElement('div');
-        balloonEl.className = `balloon bg-${config.color}`;
-        balloonEl.style.transform = 'scale(0.5)';
-        balloonEl.style.color = `var(--tw-bg-${config.color})`;
-        balloonItem.appendChild(balloonEl);
-        if (scoreVal === 0) { 
-            setTimeout(() => { 
-                balloonEl.classList.add('pre-explode');
-                setTimeout(() => { 
-                    createExplosion(balloonItem, type); 
-                    balloonEl.style.display = 'none'; 
-                }, 500);
-            }, 1500); 
+        // Draw a random balloon and apply the AI strategy to it (simulating model prediction)
+        const options = PopLogicEngine.getDriftedOptions(getL2SimulationOptions(), drawn);
+        const balloon = PopLogicEngine.drawBalloon(gameState.l2.rng, options);
+        if (needsL2Review(balloon)) {
+            queueL2Review(balloon, options.config, drawn);
+            return;
         }
-        conveyor2.appendChild(balloonItem);
-        setTimeout(() => { if (conveyor2.contains(balloonItem)) conveyor2.removeChild(balloonItem); }, 4000);
-        updateL2Stats();
-        if (gameState.l2.processedCount === 25) setInsight("Your model is running. Are the pop rates acceptable? Pause and adjust!", 2);
-        if (gameState.l2.processedCount === 60) setInsight("The performance monitor gives you live feedback. Are any of your strategies unprofitable?", 2);
-    }, 400); // Slower pace
+        const result = PopLogicEngine.resolveBalloon(balloon, gameState.l2.strategy[balloon.type] || 0);
+        recordL2AutoDecision(result);
+        processL2Result(result, drawn);
+    }, L2_BALLOON_MS); // Slower pace
+}
+
+// Records a balloon the AI or the student has decided and sends it down the conveyor;
+// `index` is where the balloon was drawn in the batch
+function processL2Result(result, index) {
+    logResult('l2', result);
+    recordL2DriftOutcome(result, index);
+    
+    // Update statistics (simulating performance monitoring)
+    PopLogicEngine.recordResult(gameState.l2.stats, result);
+    gameState.l2.processedCount++;
+    
+    // Update earned amount
+    gameState.l2.totalEarned = (gameState.l2.totalEarned || 0) + result.score;
+    document.getElementById('l2-earned-amount').textContent = formatMoney(gameState.l2.totalEarned);
+    recordL2ChartPoint();
+    renderConveyorBalloon(conveyor2, result, 1500, true);
+    updateL2Stats();
+    refreshL2Charts();
+    if (gameState.l2.processedCount === 25) setInsight(t('insight.l2.running'), 2);
+    if (gameState.l2.processedCount === 60) setInsight(t('insight.l2.monitor'), 2);
+    if (gameState.l2.processedCount % L2_ANNOUNCE_EVERY === 0) {
+        announce(t('announce.l2.progress', { count: gameState.l2.processedCount, amount: formatMoney(gameState.l2.totalEarned) }), 'l2-progress');
+    }
 }
 
 function updateL2Stats() {
@@ -1113,17 +2962,19 @@ function endLevel2(isReview = false) {
     if (!isReview) {
         clearInterval(gameState.l2.interval);
         gameState.l2.isRunning = false;
+        renderL2ReviewQueue();
         gameState.unlockedLevels = Math.max(gameState.unlockedLevels, 3);
         
         // Save the strategy when simulation completes automatically
         saveL2Strategy();
+        endLogSession('l2', { earned: gameState.l2.totalEarned });
         
         saveGameState();
     }
     updateL2Stats();
     
     // Reset button to RUN TEST state
-    l2StartStopBtn.textContent = 'RUN TEST';
+    l2StartStopBtn.textContent = t('l2.runTest');
     l2StartStopBtn.classList.remove('bg-red-500', 'hover:bg-red-600');
     l2StartStopBtn.classList.add('bg-indigo-500', 'hover:bg-indigo-600');
     enableL2Sliders();
@@ -1136,11 +2987,568 @@ function endLevel2(isReview = false) {
     
     // Hide tutorial overlay if it's showing to prevent conflicts with modal
     if (tutorialOverlay) {
-        tutorialOverlay.style.display = 'none';
+        hideTutorialOverlay();
     }
     
     // Show completion modal instead of summary area
+    renderL2DriftSummary();
+    renderL2SplitSummary();
+    renderL2ReviewSummary();
+    renderQuizSummaries();
     l2CompletionModal.classList.remove('hidden');
+    openDialog(l2CompletionModal, l2ModalCloseBtn, closeL2CompletionModal);
+    const summary = PopLogicEngine.summarizeStats(gameState.l2.stats);
+    announce(t('announce.l2.complete', { amount: formatMoney(gameState.l2.totalEarned), count: gameState.l2.processedCount, popRate: formatPercent(summary.overallPopRate) }));
+}
+
+/* ===========================================
+    LEVEL 2 CONCEPT DRIFT - WHEN THE FACTORY CHANGES
+    ===========================================
+    A fixed batch rewards a strategy set once and left alone. A drift
+    scenario changes the factory partway through a run - one colour's
+    pop range shrinks, or one colour takes over the mix - at a seeded
+    balloon the student isn't told about. The drift detector on the
+    performance monitor watches every run, comparing each colour's
+    recent pop rate with its earlier one, and raises the alarm through
+    the AI Insights panel: the cue to pause and retune. Noise can set
+    it off too, which the completion screen owns up to.
+*/
+const L2_DRIFT_SCENARIOS = ['none', 'range', 'mix'];
+const L2_DRIFT_DETECTOR = { window: 6, minEarlier: 8, threshold: 0.5 };
+
+function startL2Drift() {
+    const drift = gameState.l2.drift;
+    const types = getBalloonTypes().filter(type => L2_DISTRIBUTION[type] > 0);
+    drift.event = drift.scenario === 'none' ? null
+        : PopLogicEngine.createDrift(createRandomStream(gameState.seed, 'l2-drift'), drift.scenario, types, L2_BATCH_SIZE);
+    drift.outcomes = [];
+    drift.alerts = [];
+    renderL2DriftStatus();
+}
+
+function setL2DriftScenario(scenario) {
+    if (gameState.l2.isRunning || !L2_DRIFT_SCENARIOS.includes(scenario)) return;
+    gameState.l2.drift.scenario = scenario;
+    saveGameState();
+}
+
+// Alerts keep the balloon index they fired at, so the summary can tell a catch from noise
+function recordL2DriftOutcome(result, index) {
+    const drift = gameState.l2.drift;
+    drift.outcomes.push({ type: result.type, popped: result.popped });
+    const alert = PopLogicEngine.detectDrift(drift.outcomes, L2_DRIFT_DETECTOR).find(entry => !drift.alerts.some(seen => seen.type === entry.type));
+    if (!alert) return;
+    drift.alerts.push({ type: alert.type, at: index });
+    const params = {
+        colour: alert.type === 'all' ? '' : getStrategyName(alert.type),
+        earlier: formatPercent(alert.earlierRate * 100),
+        recent: formatPercent(alert.recentRate * 100),
+        count: alert.type === 'all' ? L2_DRIFT_DETECTOR.window * 2 : L2_DRIFT_DETECTOR.window
+    };
+    const key = alert.type === 'all' ? 'insight.l2.driftAll' : 'insight.l2.driftColour';
+    setInsight(t(key, { ...params, colour: escapeHtml(params.colour) }), 2);
+    announce(t(key, params));
+    renderL2DriftStatus();
+}
+
+function renderL2DriftStatus() {
+    const types = gameState.l2.drift.alerts.map(alert => alert.type);
+    const colours = types.filter(type => type !== 'all');
+    const status = document.getElementById('l2-drift-status');
+    status.textContent = types.length === 0
+        ? t('l2.drift.watching', { count: L2_DRIFT_DETECTOR.window })
+        : t('l2.drift.alert', { list: types.map(type => type === 'all' ? t('l2.drift.allColours') : getStrategyName(type)).join(', ') });
+    status.classList.toggle('text-amber-300', types.length > 0);
+    status.classList.toggle('text-indigo-300', types.length === 0);
+    getBalloonTypes().forEach(color => {
+        const badge = document.getElementById(`l2-${color}-drift`);
+        if (badge) badge.classList.toggle('hidden', !colours.includes(color));
+    });
+}
+
+/**
+ * What really changed, in the completion modal - and whether the detector
+ * noticed. Only an alert at or after the drift, for the drifted colour (or
+ * for all colours when the mix changed), counts as catching it; any other
+ * alert was set off by noise.
+ */
+function renderL2DriftSummary() {
+    const container = document.getElementById('l2-drift-summary');
+    const { event, alerts } = gameState.l2.drift;
+    if (!event && alerts.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    let reveal = t('l2.drift.falseAlarm');
+    if (event && event.at < gameState.l2.processedCount) {
+        const drifted = PopLogicEngine.getDriftedOptions({ config: BALLOON_CONFIG, distribution: L2_DISTRIBUTION, drift: event }, event.at);
+        reveal = event.scenario === 'range'
+            ? t('l2.drift.revealRange', { at: event.at + 1, colour: escapeHtml(getStrategyName(event.type)), min: drifted.config[event.type].range[0], max: drifted.config[event.type].range[1] })
+            : t('l2.drift.revealMix', { at: event.at + 1, colour: escapeHtml(getStrategyName(event.type)) });
+        const isCatch = (alert) => alert.at >= event.at && (alert.type === event.type || (event.scenario === 'mix' && alert.type === 'all'));
+        const noise = alerts.filter(alert => !isCatch(alert)).length;
+        reveal += ' ' + t(noise < alerts.length ? 'l2.drift.caught' : noise > 0 ? 'l2.drift.missedNoise' : 'l2.drift.missed');
+        if (noise > 0 && noise < alerts.length) reveal += ' ' + t('l2.drift.noise', { count: noise });
+    } else if (event) {
+        reveal = t('l2.drift.notReached', { at: event.at + 1 });
+        if (alerts.length > 0) reveal += ' ' + t('l2.drift.noise', { count: alerts.length });
+    }
+    container.innerHTML = `
+        <div class="bg-indigo-800/50 p-4 rounded-2xl border border-indigo-600 text-sm text-left mb-6">
+            <h3 class="font-bold text-amber-300 mb-1">${t('l2.drift.summaryTitle')}</h3>
+            <p class="text-xs text-indigo-200">${reveal}</p>
+        </div>`;
+}
+
+/* ===========================================
+    LEVEL 2 TRAIN/TEST SPLIT - OVERFITTING
+    ===========================================
+    Every test run replays the same seeded balloons, so sliders adjusted
+    run after run can end up fitted to those balloons rather than to the
+    factory. With the split on, the visible run is the training batch and
+    each saved strategy is also scored on a hidden held-out batch from its
+    own stream - optionally drawn from slightly shifted pop ranges - and
+    the train vs. test gap per colour shows whether it generalises.
+*/
+const L2_TEST_RANGE_SHIFT = 2;    // Shifted test batches move each pop range by up to this many pumps
+const L2_OVERFIT_SHARE = 0.1;     // Losing more than this share of the training $ per balloon counts as overfitting
+
+function getL2TestConfig() {
+    if (!gameState.l2.split.shifted) return BALLOON_CONFIG;
+    return PopLogicEngine.shiftConfigRanges(BALLOON_CONFIG, createRandomStream(gameState.seed, 'l2-test-ranges'), L2_TEST_RANGE_SHIFT);
+}
+
+// Scores a strategy on the held-out batch - the same hidden balloons every time
+function scoreL2HeldOut(strategy) {
+    const { stats } = PopLogicEngine.simulateBatch({
+        config: getL2TestConfig(),
+        distribution: L2_DISTRIBUTION,
+        strategy,
+        count: L2_BATCH_SIZE,
+        stream: createRandomStream(gameState.seed, 'l2-test')
+    });
+    const summary = PopLogicEngine.summarizeStats(stats);
+    return {
+        performance: summary.performance,
+        overallPopRate: summary.overallPopRate,
+        overallAvgScore: summary.overallAvgScore,
+        totalProcessed: summary.totalCount,
+        totalEarned: summary.totalScore,
+        shifted: gameState.l2.split.shifted
+    };
+}
+
+function renderL2SplitControls() {
+    const { enabled, shifted } = gameState.l2.split;
+    const locked = gameState.l2.isRunning || Boolean(autoTune && autoTune.timer);
+    const toggle = document.getElementById('l2-split-toggle');
+    const shift = document.getElementById('l2-split-shift');
+    toggle.checked = enabled;
+    toggle.disabled = locked;
+    shift.checked = shifted;
+    shift.disabled = locked || !enabled;
+    const note = document.getElementById('l2-split-note');
+    note.textContent = t('l2.split.note', { count: L2_BATCH_SIZE });
+    note.classList.toggle('hidden', !enabled);
+}
+
+function setL2Split(enabled, shifted) {
+    if (gameState.l2.isRunning) return;
+    gameState.l2.split = { enabled, shifted };
+    saveGameState();
+    renderL2SplitControls();
+}
+
+// Train vs. test per colour for the latest strategy, in the completion modal
+function renderL2SplitSummary() {
+    const container = document.getElementById('l2-split-summary');
+    const latest = gameState.l2.pastStrategies[0];
+    if (!latest || !latest.test) {
+        container.innerHTML = '';
+        return;
+    }
+    const { test } = latest;
+    const gapCell = (train, heldOut) => {
+        const gap = train - heldOut;
+        return `<span class="text-right font-mono ${gap > train * L2_OVERFIT_SHARE ? 'text-red-400 font-bold' : 'text-green-400'}">${gap > 0 ? '−' : '+'}${formatMoney(Math.abs(gap), 2)}</span>`;
+    };
+    const rows = Object.keys(test.performance).map(color => {
+        const train = latest.performance[color] ? latest.performance[color].avgScore : 0;
+        const heldOut = test.performance[color].avgScore;
+        return `
+            <span class="text-left text-${getStrategyColor(color)} font-bold">${escapeHtml(getStrategyName(color))}</span>
+            <span class="text-right font-mono">${formatMoney(train, 2)}</span>
+            <span class="text-right font-mono">${formatMoney(heldOut, 2)}</span>
+            ${gapCell(train, heldOut)}`;
+    }).join('');
+    const overallGap = latest.overallAvgScore - test.overallAvgScore;
+    container.innerHTML = `
+        <div class="bg-indigo-800/50 p-4 rounded-2xl border border-indigo-600 text-sm mb-6">
+            <h3 class="font-bold text-amber-300 mb-2">${t('l2.split.title')}</h3>
+            <div class="grid grid-cols-4 gap-x-2 gap-y-1 text-xs">
+                <span class="text-left text-indigo-300">${t('l2.split.colour')}</span>
+                <span class="text-right text-indigo-300">${t('l2.split.train')}</span>
+                <span class="text-right text-indigo-300">${t('l2.split.test')}</span>
+                <span class="text-right text-indigo-300">${t('l2.split.gap')}</span>
+                ${rows}
+                <span class="text-left text-indigo-300 pt-1">${t('l2.split.overall')}</span>
+                <span class="text-right font-mono pt-1">${formatMoney(latest.overallAvgScore, 2)}</span>
+                <span class="text-right font-mono pt-1">${formatMoney(test.overallAvgScore, 2)}</span>
+                ${gapCell(latest.overallAvgScore, test.overallAvgScore)}
+            </div>
+            <p class="text-xs text-indigo-200 mt-3">${overallGap > latest.overallAvgScore * L2_OVERFIT_SHARE
+                ? t('l2.split.overfit', { gap: formatMoney(overallGap, 2) })
+                : t('l2.split.generalises')}</p>
+            ${test.shifted ? `<p class="text-xs text-indigo-300 mt-1">${t('l2.split.shiftedNote')}</p>` : ''}
+        </div>`;
+}
+
+/* ===========================================
+    LEVEL 2 HUMAN REVIEW - WHEN THE AI ASKS FOR HELP
+    ===========================================
+    Human-in-the-loop for single decisions. The AI rates how sure it is
+    about each balloon from what it has seen of that colour so far this
+    run, and with review on, any balloon below the student's threshold
+    waits in a queue instead of being pumped automatically. Up close the
+    student can see how sturdy the balloon looks - context the AI doesn't
+    have - and either pumps it to the strategy's setting or banks it
+    early at the colour's safe minimum. Oversight isn't free: while the
+    queue is full the conveyor stalls, and the completion screen weighs
+    the accuracy gained against the throughput lost.
+*/
+const L2_BALLOON_MS = 400;           // The conveyor takes a new balloon this often
+const L2_REVIEW_QUEUE_LIMIT = 3;     // The conveyor stalls while this many balloons wait for review
+
+function startL2Review() {
+    const review = gameState.l2.review;
+    review.pending = [];
+    review.human = { count: 0, correct: 0, aiCorrect: 0, earned: 0 };
+    review.auto = { count: 0, correct: 0, earned: 0 };
+    review.runMs = 0;
+    renderL2ReviewQueue();
+}
+
+function setL2Review(enabled) {
+    if (gameState.l2.isRunning) return;
+    gameState.l2.review.enabled = enabled;
+    saveGameState();
+    renderL2ReviewControls();
+}
+
+// The threshold can move mid-run - trusting the AI more as it learns is part of the lesson
+function setL2ReviewThreshold(threshold) {
+    gameState.l2.review.threshold = threshold;
+    saveGameState();
+    renderL2ReviewControls();
+}
+
+function renderL2ReviewControls() {
+    const { enabled, threshold } = gameState.l2.review;
+    const toggle = document.getElementById('l2-review-toggle');
+    const slider = document.getElementById('l2-review-threshold');
+    toggle.checked = enabled;
+    toggle.disabled = gameState.l2.isRunning || Boolean(autoTune && autoTune.timer);
+    slider.value = threshold;
+    slider.disabled = !enabled;
+    document.getElementById('l2-review-threshold-val').textContent = formatPercent(threshold);
+}
+
+// Confidence in %, from the current run's results for the colour
+function getL2Confidence(type) {
+    return PopLogicEngine.estimateConfidence(gameState.l2.stats[type]) * 100;
+}
+
+// Banking early means cashing out at the bottom of the colour's pop range - the
+// drifted range the balloon was drawn from, so a drift can't make it pop
+function getL2BankPumps(type, config) {
+    return Math.min(gameState.l2.strategy[type] || 0, config[type].range[0]);
+}
+
+// What the student sees up close: which third of its (possibly drifted) pop range the balloon sits in
+function getL2BalloonLook(balloon, config) {
+    const [min, max] = config[balloon.type].range;
+    const position = (balloon.maxPumps - min) / Math.max(1, max - min);
+    if (position < 1 / 3) return 'fragile';
+    return position > 2 / 3 ? 'sturdy' : 'normal';
+}
+
+function needsL2Review(balloon) {
+    const { enabled, threshold } = gameState.l2.review;
+    return enabled && getL2Confidence(balloon.type) < threshold;
+}
+
+function queueL2Review(balloon, config, index) {
+    const review = gameState.l2.review;
+    const confidence = getL2Confidence(balloon.type);
+    review.pending.push({
+        type: balloon.type,
+        maxPumps: balloon.maxPumps,
+        index,
+        confidence,
+        look: getL2BalloonLook(balloon, config),
+        bankPumps: getL2BankPumps(balloon.type, config)
+    });
+    if (review.human.count + review.pending.length === 1) setInsight(t('insight.l2.review'), 2);
+    renderL2ReviewQueue();
+    announce(t('announce.l2.review', { colour: getStrategyName(balloon.type), confidence: formatPercent(confidence) }), 'l2-review');
+}
+
+function recordL2AutoDecision(result) {
+    const { auto } = gameState.l2.review;
+    auto.count++;
+    if (!result.popped) auto.correct++;
+    auto.earned += result.score;
+}
+
+/**
+ * The student's call on the oldest balloon in the queue. A decision is
+ * correct when it was the better of the two: pumping a balloon that
+ * would hold at the strategy's setting, or banking one that would pop -
+ * as long as the bank itself didn't pop it.
+ */
+function decideL2Review(decision) {
+    const review = gameState.l2.review;
+    if (!gameState.l2.isRunning || review.pending.length === 0) return;
+    const balloon = review.pending.shift();
+    const target = gameState.l2.strategy[balloon.type] || 0;
+    const pumps = decision === 'pump' ? target : balloon.bankPumps;
+    const wouldHold = target <= balloon.maxPumps;
+    const result = PopLogicEngine.resolveBalloon(balloon, pumps);
+    review.human.count++;
+    if (decision === 'pump' ? wouldHold : !result.popped && (!wouldHold || pumps === target)) review.human.correct++;
+    if (wouldHold) review.human.aiCorrect++;
+    review.human.earned += result.score;
+    logEvent('l2', 'review', { color: balloon.type, decision });
+    processL2Result(result, balloon.index);
+    renderL2ReviewQueue();
+}
+
+function renderL2ReviewQueue() {
+    const { pending, threshold } = gameState.l2.review;
+    const balloon = gameState.l2.isRunning ? pending[0] : null;
+    document.getElementById('l2-review-panel').classList.toggle('hidden', !balloon);
+    if (!balloon) return;
+    const colour = document.getElementById('l2-review-colour');
+    colour.textContent = getStrategyName(balloon.type);
+    colour.className = `font-bold text-${getStrategyColor(balloon.type)}`;
+    document.getElementById('l2-review-details').textContent = t('l2.review.details', {
+        confidence: formatPercent(balloon.confidence),
+        threshold: formatPercent(threshold),
+        look: t(`l2.review.look.${balloon.look}`)
+    });
+    document.getElementById('l2-review-waiting').textContent = pending.length > 1 ? t('l2.review.waiting', { count: pending.length - 1 }) : '';
+    document.getElementById('l2-review-stalled').classList.toggle('hidden', pending.length < L2_REVIEW_QUEUE_LIMIT);
+    document.getElementById('l2-review-pump-btn').textContent = t('l2.review.pump', { count: gameState.l2.strategy[balloon.type] || 0 });
+    document.getElementById('l2-review-bank-btn').textContent = t('l2.review.bank', { count: balloon.bankPumps });
+}
+
+// Human-reviewed vs. automatic accuracy and the throughput it cost, in the completion modal
+function renderL2ReviewSummary() {
+    const container = document.getElementById('l2-review-summary');
+    const { human, auto, runMs } = gameState.l2.review;
+    if (!human || human.count === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    const accuracy = (record) => record.count > 0 ? formatPercent(record.correct / record.count * 100) : '–';
+    const rate = runMs > 0 ? gameState.l2.processedCount / runMs * 60000 : 0;
+    container.innerHTML = `
+        <div class="bg-indigo-800/50 p-4 rounded-2xl border border-indigo-600 text-sm mb-6">
+            <h3 class="font-bold text-amber-300 mb-2">${t('l2.review.summaryTitle')}</h3>
+            <div class="grid grid-cols-3 gap-x-2 gap-y-1 text-xs">
+                <span></span>
+                <span class="text-right text-indigo-300">${t('l2.review.byYou')}</span>
+                <span class="text-right text-indigo-300">${t('l2.review.automatic')}</span>
+                <span class="text-left text-indigo-300">${t('l2.review.balloons')}</span>
+                <span class="text-right font-mono">${human.count}</span>
+                <span class="text-right font-mono">${auto.count}</span>
+                <span class="text-left text-indigo-300">${t('l2.review.accuracy')}</span>
+                <span class="text-right font-mono">${accuracy(human)}</span>
+                <span class="text-right font-mono">${accuracy(auto)}</span>
+                <span class="text-left text-indigo-300">${t('l2.review.earned')}</span>
+                <span class="text-right font-mono">${formatMoney(human.earned)}</span>
+                <span class="text-right font-mono">${formatMoney(auto.earned)}</span>
+            </div>
+            <p class="text-xs text-indigo-200 mt-3">${t(human.correct > human.aiCorrect ? 'l2.review.helped' : 'l2.review.noHelp', {
+                accuracy: formatPercent(human.aiCorrect / human.count * 100)
+            })}</p>
+            <p class="text-xs text-indigo-200 mt-1">${t('l2.review.throughput', { rate: formatNumber(rate), aiRate: formatNumber(60000 / L2_BALLOON_MS) })}</p>
+            <p class="text-xs text-indigo-300 mt-1">${t('l2.review.accuracyNote')}</p>
+        </div>`;
+}
+
+/* ===========================================
+    LEVEL 2 AUTO-TUNE - OPTIMISATION VS INTUITION
+    ===========================================
+    "Let the AI tune itself": the engine searches the slider space by
+    running hundreds of headless batches on the same seeded balloons the
+    student's test runs use, while a card over the past strategies shows
+    each candidate it tries. At the end the best strategy found is
+    compared with the student's own sliders on those same balloons.
+*/
+const AUTOTUNE_BUDGET = 300;
+const AUTOTUNE_EVALUATIONS_PER_FRAME = 6;
+const AUTOTUNE_FRAME_MS = 40;
+
+// Transient - a search never survives a page reload
+let autoTune = null;
+
+function getAutoTuneEvaluationOptions() {
+    return {
+        config: BALLOON_CONFIG,
+        distribution: L2_DISTRIBUTION,
+        count: L2_BATCH_SIZE,
+        stream: createRandomStream(gameState.seed, 'l2')
+    };
+}
+
+function setAutoTuneControlsDisabled(disabled) {
+    document.getElementById('l2-autotune-btn').disabled = disabled;
+    document.getElementById('l2-autotune-method').disabled = disabled;
+    l2StartStopBtn.disabled = disabled;
+    if (disabled) disableL2Sliders(); else enableL2Sliders();
+}
+
+function startAutoTune() {
+    if (gameState.l2.isRunning || (autoTune && autoTune.timer)) return;
+    updateL2Strategy();
+    const types = getBalloonTypes();
+    const method = document.getElementById('l2-autotune-method').value;
+    const evaluation = getAutoTuneEvaluationOptions();
+    const evaluate = strategy => PopLogicEngine.evaluateStrategy(strategy, evaluation);
+    autoTune = {
+        method,
+        history: [],
+        last: null,
+        studentStrategy: { ...gameState.l2.strategy },
+        studentEarned: evaluate(gameState.l2.strategy),
+        search: PopLogicEngine.searchStrategies({
+            method,
+            types,
+            min: Math.min(...types.map(type => getSliderSettings('l2', type).min)),
+            max: Math.max(...types.map(type => getSliderSettings('l2', type).max)),
+            budget: AUTOTUNE_BUDGET,
+            evaluate,
+            stream: createRandomStream(gameState.seed, 'l2-autotune')
+        })
+    };
+    setAutoTuneControlsDisabled(true);
+    autoTune.timer = setInterval(stepAutoTune, AUTOTUNE_FRAME_MS);
+    stepAutoTune();
+}
+
+function stepAutoTune() {
+    for (let i = 0; i < AUTOTUNE_EVALUATIONS_PER_FRAME; i++) {
+        const { value, done } = autoTune.search.next();
+        if (done) {
+            finishAutoTune();
+            return;
+        }
+        autoTune.last = value;
+        autoTune.history.push(value.earned);
+    }
+    renderAutoTuneCard();
+}
+
+function finishAutoTune() {
+    clearInterval(autoTune.timer);
+    autoTune.timer = null;
+    if (gameState.l2.split.enabled) {
+        autoTune.test = {
+            student: scoreL2HeldOut(autoTune.studentStrategy).totalEarned,
+            best: scoreL2HeldOut(autoTune.last.best).totalEarned
+        };
+    }
+    setAutoTuneControlsDisabled(false);
+    renderAutoTuneCard();
+}
+
+function applyAutoTuneStrategy() {
+    const best = autoTune.last.best;
+    Object.keys(best).forEach(color => {
+        document.getElementById(`l2-${color}-pumps`).value = best[color];
+        document.getElementById(`l2-${color}-val`).textContent = best[color];
+    });
+    updateL2Strategy();
+    closeAutoTune();
+}
+
+function closeAutoTune() {
+    autoTune = null;
+    document.getElementById('l2-autotune-panel').classList.add('hidden');
+}
+
+// Every candidate's earnings as dots, with the best-so-far line on top
+function renderAutoTuneChart(history) {
+    const width = 280;
+    const height = 60;
+    const maxEarned = Math.max(1, ...history);
+    const x = i => (i / Math.max(1, AUTOTUNE_BUDGET - 1)) * width;
+    const y = earned => height - (Math.max(0, earned) / maxEarned) * height;
+    let best = -Infinity;
+    const bestLine = history.map((earned, i) => { best = Math.max(best, earned); return `${x(i).toFixed(1)},${y(best).toFixed(1)}`; }).join(' ');
+    const dots = history.map((earned, i) => `<circle cx="${x(i).toFixed(1)}" cy="${y(earned).toFixed(1)}" r="1.2" fill="#818CF8" />`).join('');
+    return `<svg viewBox="0 0 ${width} ${height}" class="w-full h-16 bg-indigo-900/50 rounded">${dots}<polyline points="${bestLine}" fill="none" stroke="#4ADE80" stroke-width="2" /></svg>`;
+}
+
+function renderStrategyChips(strategy) {
+    return Object.keys(strategy).map(color => `
+        <span class="inline-flex items-center gap-1 mr-2"><span class="w-2 h-2 rounded-full bg-${getStrategyColor(color)}"></span><span class="text-${getStrategyColor(color)} font-bold">${strategy[color]}</span></span>
+    `).join('');
+}
+
+function renderAutoTuneCard() {
+    const panel = document.getElementById('l2-autotune-panel');
+    const { last, method, studentStrategy, studentEarned } = autoTune;
+    panel.classList.remove('hidden');
+    const isDone = !autoTune.timer;
+    const progress = Math.min(100, (last.evaluations / AUTOTUNE_BUDGET) * 100);
+
+    const comparison = isDone ? `
+        <div class="mt-3 pt-3 border-t border-purple-500/40">
+            <div class="grid grid-cols-3 gap-x-2 gap-y-1 text-xs">
+                <span class="text-indigo-300">${t('l2.autotune.colour')}</span><span class="text-indigo-300 text-right">${t('l2.autotune.you')}</span><span class="text-indigo-300 text-right">${t('l2.autotune.name')}</span>
+                ${getBalloonTypes().map(color => `
+                    <span class="text-${getBalloonTextColor(color)} font-bold">${escapeHtml(getBalloonName(color))}</span>
+                    <span class="text-right font-mono">${studentStrategy[color] || 0}</span>
+                    <span class="text-right font-mono ${last.best[color] !== (studentStrategy[color] || 0) ? 'text-purple-300 font-bold' : ''}">${last.best[color]}</span>
+                `).join('')}
+                <span class="text-indigo-300 pt-1">${t('l2.autotune.earned')}</span>
+                <span class="text-right font-mono pt-1 text-green-400 font-bold">${formatMoney(studentEarned)}</span>
+                <span class="text-right font-mono pt-1 text-green-400 font-bold">${formatMoney(last.bestEarned)}</span>
+                ${autoTune.test ? `
+                <span class="text-indigo-300">${t('l2.split.heldOut')}</span>
+                <span class="text-right font-mono text-amber-300 font-bold">${formatMoney(autoTune.test.student)}</span>
+                <span class="text-right font-mono text-amber-300 font-bold">${formatMoney(autoTune.test.best)}</span>` : ''}
+            </div>
+            <p class="text-xs text-indigo-200 mt-2">${last.bestEarned > studentEarned
+                ? t('l2.autotune.beat', { count: last.evaluations, amount: formatMoney(last.bestEarned - studentEarned), batch: L2_BATCH_SIZE })
+                : t('l2.autotune.matched', { count: last.evaluations })}</p>
+            <p class="text-xs text-indigo-300 mt-1">${t('l2.autotune.sameBalloons', { batch: L2_BATCH_SIZE })}</p>
+            <div class="flex gap-2 mt-3">
+                <button id="l2-autotune-apply-btn" class="btn bg-purple-500 hover:bg-purple-600 text-white text-xs font-bold py-2 px-3 rounded-lg flex-1">${t('l2.autotune.apply')}</button>
+                <button id="l2-autotune-close-btn" class="btn bg-indigo-600 hover:bg-indigo-700 text-white text-xs py-2 px-3 rounded-lg">${t('l2.autotune.close')}</button>
+            </div>
+        </div>` : '';
+
+    panel.innerHTML = `
+        <div class="bg-purple-900/30 p-4 rounded-lg border border-purple-500">
+            <div class="flex justify-between items-center mb-2">
+                <span class="text-sm font-bold text-purple-200">${t('l2.autotune.title', { method: t(`l2.autotune.method.${method}`) })}</span>
+                <span class="text-xs text-indigo-300">${t('l2.autotune.tested', { count: last.evaluations })}</span>
+            </div>
+            <div class="h-1 bg-indigo-900/50 rounded-full overflow-hidden mb-2"><div class="h-full bg-purple-400" style="width: ${progress}%"></div></div>
+            ${renderAutoTuneChart(autoTune.history)}
+            <div class="text-xs mt-2 space-y-1">
+                <div class="flex justify-between"><span class="text-indigo-300">${t('l2.autotune.trying')}</span><span>${renderStrategyChips(last.candidate)} <span class="font-mono">${formatMoney(last.earned)}</span></span></div>
+                <div class="flex justify-between"><span class="text-indigo-300">${t('l2.autotune.bestSoFar')}</span><span>${renderStrategyChips(last.best)} <span class="font-mono text-green-400 font-bold">${formatMoney(last.bestEarned)}</span></span></div>
+            </div>
+            ${comparison}
+        </div>`;
+    if (isDone) {
+        document.getElementById('l2-autotune-apply-btn').addEventListener('click', applyAutoTuneStrategy);
+        document.getElementById('l2-autotune-close-btn').addEventListener('click', closeAutoTune);
+    }
 }
 
 // =================================
@@ -1156,14 +3564,17 @@ function startLevel3() {
     buildPerformanceMonitor('l3');
     updateL3Stats();
     updateWeatherDisplay();
+    refreshChart('l3-timeline', true);
+    renderL3SamplingControls();
+    renderQuizSummaries();
     showTutorialStep(L3_TUTORIAL_STEPS, 'l3');
 }
 
-function setupL3Controls() { ['red', 'blue', 'green', 'yellow'].forEach(color => { const slider = document.getElementById(`l3-${color}-pumps`); const valSpan = document.getElementById(`l3-${color}-val`); slider.addEventListener('input', () => { valSpan.textContent = slider.value; if (!gameState.l3.isRunning) updateL3Strategy(); }); }); }
-function updateL3Strategy() { ['red', 'blue', 'green', 'yellow'].forEach(color => { gameState.l3.strategy[color] = parseInt(document.getElementById(`l3-${color}-pumps`).value); }); }
+function setupL3Controls() { buildStrategySliders('l3', updateL3Strategy); }
+function updateL3Strategy() { getBalloonTypes().forEach(color => { gameState.l3.strategy[color] = parseInt(document.getElementById(`l3-${color}-pumps`).value); }); }
 
 function disableL3Sliders() {
-    ['red', 'blue', 'green', 'yellow'].forEach(color => {
+    getBalloonTypes().forEach(color => {
         const slider = document.getElementById(`l3-${color}-pumps`);
         slider.disabled = true;
         slider.style.opacity = '0.5';
@@ -1172,7 +3583,7 @@ function disableL3Sliders() {
 }
 
 function enableL3Sliders() {
-    ['red', 'blue', 'green', 'yellow'].forEach(color => {
+    getBalloonTypes().forEach(color => {
         const slider = document.getElementById(`l3-${color}-pumps`);
         slider.disabled = false;
         slider.style.opacity = '1';
@@ -1180,29 +3591,254 @@ function enableL3Sliders() {
     });
 }
 
+/* ===========================================
+    WEATHER BANDS & POLICY TABLE
+    ===========================================
+    The factory temperature falls into one of eight weather bands, coldest
+    first. Students can author a policy table - pump settings per colour
+    for each band - and production then switches rows automatically as the
+    weather changes: a context-aware model instead of pausing to drag
+    sliders. Results are also tracked per band (gameState.l3.bandStats).
+    Band names, statuses and insights live in the message catalogue
+    under weather.<id>.
+*/
+const WEATHER_BANDS = [
+    { id: 'blizzard', range: '< 5°C', matches: t => t < 5, icon: '🧊', textClass: 'text-blue-600 animate-pulse', barWidth: '10%', barClass: 'from-blue-600 to-blue-800', effect: 'blizzard' },
+    { id: 'cold-snap', range: '5-9°C', matches: t => t < 10, icon: '❄️', textClass: 'text-blue-400', barWidth: '20%', barClass: 'from-blue-400 to-blue-600', effect: 'snow' },
+    { id: 'storm', range: '10-14°C', matches: t => t < 15, icon: '⛈️', textClass: 'text-purple-400', barWidth: '30%', barClass: 'from-purple-400 to-blue-500', effect: 'storm' },
+    { id: 'cool', range: '15-19°C', matches: t => t < 20, icon: '🌧️', textClass: 'text-blue-300', barWidth: '40%', barClass: 'from-blue-400 to-blue-500', effect: 'rain' },
+    { id: 'perfect', range: '20-25°C', matches: t => t <= 25, icon: '🌤️', textClass: 'text-green-400', barWidth: '50%', barClass: 'from-green-400 to-blue-400', effect: null },
+    { id: 'warm', range: '26-30°C', matches: t => t <= 30, icon: '☀️', iconHtml: '☀️<div class="sun-effect warm"></div>', textClass: 'text-orange-400', barWidth: '70%', barClass: 'from-orange-400 to-red-400', effect: null },
+    { id: 'heat-wave', range: '31-35°C', matches: t => t <= 35, icon: '🌡️', iconHtml: '🌡️<div class="sun-effect heat-wave"></div>', textClass: 'text-red-500', barWidth: '90%', barClass: 'from-yellow-400 to-red-500', effect: 'heat' },
+    { id: 'extreme-heat', range: '> 35°C', matches: () => true, icon: '🔥', iconHtml: '🔥<div class="sun-effect extreme-heat"></div>', textClass: 'text-red-600 animate-pulse', barWidth: '100%', barClass: 'from-red-500 to-red-700', effect: 'extreme-heat' }
+];
+
+function getWeatherBand(temperature) {
+    return WEATHER_BANDS.find(band => band.matches(temperature));
+}
+
+// The pump settings production uses right now: the current band's row, or the sliders
+function getActiveL3Strategy() {
+    const policy = gameState.l3.policy;
+    if (!policy.enabled) return gameState.l3.strategy;
+    return policy.rows[getWeatherBand(gameState.l3.temperature).id] || gameState.l3.strategy;
+}
+
+function setL3PolicyEnabled(enabled) {
+    const policy = gameState.l3.policy;
+    policy.enabled = enabled;
+    if (enabled) {
+        // Start every band from the current sliders; the student refines from there
+        updateL3Strategy();
+        WEATHER_BANDS.forEach(band => {
+            if (!policy.rows[band.id]) policy.rows[band.id] = { ...gameState.l3.strategy };
+        });
+    }
+    saveGameState();
+    renderL3PolicyTable();
+    renderExpectedValuePanel('l3');
+    updatePerformanceMonitor('l3');
+}
+
+function copySlidersToPolicy() {
+    updateL3Strategy();
+    WEATHER_BANDS.forEach(band => { gameState.l3.policy.rows[band.id] = { ...gameState.l3.strategy }; });
+    saveGameState();
+    renderL3PolicyTable();
+}
+
+function updateL3PolicyCell(input) {
+    const settings = getSliderSettings('l3', input.dataset.color);
+    const value = Math.min(settings.max, Math.max(settings.min, parseInt(input.value) || settings.min));
+    gameState.l3.policy.rows[input.dataset.band][input.dataset.color] = value;
+    input.value = value;
+    logEvent('l3', 'slider', { band: input.dataset.band, color: input.dataset.color, value });
+    saveGameState();
+    renderExpectedValuePanel('l3');
+    updatePerformanceMonitor('l3');
+}
+
+function renderL3PolicyTable() {
+    const policy = gameState.l3.policy;
+    document.getElementById('l3-policy-toggle').checked = policy.enabled;
+    const tableEl = document.getElementById('l3-policy-table');
+    tableEl.classList.toggle('hidden', !policy.enabled);
+    if (!policy.enabled) return;
+    // Don't redraw the inputs while the student is typing into them
+    if (tableEl.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') return;
+
+    const currentBand = getWeatherBand(gameState.l3.temperature).id;
+    const types = getBalloonTypes();
+    tableEl.innerHTML = `
+        <table class="w-full text-xs">
+            <thead>
+                <tr class="text-indigo-300">
+                    <th class="text-left py-1">${t('l3.weather')}</th>
+                    ${types.map(color => `<th class="py-1 text-${getBalloonTextColor(color)}">${escapeHtml(getBalloonName(color))}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${WEATHER_BANDS.map(band => `
+                    <tr class="${band.id === currentBand ? 'bg-indigo-600/50 font-bold' : ''}">
+                        <td class="py-1 pr-2 whitespace-nowrap" title="${band.range}">${band.icon} ${getWeatherBandName(band.id)}</td>
+                        ${types.map(color => {
+                            const settings = getSliderSettings('l3', color);
+                            const value = policy.rows[band.id] && policy.rows[band.id][color] !== undefined ? policy.rows[band.id][color] : settings.value;
+                            return `<td class="py-1 text-center"><input type="number" class="policy-input w-12 bg-indigo-900/60 border border-indigo-600 rounded px-1 text-center font-mono text-white" data-band="${band.id}" data-color="${color}" min="${settings.min}" max="${settings.max}" value="${value}" aria-label="${t('l3.policy.inputLabel', { band: getWeatherBandName(band.id), colour: escapeHtml(getBalloonName(color)) })}"></td>`;
+                        }).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <button id="l3-policy-copy-btn" class="btn mt-2 text-xs bg-indigo-600 hover:bg-indigo-700 py-1 px-3 rounded-lg">${t('l3.policy.copy')}</button>`;
+    tableEl.querySelectorAll('.policy-input').forEach(input => {
+        if (!policy.rows[input.dataset.band]) policy.rows[input.dataset.band] = {};
+        input.addEventListener('change', () => updateL3PolicyCell(input));
+    });
+    document.getElementById('l3-policy-copy-btn').addEventListener('click', copySlidersToPolicy);
+}
+
+// Per-band breakdown under the Production Analytics monitor
+function renderL3BandMonitor() {
+    const bandStats = gameState.l3.bandStats;
+    const bands = WEATHER_BANDS.filter(band => bandStats[band.id]);
+    const types = getBalloonTypes();
+    const monitorEl = document.getElementById('l3-band-monitor');
+    if (bands.length === 0) {
+        monitorEl.innerHTML = `<p class="text-xs text-center text-indigo-400">${t('l3.bands.empty')}</p>`;
+        return;
+    }
+    monitorEl.innerHTML = `
+        <table class="w-full text-xs">
+            <thead>
+                <tr class="text-indigo-300 border-b border-indigo-700">
+                    <th class="text-left py-1">${t('l3.weather')}</th>
+                    <th class="text-right py-1">${t('l3.bands.balloons')}</th>
+                    <th class="text-right py-1">${t('l3.bands.avgScore')}</th>
+                    <th class="text-right py-1">${t('monitor.popRate')}</th>
+                    ${types.map(color => `<th class="text-right py-1 text-${getBalloonTextColor(color)}" title="${t('l3.bands.colourPopRate', { colour: escapeHtml(getBalloonName(color)) })}">${t('l3.bands.colourPop', { initial: escapeHtml(getBalloonName(color).charAt(0)) })}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${bands.map(band => {
+                    const summary = PopLogicEngine.summarizeStats(bandStats[band.id]);
+                    return `
+                        <tr class="border-b border-indigo-800/50">
+                            <td class="py-1 whitespace-nowrap">${band.icon} ${getWeatherBandName(band.id)}</td>
+                            <td class="py-1 text-right font-mono">${summary.totalCount}</td>
+                            <td class="py-1 text-right font-mono">${formatMoney(summary.overallAvgScore, 1)}</td>
+                            <td class="py-1 text-right font-mono">${formatPercent(summary.overallPopRate)}</td>
+                            ${types.map(color => {
+                                const perf = summary.performance[color];
+                                return `<td class="py-1 text-right font-mono text-indigo-300">${perf && perf.count > 0 ? formatPercent(perf.popRate) : '–'}</td>`;
+                            }).join('')}
+                        </tr>`;
+                }).join('')}
+            </tbody>
+        </table>`;
+}
+
+/* ===========================================
+    SAMPLING TEMPERATURE
+    ===========================================
+    The factory temperature changes the balloons; this "model temperature"
+    changes the bot. With sampling on, the slider (or policy row) is only
+    the bot's favourite choice: each balloon's pump count is sampled from
+    a softmax over every allowed count (PopLogicEngine.getBoltzmannDistribution),
+    just like a language model sampling its next word. The histogram shows
+    what it actually chose.
+*/
+const MODEL_TEMPERATURE_MAX = 5;
+
+// Sampling options for PopLogicEngine.simulateBalloon, or null when the bot always uses its setting
+function getL3SamplingOptions() {
+    const sampling = gameState.l3.sampling;
+    if (!sampling.enabled) return null;
+    const types = getBalloonTypes();
+    return {
+        stream: gameState.l3.samplingRng,
+        temperature: sampling.temperature,
+        min: Math.min(...types.map(color => getSliderSettings('l3', color).min)),
+        max: Math.max(...types.map(color => getSliderSettings('l3', color).max))
+    };
+}
+
+function recordL3SampledPumps(result) {
+    const histogram = gameState.l3.sampling.histogram;
+    if (!histogram[result.type]) histogram[result.type] = {};
+    histogram[result.type][result.pumps] = (histogram[result.type][result.pumps] || 0) + 1;
+    refreshChart('l3-sampling');
+}
+
+function setL3SamplingEnabled(enabled) {
+    gameState.l3.sampling.enabled = enabled;
+    saveGameState();
+    renderL3SamplingControls();
+}
+
+function setL3ModelTemperature(value) {
+    gameState.l3.sampling.temperature = Math.min(MODEL_TEMPERATURE_MAX, Math.max(0, parseFloat(value) || 0));
+    saveGameState();
+    renderL3SamplingControls();
+}
+
+function clearL3SamplingHistogram() {
+    gameState.l3.sampling.histogram = {};
+    saveGameState();
+    refreshChart('l3-sampling', true);
+}
+
+// How often the bot sticks to its setting at this temperature (away from the slider ends)
+function describeModelTemperature(temperature) {
+    if (temperature === 0) return t('l3.sampling.greedy');
+    const range = getL3SamplingOptions() || { min: 1, max: STRATEGY_SLIDER_DEFAULTS.l3.max };
+    const target = Math.round((range.min + range.max) / 2);
+    const distribution = PopLogicEngine.getBoltzmannDistribution(target, temperature, range.min, range.max);
+    const exact = distribution.find(candidate => candidate.pumps === target).probability;
+    const within2 = distribution.filter(candidate => Math.abs(candidate.pumps - target) <= 2)
+        .reduce((sum, candidate) => sum + candidate.probability, 0);
+    return t('l3.sampling.spread', { temperature: formatNumber(temperature, 1), exact: formatPercent(exact * 100), within: formatPercent(within2 * 100) });
+}
+
+function renderL3SamplingControls() {
+    const sampling = gameState.l3.sampling;
+    document.getElementById('l3-sampling-toggle').checked = sampling.enabled;
+    document.getElementById('l3-sampling-controls').classList.toggle('hidden', !sampling.enabled);
+    document.getElementById('l3-model-temperature').value = sampling.temperature;
+    document.getElementById('l3-model-temperature-value').textContent = formatNumber(sampling.temperature, 1);
+    document.getElementById('l3-model-temperature-info').textContent = describeModelTemperature(sampling.temperature);
+    if (sampling.enabled) refreshChart('l3-sampling', true);
+}
+
 function toggleL3Simulation() {
     gameState.l3.isRunning = !gameState.l3.isRunning;
     if (gameState.l3.isRunning) {
-        l3StartStopBtn.textContent = '⏸️ PAUSE PRODUCTION';
+        l3StartStopBtn.textContent = t('l3.pause');
         l3StartStopBtn.classList.remove('bg-green-500', 'hover:bg-green-600');
         l3StartStopBtn.classList.add('bg-amber-500', 'hover:bg-amber-600');
         updateL3Strategy();
         disableL3Sliders();
+        logEvent('l3', 'start', { strategy: { ...getActiveL3Strategy() }, temperature: gameState.l3.temperature });
+        announce(t('announce.l3.running'));
         runL3Simulation();
         runL3TempChanges();
     } else {
-        l3StartStopBtn.textContent = '🚀 START PRODUCTION';
+        l3StartStopBtn.textContent = t('l3.start');
         l3StartStopBtn.classList.add('bg-green-500', 'hover:bg-green-600');
         l3StartStopBtn.classList.remove('bg-amber-500', 'hover:bg-amber-600');
         enableL3Sliders();
         clearInterval(gameState.l3.interval);
         clearTimeout(gameState.l3.tempInterval);
         hideWeatherEffects();
+        logEvent('l3', 'pause');
+        announce(t('announce.l3.paused', { amount: formatMoney(gameState.l3.totalScore), count: gameState.l3.processedCount }));
+        syncClassResults();
     }
 }
 
 function updateWeatherDisplay() {
     const temp = gameState.l3.temperature;
+    renderExpectedValuePanel('l3');
     const weatherIcon = document.getElementById('weather-icon');
     const weatherStatus = document.getElementById('weather-status');
     const tempBar = document.getElementById('temp-bar');
@@ -1211,63 +3847,16 @@ function updateWeatherDisplay() {
     l3TempDisplay.textContent = `${temp}°C`;
     
     // Update weather icon and status with more dramatic conditions
-    if (temp > 35) {
-        weatherIcon.innerHTML = '🔥<div class="sun-effect extreme-heat"></div>';
-        weatherStatus.textContent = 'EXTREME HEAT - CRITICAL RISK';
-        l3TempDisplay.className = 'text-4xl font-black transition-all duration-1000 mb-2 text-red-600 animate-pulse';
-        tempBar.style.width = '100%';
-        tempBar.className = 'h-full bg-gradient-to-r from-red-500 to-red-700 transition-all duration-1000';
-        showWeatherEffect('extreme-heat');
-    } else if (temp > 30) {
-        weatherIcon.innerHTML = '🌡️<div class="sun-effect heat-wave"></div>';
-        weatherStatus.textContent = 'Heat Wave - HIGH RISK';
-        l3TempDisplay.className = 'text-4xl font-black transition-all duration-1000 mb-2 text-red-500';
-        tempBar.style.width = '90%';
-        tempBar.className = 'h-full bg-gradient-to-r from-yellow-400 to-red-500 transition-all duration-1000';
-        showWeatherEffect('heat');
-    } else if (temp > 25) {
-        weatherIcon.innerHTML = '☀️<div class="sun-effect warm"></div>';
-        weatherStatus.textContent = 'Warm - Moderate Risk';
-        l3TempDisplay.className = 'text-4xl font-black transition-all duration-1000 mb-2 text-orange-400';
-        tempBar.style.width = '70%';
-        tempBar.className = 'h-full bg-gradient-to-r from-orange-400 to-red-400 transition-all duration-1000';
-        hideWeatherEffects();
-    } else if (temp < 5) {
-        weatherIcon.textContent = '🧊';
-        weatherStatus.textContent = 'BLIZZARD - EXTREME COLD';
-        l3TempDisplay.className = 'text-4xl font-black transition-all duration-1000 mb-2 text-blue-600 animate-pulse';
-        tempBar.style.width = '10%';
-        tempBar.className = 'h-full bg-gradient-to-r from-blue-600 to-blue-800 transition-all duration-1000';
-        showWeatherEffect('blizzard');
-    } else if (temp < 10) {
-        weatherIcon.textContent = '❄️';
-        weatherStatus.textContent = 'Cold Snap - Low Risk';
-        l3TempDisplay.className = 'text-4xl font-black transition-all duration-1000 mb-2 text-blue-400';
-        tempBar.style.width = '20%';
-        tempBar.className = 'h-full bg-gradient-to-r from-blue-400 to-blue-600 transition-all duration-1000';
-        showWeatherEffect('snow');
-    } else if (temp < 15) {
-        weatherIcon.textContent = '⛈️';
-        weatherStatus.textContent = 'Storm - Unstable Conditions';
-        l3TempDisplay.className = 'text-4xl font-black transition-all duration-1000 mb-2 text-purple-400';
-        tempBar.style.width = '30%';
-        tempBar.className = 'h-full bg-gradient-to-r from-purple-400 to-blue-500 transition-all duration-1000';
-        showWeatherEffect('storm');
-    } else if (temp < 20) {
-        weatherIcon.textContent = '🌧️';
-        weatherStatus.textContent = 'Cool - Stable Conditions';
-        l3TempDisplay.className = 'text-4xl font-black transition-all duration-1000 mb-2 text-blue-300';
-        tempBar.style.width = '40%';
-        tempBar.className = 'h-full bg-gradient-to-r from-blue-400 to-blue-500 transition-all duration-1000';
-        showWeatherEffect('rain');
-    } else {
-        weatherIcon.textContent = '🌤️';
-        weatherStatus.textContent = 'Perfect Conditions';
-        l3TempDisplay.className = 'text-4xl font-black transition-all duration-1000 mb-2 text-green-400';
-        tempBar.style.width = '50%';
-        tempBar.className = 'h-full bg-gradient-to-r from-green-400 to-blue-400 transition-all duration-1000';
-        hideWeatherEffects();
-    }
+    const band = getWeatherBand(temp);
+    if (band.iconHtml) weatherIcon.innerHTML = band.iconHtml;
+    else weatherIcon.textContent = band.icon;
+    weatherStatus.textContent = t(`weather.${band.id}.status`);
+    l3TempDisplay.className = `text-4xl font-black transition-all duration-1000 mb-2 ${band.textClass}`;
+    tempBar.style.width = band.barWidth;
+    tempBar.className = `h-full bg-gradient-to-r ${band.barClass} transition-all duration-1000`;
+    if (band.effect) showWeatherEffect(band.effect);
+    else hideWeatherEffects();
+    renderL3PolicyTable();
 }
 
 function showWeatherEffect(type) {
@@ -1378,75 +3967,60 @@ function startContinuousWeatherEffect(type, effectDiv) {
 function runL3TempChanges() {
     const updateTemp = () => {
         // Random temperature change (simulating environmental variability)
-        const change = getRandomInt(-5, 5);
+        const change = getRandomInt(-5, 5, gameState.l3.weatherRng);
         gameState.l3.temperature += change;
         
         // Clamp temperature to realistic range (0-40°C)
         if (gameState.l3.temperature > 40) gameState.l3.temperature = 40;
         if (gameState.l3.temperature < 0) gameState.l3.temperature = 0;
+        logEvent('l3', 'temperature', { temperature: gameState.l3.temperature });
         
         updateWeatherDisplay();
         
-        if (gameState.l3.temperature > 35) {
-            setInsight("🔥 CRITICAL ALERT! Extreme heat detected! Balloons are extremely fragile - reduce all pump settings immediately!", 3);
-        } else if (gameState.l3.temperature > 30) {
-            setInsight("🌡️ Heat wave warning! Balloons are more fragile. Consider reducing pump settings to avoid catastrophic losses!", 3);
-        } else if (gameState.l3.temperature > 25) {
-            setInsight("☀️ Warm conditions detected. Balloons are slightly more fragile. Monitor your settings carefully!", 3);
-        } else if (gameState.l3.temperature < 5) {
-            setInsight("🧊 BLIZZARD CONDITIONS! Extreme cold makes balloons ultra-stable. You can maximize pump settings for massive profits!", 3);
-        } else if (gameState.l3.temperature < 10) {
-            setInsight("❄️ Cold snap detected! Balloons are very stable. Increase pump settings for higher profits!", 3);
-        } else if (gameState.l3.temperature < 15) {
-            setInsight("⛈️ Storm conditions! Unstable weather affects balloon behavior. Adjust settings carefully!", 3);
-        } else if (gameState.l3.temperature < 20) {
-            setInsight("🌧️ Cool conditions detected. Balloons are stable. Good time to optimize your strategy!", 3);
-        } else {
-            setInsight("🌤️ Perfect factory conditions! Your AI is performing optimally in ideal weather.", 3);
-        }
+        const insight = t(`weather.${getWeatherBand(gameState.l3.temperature).id}.insight`);
+        setInsight(insight, 3);
+        announce(t('announce.l3.weather', { temperature: gameState.l3.temperature, insight }));
         
-        gameState.l3.tempInterval = setTimeout(updateTemp, getRandomInt(15000, 60000));
+        gameState.l3.tempInterval = setTimeout(updateTemp, getRandomInt(15000, 60000, gameState.l3.weatherRng));
     };
     updateTemp();
 }
 
 function runL3Simulation() {
         gameState.l3.interval = setInterval(() => {
-        const type = getL2RandomBalloon();
-        const config = BALLOON_CONFIG[type];
-        const strategyPumps = gameState.l3.strategy[type];
-        const tempDiff = gameState.l3.temperature - 20;
-        const percentChange = Math.round(tempDiff / 2);
-        let [min, max] = [...config.range];
-        min = Math.max(1, Math.round(min * (1 - percentChange / 100)));
-        max = Math.max(min + 1, Math.round(max * (1 - percentChange / 100)));
-        const maxPumps = getRandomInt(min, max);
-        let scoreVal = 0;
-        if (strategyPumps > maxPumps) { gameState.l3.stats[type].pops++; } else { scoreVal = strategyPumps; gameState.l3.stats[type].score += scoreVal; gameState.l3.totalScore += scoreVal; }
-        gameState.l3.stats[type].count++;
+        const result = PopLogicEngine.simulateBalloon(gameState.l3.rng, {
+            config: BALLOON_CONFIG,
+            distribution: L3_DISTRIBUTION,
+            strategy: getActiveL3Strategy(),
+            temperature: gameState.l3.temperature,
+            temperatureScaling: L3_TEMPERATURE_SCALING,
+            sampling: getL3SamplingOptions()
+        });
+        PopLogicEngine.recordResult(gameState.l3.stats, result);
+        logResult('l3', result);
+        const bandId = getWeatherBand(gameState.l3.temperature).id;
+        if (!gameState.l3.bandStats[bandId]) gameState.l3.bandStats[bandId] = PopLogicEngine.createStats(getBalloonTypes());
+        PopLogicEngine.recordResult(gameState.l3.bandStats[bandId], result);
+        gameState.l3.totalScore += result.score;
         gameState.l3.processedCount = (gameState.l3.processedCount || 0) + 1;
+        recordL3ChartPoint(result);
+        if (result.target !== undefined) recordL3SampledPumps(result);
         document.getElementById('l3-balloons-processed').textContent = gameState.l3.processedCount;
-        const balloonItem = document.createElement('div');
-        balloonItem.className = 'absolute top-1/2 left-1/2 conveyor-belt-item';
-        const balloonEl = document.createElement('div');
-        balloonEl.className = `balloon bg-${config.color}`;
-        balloonEl.style.transform = 'scale(0.5)'; balloonEl.style.color = `var(--tw-bg-${config.color})`;
-        balloonItem.appendChild(balloonEl);
-        if (scoreVal === 0) { setTimeout(() => { createExplosion(balloonItem, type); balloonEl.style.display = 'none'; }, 2000); }
-        l3Conveyor.appendChild(balloonItem);
-        setTimeout(() => { if (l3Conveyor.contains(balloonItem)) l3Conveyor.removeChild(balloonItem); }, 4000);
+        renderConveyorBalloon(l3Conveyor, result, 2000, false);
         updateL3Stats();
         saveGameState();
+        if (gameState.l3.processedCount % CLASS_SYNC_EVERY_L3_BALLOONS === 0) syncClassResults();
         }, 400);
 }
 
 function updateL3Stats() {
-    document.getElementById('l3-total-score').textContent = gameState.l3.totalScore;
+    document.getElementById('l3-total-score').textContent = formatMoney(gameState.l3.totalScore);
     updatePerformanceMonitor('l3');
+    renderL3BandMonitor();
 }
 
 function resetL3Production() {
-    if (confirm('Are you sure you want to reset production? This will stop the current production and reset all statistics.')) {
+    if (confirm(t('confirm.resetProduction'))) {
         // Stop the simulation
         if (gameState.l3.isRunning) {
             toggleL3Simulation();
@@ -1466,39 +4040,38 @@ function resetL3Production() {
             gameState.l3.weatherInterval = null;
         }
         
+        endLogSession('l3', { earned: gameState.l3.totalScore });
+
         // Reset Level 3 stats
         gameState.l3.totalScore = 0;
         gameState.l3.processedCount = 0;
         gameState.l3.temperature = 20;
         gameState.l3.isRunning = false;
+        gameState.l3.rng = createRandomStream(gameState.seed, 'l3');
+        gameState.l3.weatherRng = createRandomStream(gameState.seed, 'l3-weather');
+        gameState.l3.samplingRng = createRandomStream(gameState.seed, 'l3-sampling');
         
         // Reset individual color stats
-        Object.keys(gameState.l3.stats).forEach(color => {
-            gameState.l3.stats[color] = { score: 0, pumps: 0, count: 0, pops: 0 };
-        });
+        gameState.l3.stats = PopLogicEngine.createStats(getBalloonTypes());
+        gameState.l3.processedSinceChartUpdate = 0;
+        gameState.l3.recent = [];
+        gameState.l3.timeline = [];
+        gameState.l3.bandStats = {};
+        gameState.l3.sampling.histogram = {};
+        refreshChart('l3-timeline', true);
+        refreshChart('l3-sampling', true);
         
-        // Reset strategy to default values
-        gameState.l3.strategy = { red: 8, blue: 5, green: 6, yellow: 10 };
+        // Reset strategy and sliders to default values
+        gameState.l3.strategy = {};
+        setupL3Controls();
         
         // Update UI
         updateL3Stats();
         updateWeatherDisplay();
         updateL3Strategy();
         
-        // Reset sliders to default values
-        document.getElementById('l3-red-pumps').value = 8;
-        document.getElementById('l3-blue-pumps').value = 5;
-        document.getElementById('l3-green-pumps').value = 6;
-        document.getElementById('l3-yellow-pumps').value = 10;
-        
-        // Update slider display values
-        document.getElementById('l3-red-val').textContent = '8';
-        document.getElementById('l3-blue-val').textContent = '5';
-        document.getElementById('l3-green-val').textContent = '6';
-        document.getElementById('l3-yellow-val').textContent = '10';
-        
         // Reset button text
-        l3StartStopBtn.textContent = '🚀 START PRODUCTION';
+        l3StartStopBtn.textContent = t('l3.start');
         l3StartStopBtn.classList.remove('bg-amber-500', 'hover:bg-amber-600');
         l3StartStopBtn.classList.add('bg-green-500', 'hover:bg-green-600');
         
@@ -1513,7 +4086,7 @@ function resetL3Production() {
         // Clear insights
         const insightsElement = document.getElementById('l3-insights');
         if (insightsElement) {
-            insightsElement.textContent = 'Production reset. Ready to start fresh!';
+            insightsElement.textContent = t('insight.l3.reset');
         }
         
         // Save state
@@ -1521,6 +4094,1621 @@ function resetL3Production() {
     }
 }
 
+/* ===========================================
+    LEVEL 4: EXPLORATION VS EXPLOITATION - BALLOON MACHINES
+    ===========================================
+    A multi-armed bandit: a row of balloon machines, each with a hidden
+    pop range drawn from the seed like a BALLOON_CONFIG range, and a
+    fixed budget of pulls. Every pull pumps one balloon the same number
+    of times, so the only way to find the best machine is to spend pulls
+    trying them - the exploration vs. exploitation trade-off behind
+    reinforcement learning.
+
+    An optional bandit bot (epsilon-greedy or UCB, from the engine)
+    pulls right after the student on the same machines and balloons,
+    and the regret chart shows both learners' cost of not knowing.
+*/
+const L4_MACHINE_COUNT = 4;
+const L4_PULL_BUDGET = 40;
+const L4_PUMPS_PER_PULL = 8;
+const L4_RANGE_LIMITS = { min: [1, 7], span: [4, 14] };   // Pop ranges are [min, min + span]
+const L4_MACHINE_COLORS = ['pink-500', 'teal-400', 'orange-400', 'violet-500'];
+const L4_BOT_EPSILON = 0.1;
+
+const getL4MachineLetter = (machine) => String.fromCharCode(65 + machine);
+const getL4PullsUsed = () => gameState.l4.player ? gameState.l4.player.history.length : 0;
+const getL4MachineMeans = () => gameState.l4.ranges.map(range => PopLogicEngine.getExpectedScore(range, L4_PUMPS_PER_PULL));
+
+// Draws a round's machines from the seed; the student and the bot share every machine's balloons
+function resetL4Machines(round) {
+    const l4 = gameState.l4;
+    l4.round = round;
+    l4.ranges = PopLogicEngine.drawMachineRanges(createRandomStream(gameState.seed, `l4-machines-${round}`), L4_MACHINE_COUNT, L4_RANGE_LIMITS);
+    l4.player = createL4Player();
+    l4.bot.player = null;
+    l4.bot.rng = createRandomStream(gameState.seed, `l4-bot-${round}`);
+}
+
+function createL4Player() {
+    return PopLogicEngine.createBanditPlayer({ seed: gameState.seed, name: `l4-${gameState.l4.round}`, ranges: gameState.l4.ranges });
+}
+
+function startLevel4() {
+    showScreen('level-4');
+    const l4 = gameState.l4;
+    // A save that lost its player or streams restarts the round rather than half-loading it
+    if (l4.ranges.length === 0 || !l4.player || !l4.bot.rng || l4.player.counts.length !== l4.ranges.length) resetL4Machines(l4.round);
+    buildL4Machines();
+    if (getL4PullsUsed() >= L4_PULL_BUDGET) {
+        endLevel4(true);
+    } else {
+        document.getElementById('l4-summary-area').classList.add('hidden');
+        document.getElementById('l4-machines').classList.remove('hidden');
+        renderL4();
+        if (getL4PullsUsed() === 0) setInsight(t('insight.l4.start'), 4);
+    }
+    refreshChart('l4-regret', true);
+    showTutorialStep(L4_TUTORIAL_STEPS, 'l4');
+}
+
+function replayLevel4() {
+    resetL4Machines(gameState.l4.round + 1);
+    saveGameState();
+    startLevel4();
+}
+
+function buildL4Machines() {
+    document.getElementById('l4-machines').innerHTML = gameState.l4.ranges.map((_, machine) => {
+        const color = L4_MACHINE_COLORS[machine % L4_MACHINE_COLORS.length];
+        return `
+        <button id="l4-machine-${machine}" ${gameState.shortcuts ? `aria-keyshortcuts="${machine + 1}"` : ''} class="btn bg-indigo-900/60 hover:bg-indigo-700 border-2 border-indigo-600 rounded-2xl p-4 flex flex-col items-center gap-2">
+            <span class="text-xs text-indigo-400 font-mono">${machine + 1}</span>
+            <span class="w-12 h-14 rounded-[50%/60%_60%_40%_40%] bg-${color} shadow-md" aria-hidden="true"></span>
+            <span class="font-bold text-${color}">${t('l4.machine', { letter: getL4MachineLetter(machine) })}</span>
+            <span id="l4-machine-${machine}-stats" class="text-xs text-indigo-300"></span>
+            <span id="l4-machine-${machine}-last" class="text-sm font-bold h-5"></span>
+            <span id="l4-machine-${machine}-bot" class="text-xs text-indigo-400 hidden"></span>
+        </button>`;
+    }).join('');
+    gameState.l4.ranges.forEach((_, machine) => {
+        document.getElementById(`l4-machine-${machine}`).addEventListener('click', () => pullL4Machine(machine));
+    });
+}
+
+function pullL4Machine(machine) {
+    const l4 = gameState.l4;
+    if (getL4PullsUsed() >= L4_PULL_BUDGET) return;
+    const entry = PopLogicEngine.pullMachine(l4.player, machine, l4.ranges, L4_PUMPS_PER_PULL);
+    playL4Bot();
+    saveGameState();
+
+    const left = L4_PULL_BUDGET - getL4PullsUsed();
+    const letter = getL4MachineLetter(machine);
+    announce(entry.popped
+        ? t('announce.l4.popped', { letter, left })
+        : t('announce.l4.held', { letter, amount: formatMoney(entry.score), left }), 'l4-pull');
+    renderL4(entry);
+    refreshChart('l4-regret');
+
+    if (left === 0) {
+        endLevel4();
+    } else if (l4.player.counts[machine] === 1 && l4.player.counts.every(count => count > 0)) {
+        // This pull was the last machine's first
+        setInsight(t('insight.l4.explored'), 4);
+    } else if (getL4PullsUsed() === L4_PULL_BUDGET / 2) {
+        setInsight(t('insight.l4.halfway'), 4);
+    }
+}
+
+function playL4Bot() {
+    const bot = gameState.l4.bot;
+    if (!bot.enabled) return;
+    if (!bot.player) bot.player = createL4Player();
+    const machine = PopLogicEngine.chooseBanditMachine(bot.player, { policy: bot.policy, epsilon: L4_BOT_EPSILON, stream: bot.rng, maxReward: L4_PUMPS_PER_PULL });
+    PopLogicEngine.pullMachine(bot.player, machine, gameState.l4.ranges, L4_PUMPS_PER_PULL);
+}
+
+// The bot can only be switched on, off or changed before the first pull so the race stays fair
+function setL4Bot(enabled, policy) {
+    if (getL4PullsUsed() > 0) return;
+    gameState.l4.bot.enabled = enabled;
+    gameState.l4.bot.policy = policy;
+    gameState.l4.bot.player = null;
+    saveGameState();
+    renderL4();
+}
+
+function renderL4(lastEntry) {
+    const { player, bot } = gameState.l4;
+    document.getElementById('l4-pulls-left').textContent = t('l4.pullsLeft', { count: L4_PULL_BUDGET - getL4PullsUsed() });
+    document.getElementById('l4-earned').textContent = t('l4.earned', { amount: formatMoney(player.earned) });
+    document.getElementById('l4-rule').textContent = t('l4.rule', { pumps: L4_PUMPS_PER_PULL, amount: formatMoney(L4_PUMPS_PER_PULL) });
+
+    player.counts.forEach((count, machine) => {
+        const statsEl = document.getElementById(`l4-machine-${machine}-stats`);
+        if (!statsEl) return;
+        statsEl.textContent = count === 0 ? t('l4.untried') : t('l4.machineStats', {
+            pulls: count,
+            total: formatMoney(player.totals[machine]),
+            average: formatMoney(PopLogicEngine.getMachineAverage(player, machine), 1)
+        });
+        const lastEl = document.getElementById(`l4-machine-${machine}-last`);
+        const isLast = lastEntry && lastEntry.machine === machine;
+        lastEl.textContent = isLast ? (lastEntry.popped ? t('l4.popped') : t('l4.held', { amount: formatMoney(lastEntry.score) })) : '';
+        lastEl.className = `text-sm font-bold h-5 ${isLast && lastEntry.popped ? 'text-red-400' : 'text-green-400'}`;
+        const botEl = document.getElementById(`l4-machine-${machine}-bot`);
+        botEl.classList.toggle('hidden', !bot.enabled);
+        botEl.textContent = t('l4.botPulls', { count: bot.player ? bot.player.counts[machine] : 0 });
+    });
+
+    const toggle = document.getElementById('l4-bot-toggle');
+    const policySelect = document.getElementById('l4-bot-policy');
+    toggle.checked = bot.enabled;
+    policySelect.value = bot.policy;
+    toggle.disabled = policySelect.disabled = getL4PullsUsed() > 0;
+    document.getElementById('l4-bot-panel').title = toggle.disabled ? t('l4.botLocked') : '';
+    const botStatus = document.getElementById('l4-bot-status');
+    botStatus.classList.toggle('hidden', !bot.enabled);
+    botStatus.textContent = t('l4.botStatus', { you: formatMoney(player.earned), bot: formatMoney(bot.player ? bot.player.earned : 0) });
+
+    document.getElementById('l4-regret-summary').textContent = bot.enabled
+        ? t('l4.regretWithBot', { amount: formatMoney(player.regret, 1), bot: formatMoney(bot.player ? bot.player.regret : 0, 1) })
+        : t('l4.regret', { amount: formatMoney(player.regret, 1) });
+}
+
+function endLevel4(isReview = false) {
+    const { player, bot, ranges } = gameState.l4;
+    if (!isReview && player.earned > gameState.l4.bestScore) {
+        gameState.l4.bestScore = player.earned;
+        saveGameState();
+    }
+    renderL4();
+    document.getElementById('l4-machines').classList.add('hidden');
+
+    const means = getL4MachineMeans();
+    const bestMean = Math.max(...means);
+    const reveal = ranges.map((range, machine) => {
+        const color = L4_MACHINE_COLORS[machine % L4_MACHINE_COLORS.length];
+        return `<p><span class="font-bold text-${color}">${t('l4.machine', { letter: getL4MachineLetter(machine) })}</span> · ${t('l4.reveal', {
+            min: range[0], max: range[1], expected: formatMoney(means[machine], 2)
+        })} ${means[machine] === bestMean ? `<span class="text-yellow-300">${t('l4.bestMachine')}</span>` : ''}</p>`;
+    }).join('');
+    const botLine = bot.enabled && bot.player
+        ? `<p class="mt-2">${t('l4.botResult', { policy: t(`l4.policy.${bot.policy}`), amount: formatMoney(bot.player.earned), regret: formatMoney(bot.player.regret, 1) })}</p>`
+        : '';
+
+    document.getElementById('l4-score-summary').innerHTML = `
+        <p class="text-2xl font-semibold text-indigo-200">${t('l4.summaryTitle')}</p>
+        <p class="text-5xl font-bold text-yellow-300 my-2">${formatMoney(player.earned)}</p>
+        <p class="text-indigo-200">${t('l4.youEarned', { amount: formatMoney(player.earned), pulls: L4_PULL_BUDGET })} ${t('l4.bestScore', { amount: formatMoney(gameState.l4.bestScore) })}</p>
+        <p class="text-indigo-300 mt-2">${t('l4.regretResult', { best: formatMoney(bestMean * L4_PULL_BUDGET), regret: formatMoney(player.regret, 1) })}</p>
+        ${botLine}
+        <div class="bg-indigo-900/50 p-4 rounded-2xl mt-4 text-sm text-left space-y-1">${reveal}</div>`;
+    document.getElementById('l4-summary-area').classList.remove('hidden');
+    announce(t('announce.l4.end', { amount: formatMoney(player.earned), regret: formatMoney(player.regret, 1) }));
+    setInsight(t('insight.l4.final'), 4);
+}
+
+/* ===========================================
+    PERFORMANCE CHARTS
+    ===========================================
+    Live Chart.js charts: cumulative earnings and per-colour pop rates for
+    the current Level 2 run, and a Level 3 timeline of temperature with
+    rolling score and pop rate, and Level 4's regret per pull. The data
+    lives in gameState (l2.series, l3.timeline, the l4 players' pull
+    histories) so the charts come back after a reload; the Chart
+    instances and their pause/zoom settings live in performanceCharts.
+    Pausing freezes the drawing only - data keeps being recorded.
+*/
+const L3_CHART_SAMPLE_EVERY = 10;
+const L3_ROLLING_WINDOW = 50;
+const L3_TIMELINE_MAX_POINTS = 500;
+const CHART_MIN_ZOOM_POINTS = 10;
+
+const performanceCharts = {};
+
+function recordL2ChartPoint() {
+    const series = gameState.l2.series;
+    series.earned.push(gameState.l2.totalEarned);
+    getBalloonTypes().forEach(color => {
+        const stat = gameState.l2.stats[color];
+        if (!series.popRate[color]) series.popRate[color] = series.earned.slice(1).map(() => null);
+        series.popRate[color].push(stat.count > 0 ? Math.round((stat.pops / stat.count) * 1000) / 10 : null);
+    });
+}
+
+function recordL3ChartPoint(result) {
+    const l3 = gameState.l3;
+    l3.recent.push({ score: result.score, popped: result.popped });
+    if (l3.recent.length > L3_ROLLING_WINDOW) l3.recent.shift();
+    l3.processedSinceChartUpdate++;
+    if (l3.processedSinceChartUpdate < L3_CHART_SAMPLE_EVERY) return;
+    l3.processedSinceChartUpdate = 0;
+    l3.timeline.push({
+        n: l3.processedCount,
+        temperature: l3.temperature,
+        score: Math.round((l3.recent.reduce((sum, r) => sum + r.score, 0) / l3.recent.length) * 100) / 100,
+        popRate: Math.round((l3.recent.filter(r => r.popped).length / l3.recent.length) * 1000) / 10
+    });
+    if (l3.timeline.length > L3_TIMELINE_MAX_POINTS) l3.timeline.shift();
+    refreshChart('l3-timeline');
+}
+
+function getL2EarningsData() {
+    const earned = gameState.l2.series.earned;
+    return {
+        labels: earned.map((_, i) => i + 1),
+        datasets: [{ label: t('chart.cumulativeEarned'), data: earned, borderColor: '#4ADE80', backgroundColor: 'rgba(74, 222, 128, 0.15)', fill: true }]
+    };
+}
+
+function getL2PopRateData() {
+    const series = gameState.l2.series;
+    return {
+        labels: series.earned.map((_, i) => i + 1),
+        datasets: getBalloonTypes().filter(color => series.popRate[color]).map(color => ({
+            label: getBalloonName(color), data: series.popRate[color], borderColor: BALLOON_CONFIG[color].chartColor, spanGaps: true
+        }))
+    };
+}
+
+function getL3SamplingData() {
+    const histogram = gameState.l3.sampling.histogram;
+    const range = getL3SamplingOptions() || { min: 1, max: STRATEGY_SLIDER_DEFAULTS.l3.max };
+    const labels = [];
+    for (let pumps = range.min; pumps <= range.max; pumps++) labels.push(pumps);
+    return {
+        labels,
+        datasets: getBalloonTypes().filter(color => histogram[color]).map(color => ({
+            label: getBalloonName(color),
+            data: labels.map(pumps => histogram[color][pumps] || 0),
+            backgroundColor: BALLOON_CONFIG[color].chartColor
+        }))
+    };
+}
+
+function getL3TimelineData() {
+    const timeline = gameState.l3.timeline;
+    return {
+        labels: timeline.map(point => point.n),
+        datasets: [
+            { label: t('chart.temperature'), data: timeline.map(point => point.temperature), borderColor: '#F59E0B', yAxisID: 'temperature' },
+            { label: t('chart.rollingScore', { count: L3_ROLLING_WINDOW }), data: timeline.map(point => point.score), borderColor: '#4ADE80', yAxisID: 'score' },
+            { label: t('chart.popRatePercent'), data: timeline.map(point => point.popRate), borderColor: '#F87171', borderDash: [4, 3], yAxisID: 'percent' }
+        ]
+    };
+}
+
+// Regret after every pull, with picking machines at random as the yardstick
+function getL4RegretData() {
+    const { player, bot } = gameState.l4;
+    const means = getL4MachineMeans();
+    const randomRegretPerPull = Math.max(...means) - means.reduce((sum, mean) => sum + mean, 0) / means.length;
+    const labels = [];
+    for (let pull = 1; pull <= L4_PULL_BUDGET; pull++) labels.push(pull);
+    const datasets = [
+        { label: t('chart.you'), data: player ? player.history.map(entry => Math.round(entry.regret * 100) / 100) : [], borderColor: '#FBBF24' },
+        { label: t('chart.random'), data: labels.map(pull => Math.round(pull * randomRegretPerPull * 100) / 100), borderColor: '#818CF8', borderDash: [4, 3] }
+    ];
+    if (bot.enabled && bot.player) {
+        datasets.splice(1, 0, { label: t(`chart.bot.${bot.policy}`), data: bot.player.history.map(entry => Math.round(entry.regret * 100) / 100), borderColor: '#4ADE80' });
+    }
+    return { labels, datasets };
+}
+
+const chartAxis = (title, extra = {}) => ({
+    title: { display: true, text: title, color: '#A5B4FC' },
+    ticks: { color: '#A5B4FC' },
+    grid: { color: 'rgba(99, 102, 241, 0.2)' },
+    ...extra
+});
+
+// Axis titles are looked up when a chart is drawn, so they follow the language
+const CHART_DEFINITIONS = {
+    'l2-earnings': {
+        getData: getL2EarningsData,
+        getScales: () => ({ x: chartAxis(t('chart.balloonsProcessed')), y: chartAxis(t('chart.earned'), { beginAtZero: true }) })
+    },
+    'l2-poprate': {
+        getData: getL2PopRateData,
+        getScales: () => ({ x: chartAxis(t('chart.balloonsProcessed')), y: chartAxis(t('chart.popRatePercent'), { min: 0, max: 100 }) })
+    },
+    'l3-timeline': {
+        getData: getL3TimelineData,
+        getScales: () => ({
+            x: chartAxis(t('chart.balloonsProcessed')),
+            score: chartAxis(t('chart.score'), { position: 'left', beginAtZero: true }),
+            temperature: chartAxis('°C', { position: 'right', grid: { drawOnChartArea: false } }),
+            percent: chartAxis(t('chart.popPercent'), { position: 'right', min: 0, max: 100, grid: { drawOnChartArea: false } })
+        })
+    },
+    'l3-sampling': {
+        type: 'bar',
+        getData: getL3SamplingData,
+        getScales: () => ({ x: chartAxis(t('chart.pumpsChosen'), { stacked: true }), y: chartAxis(t('chart.balloons'), { stacked: true, beginAtZero: true }) })
+    },
+    'l4-regret': {
+        getData: getL4RegretData,
+        getScales: () => ({ x: chartAxis(t('chart.pulls')), y: chartAxis(t('chart.regret'), { beginAtZero: true }) })
+    }
+};
+
+// Zooming keeps only the latest `window` points on screen
+function applyChartWindow(data, window) {
+    if (!window) return data;
+    return {
+        labels: data.labels.slice(-window),
+        datasets: data.datasets.map(dataset => ({ ...dataset, data: dataset.data.slice(-window) }))
+    };
+}
+
+/**
+ * Draws (or redraws) a chart from the saved data. Paused charts are only
+ * redrawn when forced, e.g. after a zoom or a screen switch.
+ */
+function refreshChart(id, force = false) {
+    // Without Chart.js (e.g. the CDN is unreachable) the game simply has no charts
+    if (typeof Chart === 'undefined') return;
+    const canvas = document.getElementById(`${id}-chart`);
+    if (!canvas) return;
+    if (!performanceCharts[id]) performanceCharts[id] = { chart: null, paused: false, window: null };
+    const view = performanceCharts[id];
+    if (view.paused && !force) return;
+
+    const data = applyChartWindow(CHART_DEFINITIONS[id].getData(), view.window);
+    if (view.chart) {
+        view.chart.data = data;
+        view.chart.update('none');
+        return;
+    }
+    view.chart = new Chart(canvas, {
+        type: CHART_DEFINITIONS[id].type || 'line',
+        data,
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            elements: { point: { radius: 0 }, line: { tension: 0.2, borderWidth: 2 } },
+            interaction: { mode: 'index', intersect: false },
+            plugins: { legend: { labels: { color: '#C7D2FE', boxWidth: 12 } } },
+            scales: CHART_DEFINITIONS[id].getScales()
+        }
+    });
+}
+
+// Redraws every chart that has been drawn, e.g. with the axis titles of a new language
+function relabelCharts() {
+    Object.keys(performanceCharts).forEach(id => {
+        const view = performanceCharts[id];
+        if (!view.chart) return;
+        view.chart.destroy();
+        view.chart = null;
+        refreshChart(id, true);
+    });
+    document.querySelectorAll('[data-chart-action="pause"]').forEach(button => {
+        const view = performanceCharts[button.parentElement.dataset.chart];
+        button.textContent = t(view && view.paused ? 'chart.resume' : 'chart.pause');
+    });
+}
+
+function refreshL2Charts(force = false) {
+    refreshChart('l2-earnings', force);
+    refreshChart('l2-poprate', force);
+}
+
+function handleChartControl(id, action, button) {
+    if (!performanceCharts[id]) return;
+    const view = performanceCharts[id];
+    const total = CHART_DEFINITIONS[id].getData().labels.length;
+    if (action === 'pause') {
+        view.paused = !view.paused;
+        button.textContent = t(view.paused ? 'chart.resume' : 'chart.pause');
+    } else if (action === 'zoom-in') {
+        view.window = Math.max(CHART_MIN_ZOOM_POINTS, Math.floor((view.window || total) / 2));
+    } else if (action === 'zoom-out') {
+        view.window = view.window && view.window * 2 < total ? view.window * 2 : null;
+    } else if (action === 'reset') {
+        view.window = null;
+    }
+    refreshChart(id, true);
+}
+
+/* ===========================================
+    EVENT LOG & REPLAY
+    ===========================================
+    Every pump, bank, pop, slider change, start/pause, temperature change
+    and processed balloon is recorded as a timestamped event, grouped into
+    sessions (one Level 1 game, one Level 2 test run, one Level 3
+    production run). The replay screen re-drives a balloon area or a
+    conveyor from a session's events at 1x-16x with a scrubber, so a
+    teacher can walk the class through exactly how a run went.
+
+    The log lives under its own (per-profile) localStorage key: it can
+    grow far larger than the rest of the game state and is saved on a
+    short delay rather than on every balloon.
+*/
+const EVENT_LOG_MAX_SESSIONS = 12;
+const EVENT_LOG_MAX_EVENTS = 4000;
+const EVENT_LOG_SAVE_DELAY_MS = 2000;
+const REPLAY_TICK_MS = 50;
+const REPLAY_MAX_GAP_MS = 2000;       // Idle stretches longer than this are shortened on replay
+const REPLAY_CONVEYOR_MIN_GAP_MS = 100;
+const REPLAY_TICKER_LENGTH = 8;
+const REPLAY_LEVELS = ['l1', 'l2', 'l3'];
+
+let eventLog = loadEventLog();
+let eventLogSaveTimer = null;
+let replay = null;
+
+function loadEventLog() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(getEventLogStorageKey()));
+        return Array.isArray(saved) ? saved : [];
+    } catch (err) {
+        return [];
+    }
+}
+
+function saveEventLog() {
+    clearTimeout(eventLogSaveTimer);
+    eventLogSaveTimer = null;
+    // A full browser storage drops the oldest sessions rather than the game state
+    while (eventLog.length > 0) {
+        try {
+            localStorage.setItem(getEventLogStorageKey(), JSON.stringify(eventLog));
+            return;
+        } catch (err) {
+            eventLog.shift();
+        }
+    }
+    localStorage.removeItem(getEventLogStorageKey());
+}
+
+function scheduleEventLogSave() {
+    if (!eventLogSaveTimer) eventLogSaveTimer = setTimeout(saveEventLog, EVENT_LOG_SAVE_DELAY_MS);
+}
+
+function clearEventLog() {
+    eventLog = [];
+    saveEventLog();
+}
+
+// The level's latest session, if it hasn't ended yet
+function getOpenLogSession(level) {
+    for (let i = eventLog.length - 1; i >= 0; i--) {
+        if (eventLog[i].level === level) return eventLog[i].ended ? null : eventLog[i];
+    }
+    return null;
+}
+
+/**
+ * Opens a new session for a level, closing the previous one. A session
+ * with no balloons yet (e.g. only slider changes) is kept and continued.
+ */
+function startLogSession(level) {
+    const open = getOpenLogSession(level);
+    if (open && !open.events.some(event => event.type === 'balloon' || event.type === 'result')) return open;
+    if (open) endLogSession(level);
+    const session = {
+        id: `${level}-${Date.now().toString(36)}`,
+        level,
+        seed: gameState.seed,
+        levelPack: gameState.levelPack,
+        startedAt: Date.now(),
+        strategy: { ...gameState[level].strategy },
+        events: [],
+        ended: false
+    };
+    eventLog.push(session);
+    while (eventLog.length > EVENT_LOG_MAX_SESSIONS) eventLog.shift();
+    scheduleEventLogSave();
+    return session;
+}
+
+function logEvent(level, type, data = {}) {
+    const session = getOpenLogSession(level) || startLogSession(level);
+    if (session.events.length >= EVENT_LOG_MAX_EVENTS) return;
+    session.events.push({ t: Date.now() - session.startedAt, type, ...data });
+    scheduleEventLogSave();
+}
+
+function endLogSession(level, data = {}) {
+    const session = getOpenLogSession(level);
+    if (!session) return;
+    logEvent(level, 'end', data);
+    session.ended = true;
+    saveEventLog();
+}
+
+// Just the fields a replay needs from an engine result
+function logResult(level, result, extra = {}) {
+    logEvent(level, 'result', { color: result.type, maxPumps: result.maxPumps, pumps: result.pumps, popped: result.popped, score: result.score, ...extra });
+}
+
+// --- Replay Viewer ---
+function openReplayScreen() {
+    saveEventLog();
+    showScreen('replay');
+    const select = document.getElementById('replay-session-select');
+    const sessions = eventLog.filter(session => session.events.length > 0).reverse();
+    select.innerHTML = sessions.length === 0
+        ? `<option value="">${t('replay.noSessions')}</option>`
+        : sessions.map(session => `<option value="${escapeHtml(session.id)}">${t('replay.session', { level: t(`select.${session.level}.title`), date: new Date(session.startedAt).toLocaleString(activeLanguage.locale), count: session.events.length })}</option>`).join('');
+    loadReplaySession(sessions.length > 0 ? sessions[0].id : null);
+}
+
+function closeReplayScreen() {
+    pauseReplay();
+    replay = null;
+    goToLevelSelect();
+}
+
+function loadReplaySession(id) {
+    pauseReplay();
+    const session = eventLog.find(s => s.id === id);
+    document.getElementById('replay-viewer').classList.toggle('hidden', !session);
+    if (!session) { replay = null; return; }
+    // Replay time: real time between events, with long idle gaps shortened
+    let time = 0;
+    const times = session.events.map((event, i) => {
+        if (i > 0) time += Math.min(REPLAY_MAX_GAP_MS, event.t - session.events[i - 1].t);
+        return time;
+    });
+    replay = { session, times, duration: time, position: 0, index: 0, speed: replay ? replay.speed : 1, timer: null, lastConveyorAt: 0, view: null };
+    document.getElementById('replay-scrubber').max = Math.max(1, time);
+    document.getElementById('replay-speed').value = replay.speed;
+    seekReplay(0);
+}
+
+function createReplayView(session) {
+    return {
+        strategy: { ...session.strategy },
+        balloon: null,
+        pumps: 0,
+        score: 0,
+        processed: 0,
+        pops: 0,
+        temperature: null,
+        ticker: []
+    };
+}
+
+// Applies one event to the replay view; `animate` is false while scrubbing
+function applyReplayEvent(event, animate) {
+    const view = replay.view;
+    const level = replay.session.level;
+    if (event.type === 'balloon') {
+        view.balloon = { type: event.color, maxPumps: event.maxPumps, index: event.index };
+        view.pumps = 0;
+    } else if (event.type === 'pump') {
+        view.pumps = event.pumps;
+    } else if (event.type === 'bank') {
+        view.score += event.pumps;
+        view.processed++;
+    } else if (event.type === 'pop') {
+        view.pops++;
+        view.processed++;
+        if (animate && BALLOON_CONFIG[event.color]) createExplosion(document.getElementById('replay-balloon-area'), event.color);
+        view.balloon = null;
+    } else if (event.type === 'result') {
+        view.score += event.score;
+        view.processed++;
+        if (event.popped) view.pops++;
+        if (animate && BALLOON_CONFIG[event.color] && performance.now() - replay.lastConveyorAt > REPLAY_CONVEYOR_MIN_GAP_MS) {
+            replay.lastConveyorAt = performance.now();
+            renderConveyorBalloon(document.getElementById('replay-conveyor'), { type: event.color, popped: event.popped }, 1500 / replay.speed, level === 'l2');
+        }
+    } else if (event.type === 'slider') {
+        if (!event.band) view.strategy[event.color] = event.value;
+    } else if (event.type === 'start' || event.type === 'temperature') {
+        if (event.temperature !== undefined) view.temperature = event.temperature;
+        if (event.strategy) view.strategy = { ...event.strategy };
+    }
+    view.ticker.unshift(describeReplayEvent(event));
+    if (view.ticker.length > REPLAY_TICKER_LENGTH) view.ticker.pop();
+}
+
+function describeReplayEvent(event) {
+    const name = event.color ? (BALLOON_CONFIG[event.color] ? getBalloonName(event.color) : event.color) : '';
+    switch (event.type) {
+        case 'balloon': return t('replay.event.balloon', { index: event.index + 1, colour: name });
+        case 'pump': return t('replay.event.pump', { pumps: event.pumps });
+        case 'bank': return t('replay.event.bank', { amount: formatMoney(event.pumps) });
+        case 'pop': return t('replay.event.pop', { colour: name, pumps: event.pumps });
+        case 'result': return t('replay.event.result', { icon: event.popped ? '💥' : '💰', colour: name, pumps: event.pumps, max: event.maxPumps });
+        case 'slider': return event.band
+            ? t('replay.event.sliderBand', { colour: name, value: event.value, band: getWeatherBandName(event.band) })
+            : t('replay.event.slider', { colour: name, value: event.value });
+        case 'start': return t('replay.event.start');
+        case 'pause': return t('replay.event.pause');
+        case 'temperature': return t('replay.event.temperature', { temperature: event.temperature });
+        case 'review': return t(`replay.event.review.${event.decision}`, { colour: name });
+        case 'end': return t('replay.event.end');
+        default: return event.type;
+    }
+}
+
+function getWeatherBandName(bandId) {
+    const band = WEATHER_BANDS.find(b => b.id === bandId);
+    return band ? t(`weather.${band.id}.name`) : bandId;
+}
+
+function seekReplay(position) {
+    replay.position = Math.max(0, Math.min(replay.duration, position));
+    replay.view = createReplayView(replay.session);
+    replay.index = 0;
+    document.getElementById('replay-conveyor').innerHTML = '';
+    advanceReplay(false);
+}
+
+function advanceReplay(animate) {
+    const { session, times } = replay;
+    while (replay.index < session.events.length && times[replay.index] <= replay.position) {
+        applyReplayEvent(session.events[replay.index], animate);
+        replay.index++;
+    }
+    renderReplay();
+}
+
+function toggleReplayPlayback() {
+    if (!replay) return;
+    if (replay.timer) { pauseReplay(); return; }
+    if (replay.position >= replay.duration) seekReplay(0);
+    replay.timer = setInterval(() => {
+        replay.position = Math.min(replay.duration, replay.position + REPLAY_TICK_MS * replay.speed);
+        advanceReplay(true);
+        if (replay.position >= replay.duration) pauseReplay();
+    }, REPLAY_TICK_MS);
+    renderReplay();
+}
+
+function pauseReplay() {
+    if (!replay || !replay.timer) return;
+    clearInterval(replay.timer);
+    replay.timer = null;
+    renderReplay();
+}
+
+const formatReplayTime = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+
+function renderReplay() {
+    const { session, view } = replay;
+    const isLevel1 = session.level === 'l1';
+    document.getElementById('replay-title').textContent = t('replay.title', { level: t(`select.${session.level}.title`), date: new Date(session.startedAt).toLocaleString(activeLanguage.locale), seed: session.seed });
+    document.getElementById('replay-play-btn').textContent = t(replay.timer ? 'replay.pause' : 'replay.play');
+    document.getElementById('replay-scrubber').value = replay.position;
+    document.getElementById('replay-time').textContent = `${formatReplayTime(replay.position)} / ${formatReplayTime(replay.duration)}`;
+    document.getElementById('replay-balloon-area').classList.toggle('hidden', !isLevel1);
+    document.getElementById('replay-conveyor-track').classList.toggle('hidden', isLevel1);
+
+    if (isLevel1) {
+        const area = document.getElementById('replay-balloon-area');
+        if (view.balloon && BALLOON_CONFIG[view.balloon.type]) {
+            area.innerHTML = getBalloonHtml(BALLOON_CONFIG[view.balloon.type].color, view.pumps);
+        } else {
+            // Leave any explosion particles to finish their animation
+            area.querySelectorAll('.balloon').forEach(el => el.remove());
+        }
+    }
+
+    const stats = [
+        t('replay.earned', { amount: `<strong class="text-yellow-300">${formatMoney(view.score)}</strong>` }),
+        t('replay.balloons', { count: `<strong>${view.processed}</strong>` }),
+        t('replay.pops', { count: `<strong class="text-red-400">${view.pops}</strong>` })
+    ];
+    if (isLevel1 && view.balloon) stats.push(t('replay.currentBalloon', { pumps: `<strong>${view.pumps}</strong>`, max: view.balloon.maxPumps }));
+    if (view.temperature !== null) stats.push(t('replay.temperature', { temperature: `<strong>${view.temperature}°C</strong>` }));
+    document.getElementById('replay-stats').innerHTML = stats.map(stat => `<span>${stat}</span>`).join('');
+    document.getElementById('replay-strategy').innerHTML = isLevel1 ? '' : t('replay.strategy', { chips: renderStrategyChips(view.strategy) });
+    document.getElementById('replay-events').innerHTML = view.ticker.map((text, i) => `<li class="${i === 0 ? 'text-white font-bold' : 'text-indigo-300'}">${escapeHtml(text)}</li>`).join('');
+}
+
+/* ===========================================
+    PROGRESS FILES - EXPORT & IMPORT
+    ===========================================
+    Students move between devices and teachers collect work for marking,
+    so progress can leave the browser as files:
+    - a versioned JSON file with the full saved state, the Level 2
+      strategy history, the Level 3 results and the event log
+    - a CSV with one row per balloon from the event log
+    Importing a JSON file migrates older versions forward, validates it
+    and only then replaces the current progress.
+*/
+const PROGRESS_FILE_FORMAT = 'poplogic-progress';
+const PROGRESS_FILE_VERSION = 1;
+
+/*
+    Ordered migrations: PROGRESS_FILE_MIGRATIONS[n] turns a version n file
+    into version n + 1. Version 0 is a bare saved state (the contents of
+    a profile's popLogicState localStorage key) with no file wrapper.
+*/
+const PROGRESS_FILE_MIGRATIONS = [
+    (state) => ({ format: PROGRESS_FILE_FORMAT, version: 1, exportedAt: null, state, eventLog: [] })
+];
+
+function getProgressFileVersion(data) {
+    if (data && data.format === PROGRESS_FILE_FORMAT) return data.version;
+    if (data && data.l1 && data.l2 && data.l3) return 0;
+    return null;
+}
+
+function migrateProgressFile(data) {
+    let version = getProgressFileVersion(data);
+    if (version === null) throw new Error(t('progress.notProgressFile'));
+    if (!Number.isInteger(version) || version > PROGRESS_FILE_VERSION) {
+        throw new Error(t('progress.newerVersion', { version }));
+    }
+    while (version < PROGRESS_FILE_VERSION) {
+        data = PROGRESS_FILE_MIGRATIONS[version](data);
+        version = data.version;
+    }
+    return data;
+}
+
+function validateStats(stats, label, errors) {
+    if (!isPlainObject(stats)) {
+        errors.push(t('validation.statsObject', { field: label }));
+        return;
+    }
+    Object.keys(stats).forEach(type => {
+        const stat = stats[type];
+        if (!isPlainObject(stat) || ['score', 'pops', 'count', 'pumps'].some(field => typeof stat[field] !== 'number' || stat[field] < 0)) {
+            errors.push(t('validation.statsFields', { field: `${label}.${type}` }));
+        }
+    });
+}
+
+/*
+    Strategy records and event-log sessions end up in strategy cards and
+    the replay viewer, so every entry is checked down to its fields:
+    balloon types follow the level-pack rule, numbers are finite and the
+    few text fields come from a known list. Fields the game never reads
+    are left alone.
+*/
+const LOG_SESSION_ID_PATTERN = /^l[1-4]-[a-z0-9]+$/;
+const REPLAY_EVENT_TYPES = ['balloon', 'pump', 'bank', 'pop', 'result', 'slider', 'start', 'pause', 'temperature', 'end', 'review'];
+const REPLAY_EVENT_NUMBERS = ['t', 'index', 'maxPumps', 'pumps', 'score', 'value', 'temperature', 'earned'];
+const REVIEW_DECISIONS = ['pump', 'bank'];
+
+// { type: value } keyed by balloon type, where every value passes isValid
+function isPerTypeMap(value, isValid) {
+    return isPlainObject(value) && Object.keys(value).every(type => BALLOON_KEY_PATTERN.test(type) && isValid(value[type]));
+}
+
+const isStrategyMap = (strategy) => isPerTypeMap(strategy, isFiniteNumber);
+const isPerformanceMap = (performance) => isPerTypeMap(performance, perf =>
+    isPlainObject(perf) && ['avgScore', 'popRate', 'count'].every(field => isFiniteNumber(perf[field])));
+
+function isStrategyRecord(record) {
+    if (!isPlainObject(record) || !isStrategyMap(record.strategy) || !isPerformanceMap(record.performance)) return false;
+    if (!['timestamp', 'overallPopRate', 'overallAvgScore', 'totalProcessed'].every(field => isFiniteNumber(record[field]))) return false;
+    const test = record.test;
+    return test === undefined || (isPlainObject(test) && isPerformanceMap(test.performance)
+        && ['overallPopRate', 'overallAvgScore', 'totalProcessed', 'totalEarned'].every(field => isFiniteNumber(test[field])));
+}
+
+function isLogEvent(event) {
+    return isPlainObject(event)
+        && REPLAY_EVENT_TYPES.includes(event.type)
+        && isFiniteNumber(event.t)
+        && REPLAY_EVENT_NUMBERS.every(field => event[field] === undefined || isFiniteNumber(event[field]))
+        && (event.color === undefined || BALLOON_KEY_PATTERN.test(event.color))
+        && (event.popped === undefined || typeof event.popped === 'boolean')
+        && (event.band === undefined || WEATHER_BANDS.some(band => band.id === event.band))
+        && (event.decision === undefined || REVIEW_DECISIONS.includes(event.decision))
+        && (event.strategy === undefined || isStrategyMap(event.strategy));
+}
+
+function isLogSession(session) {
+    return isPlainObject(session)
+        && typeof session.id === 'string' && LOG_SESSION_ID_PATTERN.test(session.id)
+        && REPLAY_LEVELS.includes(session.level)
+        && isFiniteNumber(session.startedAt)
+        && (session.strategy === undefined || isStrategyMap(session.strategy))
+        && Array.isArray(session.events) && session.events.every(isLogEvent);
+}
+
+/**
+ * Checks a (migrated) progress file. Returns a list of problems, empty
+ * when the file can be imported.
+ */
+function validateProgressFile(data) {
+    const errors = [];
+    const state = data.state;
+    if (!isPlainObject(state)) return [t('validation.missing', { field: 'state' })];
+    if (state.seed !== undefined && typeof state.seed !== 'string') errors.push(t('validation.text', { field: 'state.seed' }));
+    ['l1', 'l2', 'l3'].forEach(level => {
+        if (!isPlainObject(state[level])) {
+            errors.push(t('validation.missing', { field: `state.${level}` }));
+            return;
+        }
+        validateStats(state[level].stats, `state.${level}.stats`, errors);
+        if (state[level].strategy !== undefined && !isPlainObject(state[level].strategy)) errors.push(t('validation.object', { field: `state.${level}.strategy` }));
+    });
+    if (isPlainObject(state.l2) && state.l2.pastStrategies !== undefined) {
+        if (!Array.isArray(state.l2.pastStrategies)) {
+            errors.push(t('validation.list', { field: 'state.l2.pastStrategies' }));
+        } else {
+            state.l2.pastStrategies.forEach((record, i) => {
+                if (!isStrategyRecord(record)) errors.push(t('validation.strategyRecord', { field: `state.l2.pastStrategies[${i}]` }));
+            });
+        }
+    }
+    if (!Array.isArray(data.eventLog)) {
+        errors.push(t('validation.list', { field: 'eventLog' }));
+    } else {
+        data.eventLog.forEach((session, i) => {
+            if (!isLogSession(session)) errors.push(t('validation.session', { field: `eventLog[${i}]` }));
+        });
+    }
+    return errors;
+}
+
+function buildProgressFile() {
+    saveGameState();
+    const state = JSON.parse(localStorage.getItem(getStateStorageKey()));
+    return {
+        format: PROGRESS_FILE_FORMAT,
+        version: PROGRESS_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        student: gameState.classSession ? gameState.classSession.name : getActiveProfile().name,
+        state,
+        // Copies of the parts teachers mark, so they can be read without the game
+        l2Strategies: state.l2.pastStrategies || [],
+        l3Results: {
+            totalScore: state.l3.totalScore,
+            processedCount: state.l3.processedCount || 0,
+            summary: PopLogicEngine.summarizeStats(state.l3.stats),
+            bandStats: state.l3.bandStats
+        },
+        eventLog
+    };
+}
+
+const csvCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per balloon finished in any recorded session
+function buildResultsCsv() {
+    const rows = [['session', 'level', 'started', 'time_ms', 'balloon', 'colour', 'pumps', 'capacity', 'popped', 'score', 'temperature']];
+    eventLog.forEach(session => {
+        const started = new Date(session.startedAt).toISOString();
+        let balloon = null;
+        let count = 0;
+        let temperature = '';
+        session.events.forEach(event => {
+            if (event.temperature !== undefined) temperature = event.temperature;
+            if (event.type === 'balloon') balloon = event;
+            if (event.type === 'bank' || event.type === 'pop') {
+                const capacity = balloon ? balloon.maxPumps : '';
+                rows.push([session.id, session.level, started, event.t, balloon ? balloon.index + 1 : '', event.color, event.pumps, capacity, event.type === 'pop', event.type === 'pop' ? 0 : event.pumps, '']);
+            } else if (event.type === 'result') {
+                rows.push([session.id, session.level, started, event.t, ++count, event.color, event.pumps, event.maxPumps, event.popped, event.score, session.level === 'l3' ? temperature : '']);
+            }
+        });
+    });
+    return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+function downloadFile(filename, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function getProgressFileName(extension) {
+    const who = gameState.classSession ? gameState.classSession.name : getActiveProfile().name;
+    const safeName = String(who).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'progress';
+    return `poplogic-${safeName}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function setProgressFileStatus(text, isError = false) {
+    const statusEl = document.getElementById('progress-file-status');
+    statusEl.textContent = text;
+    statusEl.className = `text-xs mt-2 ${isError ? 'text-red-400' : 'text-indigo-300'}`;
+}
+
+function exportProgress() {
+    saveEventLog();
+    downloadFile(getProgressFileName('json'), 'application/json', JSON.stringify(buildProgressFile(), null, 2));
+    setProgressFileStatus(t('progress.downloaded'));
+}
+
+function exportResultsCsv() {
+    saveEventLog();
+    downloadFile(getProgressFileName('csv'), 'text/csv', buildResultsCsv());
+    setProgressFileStatus(t('progress.csvDownloaded'));
+}
+
+async function importProgress(file) {
+    let data;
+    try {
+        data = migrateProgressFile(JSON.parse(await file.text()));
+    } catch (err) {
+        setProgressFileStatus(err instanceof SyntaxError ? t('progress.invalidJson') : err.message, true);
+        return;
+    }
+    const errors = validateProgressFile(data);
+    if (errors.length > 0) {
+        setProgressFileStatus(t('progress.rejected', { errors: errors.slice(0, 3).join('; ') }), true);
+        return;
+    }
+    const date = data.exportedAt ? new Date(data.exportedAt).toLocaleString(activeLanguage.locale) : t('confirm.importOlderVersion');
+    if (!confirm(data.student ? t('confirm.importStudent', { student: data.student, date }) : t('confirm.importFile', { date }))) return;
+
+    if (gameState.l2.isRunning) toggleL2Simulation();
+    if (gameState.l3.isRunning) toggleL3Simulation();
+    localStorage.setItem(getStateStorageKey(), JSON.stringify(data.state));
+    eventLog = data.eventLog;
+    saveEventLog();
+    initGame();
+    await loadSelectedLevelPack();
+    await loadSelectedLanguage();
+    saveGameState();
+    setProgressFileStatus(data.student ? t('progress.importedStudent', { student: data.student }) : t('progress.imported'));
+}
+
+/* ===========================================
+    END-OF-LEVEL QUIZZES
+    ===========================================
+    Each level can finish with a short quiz: a few questions drawn from the
+    question bank (data/quiz-questions.json, tagged by level and concept)
+    plus questions generated from the student's own results, such as
+    "Which colour had your highest pop rate?". Attempts are saved in
+    gameState.quiz, so they belong to the active profile, and the latest
+    result is shown in each level's summary.
+*/
+const QUIZ_BANK_URL = 'data/quiz-questions.json';
+const QUIZ_BANK_QUESTIONS_PER_QUIZ = 3;
+const QUIZ_ATTEMPTS_KEPT = 10;
+const STATS_QUESTION_CONCEPT = 'your-data';
+
+let quizBank = null;
+let quiz = null;
+
+const isValidQuizQuestion = (q) => q && typeof q.id === 'string' && ['l1', 'l2', 'l3'].includes(q.level) &&
+    typeof q.prompt === 'string' && Array.isArray(q.choices) && q.choices.length >= 2 &&
+    Number.isInteger(q.answer) && q.answer >= 0 && q.answer < q.choices.length;
+
+// The bank is optional - opened from disk the quiz still has the stats questions
+async function loadQuizBank() {
+    if (quizBank) return quizBank;
+    try {
+        const bank = await fetchJson(QUIZ_BANK_URL);
+        quizBank = { concepts: bank.concepts || {}, questions: (bank.questions || []).filter(isValidQuizQuestion) };
+    } catch (err) {
+        quizBank = { concepts: {}, questions: [] };
+    }
+    return quizBank;
+}
+
+function getConceptName(concept) {
+    if (concept === STATS_QUESTION_CONCEPT) return t('quiz.ownData');
+    return (quizBank && quizBank.concepts[concept]) || concept;
+}
+
+// Four numeric choices around the right answer, lowest first. Near 0 or `max`
+// the window slides so every choice stays possible.
+function buildNumberQuestion(fields, correct, step, format, max = Infinity) {
+    const stepsBelow = Math.min(Math.max(1, 3 - Math.floor((max - correct) / step)), Math.floor(correct / step));
+    const values = [0, 1, 2, 3].map(i => correct + (i - stepsBelow) * step);
+    return { ...fields, choices: values.map(format), answer: stepsBelow };
+}
+
+// Colour choices in the usual colour order; null unless there is one clear winner
+function buildColourQuestion(fields, scores) {
+    const colors = getBalloonTypes().filter(color => scores[color] !== undefined);
+    if (colors.length < 2) return null;
+    const best = Math.max(...colors.map(color => scores[color]));
+    const winners = colors.filter(color => scores[color] === best);
+    if (winners.length !== 1) return null;
+    return { ...fields, choices: colors.map(color => escapeHtml(getBalloonName(color))), answer: colors.indexOf(winners[0]) };
+}
+
+/**
+ * Questions built from the student's own results for a level. Each is
+ * skipped when there isn't enough data for a fair answer.
+ */
+function getStatsQuestions(level) {
+    const questions = [];
+    const base = { level, concept: STATS_QUESTION_CONCEPT, generated: true };
+    const played = (stats) => Object.keys(stats).filter(color => BALLOON_CONFIG[color] && stats[color].count > 0);
+
+    if (level === 'l1') {
+        const stats = gameState.l1.stats;
+        const popRates = {};
+        played(stats).forEach(color => { popRates[color] = stats[color].pops / stats[color].count; });
+        questions.push(buildColourQuestion({
+            ...base, id: 'stats-l1-pop-rate', type: 'multiple-choice',
+            prompt: t('quiz.stats.l1PopRate.prompt'),
+            explanation: t('quiz.stats.l1PopRate.explanation')
+        }, popRates));
+        const banked = played(stats).filter(color => stats[color].count > stats[color].pops)
+            .sort((a, b) => (stats[b].count - stats[b].pops) - (stats[a].count - stats[a].pops))[0];
+        if (banked) {
+            const average = Math.round(stats[banked].pumps / (stats[banked].count - stats[banked].pops));
+            questions.push(buildNumberQuestion({
+                ...base, id: 'stats-l1-average', type: 'multiple-choice',
+                prompt: t('quiz.stats.l1Average.prompt', { colour: escapeHtml(getBalloonName(banked)) }),
+                explanation: t('quiz.stats.l1Average.explanation', { colour: escapeHtml(getBalloonName(banked)), average })
+            }, average, 2, String));
+        }
+    }
+
+    if (level === 'l2') {
+        const latest = gameState.l2.pastStrategies[0];
+        if (latest) {
+            const earnings = {};
+            Object.keys(latest.performance).filter(color => latest.performance[color].count > 0)
+                .forEach(color => { earnings[color] = Math.round(latest.performance[color].avgScore * 10); });
+            questions.push(buildColourQuestion({
+                ...base, id: 'stats-l2-best-colour', type: 'multiple-choice',
+                prompt: t('quiz.stats.l2BestColour.prompt'),
+                explanation: t('quiz.stats.l2BestColour.explanation')
+            }, earnings));
+        }
+        const color = getBalloonTypes().find(type => (gameState.l2.strategy[type] || 0) > 0);
+        if (color) {
+            const pumps = gameState.l2.strategy[color];
+            const chance = Math.round(PopLogicEngine.getPopProbability(BALLOON_CONFIG[color].range, pumps) * 10) * 10;
+            questions.push(buildNumberQuestion({
+                ...base, id: 'stats-l2-predict-pop', type: 'predict',
+                prompt: t('quiz.stats.l2PredictPop.prompt', { colour: escapeHtml(getBalloonName(color)), pumps }),
+                explanation: t('quiz.stats.l2PredictPop.explanation', { chance: formatPercent(chance), pumps })
+            }, chance, 20, formatPercent, 100));
+        }
+    }
+
+    if (level === 'l3') {
+        const averages = {};
+        WEATHER_BANDS.forEach(band => {
+            const summary = gameState.l3.bandStats[band.id] && PopLogicEngine.summarizeStats(gameState.l3.bandStats[band.id]);
+            if (summary && summary.totalCount >= 5) averages[band.id] = Math.round(summary.overallAvgScore * 10);
+        });
+        const bands = WEATHER_BANDS.filter(band => averages[band.id] !== undefined);
+        const best = bands.length >= 2 ? Math.max(...bands.map(band => averages[band.id])) : null;
+        if (best !== null && bands.filter(band => averages[band.id] === best).length === 1) {
+            questions.push({
+                ...base, id: 'stats-l3-best-band', type: 'multiple-choice',
+                prompt: t('quiz.stats.l3BestBand.prompt'),
+                choices: bands.map(band => `${band.icon} ${getWeatherBandName(band.id)}`),
+                answer: bands.findIndex(band => averages[band.id] === best),
+                explanation: t('quiz.stats.l3BestBand.explanation')
+            });
+        }
+        const color = getBalloonTypes()[0];
+        const pumps = getSliderPumps('l3', color);
+        const chance = Math.round(PopLogicEngine.getPopProbability(getModelRange('l3', color), pumps) * 10) * 10;
+        questions.push(buildNumberQuestion({
+            ...base, id: 'stats-l3-predict-pop', type: 'predict',
+            prompt: t('quiz.stats.l3PredictPop.prompt', { temperature: gameState.l3.temperature, colour: escapeHtml(getBalloonName(color)), pumps }),
+            explanation: t('quiz.stats.l3PredictPop.explanation', { temperature: gameState.l3.temperature, chance: formatPercent(chance) })
+        }, chance, 20, formatPercent, 100));
+    }
+    return questions.filter(Boolean);
+}
+
+// Bank questions for the level, one per concept before any concept repeats
+function pickBankQuestions(level, shuffleKey) {
+    const stream = createRandomStream(gameState.seed, `quiz:${level}:${shuffleKey}`);
+    const shuffled = quizBank.questions.filter(q => q.level === level)
+        .map(q => ({ q, order: nextRandom(stream) }))
+        .sort((a, b) => a.order - b.order)
+        .map(entry => entry.q);
+    const seen = new Set();
+    const firstOfConcept = shuffled.filter(q => !seen.has(q.concept) && seen.add(q.concept));
+    const rest = shuffled.filter(q => !firstOfConcept.includes(q));
+    return firstOfConcept.concat(rest).slice(0, QUIZ_BANK_QUESTIONS_PER_QUIZ);
+}
+
+async function startQuiz(level) {
+    await loadQuizBank();
+    // Seeded from the last attempt's time: the count stops growing once old attempts are dropped
+    const attempts = gameState.quiz[level];
+    const previous = attempts[attempts.length - 1];
+    const questions = pickBankQuestions(level, previous ? previous.at : 0).concat(getStatsQuestions(level));
+    quiz = { level, questions, index: 0, answers: [], chosen: null };
+    document.getElementById('quiz-modal').classList.remove('hidden');
+    openDialog(document.getElementById('quiz-modal'), null, closeQuiz);
+    renderQuiz();
+}
+
+function answerQuizQuestion(choice) {
+    if (quiz.chosen !== null) return;
+    const question = quiz.questions[quiz.index];
+    quiz.chosen = choice;
+    quiz.answers.push({ id: question.id, concept: question.concept, prompt: question.prompt, chosen: choice, answer: question.answer, correct: choice === question.answer });
+    renderQuiz();
+}
+
+function nextQuizQuestion() {
+    quiz.index++;
+    quiz.chosen = null;
+    if (quiz.index >= quiz.questions.length) finishQuiz();
+    renderQuiz();
+}
+
+function finishQuiz() {
+    const attempts = gameState.quiz[quiz.level];
+    attempts.push({
+        at: Date.now(),
+        score: quiz.answers.filter(answer => answer.correct).length,
+        total: quiz.answers.length,
+        answers: quiz.answers
+    });
+    if (attempts.length > QUIZ_ATTEMPTS_KEPT) attempts.shift();
+    saveGameState();
+    renderQuizSummaries();
+}
+
+function closeQuiz() {
+    quiz = null;
+    document.getElementById('quiz-modal').classList.add('hidden');
+    closeDialog(document.getElementById('quiz-modal'));
+}
+
+// Correct / asked per concept over a list of answers
+function getConceptScores(answers) {
+    const scores = {};
+    answers.forEach(answer => {
+        if (!scores[answer.concept]) scores[answer.concept] = { correct: 0, total: 0 };
+        scores[answer.concept].total++;
+        if (answer.correct) scores[answer.concept].correct++;
+    });
+    return scores;
+}
+
+function renderConceptScores(answers) {
+    const scores = getConceptScores(answers);
+    return Object.keys(scores).map(concept => `
+        <div class="flex justify-between"><span>${getConceptName(concept)}</span><span class="font-mono ${scores[concept].correct === scores[concept].total ? 'text-green-400' : 'text-amber-300'}">${scores[concept].correct}/${scores[concept].total}</span></div>
+    `).join('');
+}
+
+function renderQuiz() {
+    const contentEl = document.getElementById('quiz-content');
+    document.getElementById('quiz-title').textContent = t(`quiz.title.${quiz.level}`);
+
+    if (quiz.questions.length === 0) {
+        contentEl.innerHTML = `<p class="text-indigo-200 mb-6">${t('quiz.empty')}</p>
+            <button id="quiz-close-btn" class="btn bg-indigo-500 hover:bg-indigo-600 font-bold py-2 px-6 rounded-lg">${t('quiz.close')}</button>`;
+    } else if (quiz.index >= quiz.questions.length) {
+        const score = quiz.answers.filter(answer => answer.correct).length;
+        contentEl.innerHTML = `
+            <p class="text-5xl font-bold text-yellow-300 my-2">${score} / ${quiz.answers.length}</p>
+            <p class="text-indigo-200 mb-4">${t(score === quiz.answers.length ? 'quiz.perfect' : 'quiz.tryAgain')}</p>
+            <div class="text-sm text-left space-y-1 bg-indigo-800/50 rounded-xl p-4 mb-6">${renderConceptScores(quiz.answers)}</div>
+            <button id="quiz-close-btn" class="btn bg-indigo-500 hover:bg-indigo-600 font-bold py-2 px-6 rounded-lg">${t('quiz.close')}</button>`;
+    } else {
+        const question = quiz.questions[quiz.index];
+        const answered = quiz.chosen !== null;
+        contentEl.innerHTML = `
+            <div class="flex justify-between text-xs text-indigo-300 mb-2">
+                <span>${t('quiz.progress', { index: quiz.index + 1, total: quiz.questions.length })}</span>
+                <span class="bg-indigo-700/60 px-2 py-0.5 rounded-full">${question.type === 'predict' ? t('quiz.predict', { concept: getConceptName(question.concept) }) : getConceptName(question.concept)}</span>
+            </div>
+            <p class="text-lg font-bold text-left mb-4">${question.prompt}</p>
+            <div class="space-y-2 mb-4">
+                ${question.choices.map((choice, i) => {
+                    let style = 'bg-indigo-700/60 hover:bg-indigo-600';
+                    if (answered && i === question.answer) style = 'bg-green-600';
+                    else if (answered && i === quiz.chosen) style = 'bg-red-600';
+                    else if (answered) style = 'bg-indigo-800/60 opacity-60';
+                    return `<button class="quiz-choice btn w-full text-left py-2 px-4 rounded-lg ${style}" data-choice="${i}" ${answered ? 'disabled' : ''}>${choice}</button>`;
+                }).join('')}
+            </div>
+            ${answered ? `
+                <p class="text-sm text-left mb-4 ${quiz.chosen === question.answer ? 'text-green-300' : 'text-amber-300'}">${t(quiz.chosen === question.answer ? 'quiz.correct' : 'quiz.wrong')} ${question.explanation || ''}</p>
+                <button id="quiz-next-btn" class="btn bg-indigo-500 hover:bg-indigo-600 font-bold py-2 px-6 rounded-lg">${t(quiz.index === quiz.questions.length - 1 ? 'quiz.seeResults' : 'quiz.next')}</button>` : ''}`;
+        contentEl.querySelectorAll('.quiz-choice').forEach(btn => btn.addEventListener('click', () => answerQuizQuestion(parseInt(btn.dataset.choice))));
+        if (answered) document.getElementById('quiz-next-btn').addEventListener('click', nextQuizQuestion);
+    }
+    const closeBtn = document.getElementById('quiz-close-btn');
+    if (closeBtn) closeBtn.addEventListener('click', closeQuiz);
+    // Re-rendering replaced the focused button - move focus to the next thing to do
+    focusElement(document.getElementById('quiz-next-btn') || contentEl.querySelector('.quiz-choice') || closeBtn);
+}
+
+// "Latest 4/5 · best 5/5" plus concept scores across every attempt
+function renderQuizSummary(level) {
+    const attempts = gameState.quiz[level];
+    if (attempts.length === 0) return `<p class="text-sm text-indigo-300">${t('quiz.none')}</p>`;
+    const latest = attempts[attempts.length - 1];
+    const best = attempts.reduce((top, attempt) => attempt.score / attempt.total > top.score / top.total ? attempt : top);
+    return `
+        <p class="text-sm mb-2">${t('quiz.summary', {
+            latest: `<strong>${latest.score}/${latest.total}</strong>`,
+            best: `<strong>${best.score}/${best.total}</strong>`,
+            attempts: t(attempts.length === 1 ? 'quiz.attempts.one' : 'quiz.attempts.other', { count: attempts.length })
+        })}</p>
+        <div class="text-xs text-left space-y-1 max-w-xs mx-auto">${renderConceptScores(attempts.flatMap(attempt => attempt.answers))}</div>`;
+}
+
+function renderQuizSummaries() {
+    ['l1', 'l2', 'l3'].forEach(level => {
+        const summaryEl = document.getElementById(`${level}-quiz-summary`);
+        if (summaryEl) summaryEl.innerHTML = renderQuizSummary(level);
+    });
+}
+
+// =================================
+// ========== LEVEL PACKS ==========
+// =================================
+const TUTORIAL_STEP_TEXT_FIELDS = ['title', 'text'];
+
+// Colours end up in Tailwind class names too - only palette names such
+// as "red-500" are allowed
+const TAILWIND_COLOUR_PATTERN = /^[a-z]+-\d{2,3}$/;
+
+function isValidRange(range) {
+    return Array.isArray(range) && range.length === 2 &&
+        range.every(Number.isInteger) && range[0] >= 1 && range[1] > range[0];
+}
+
+function validateDistribution(distribution, types, label, errors) {
+    if (!distribution || typeof distribution !== 'object') {
+        errors.push(t('validation.weights', { field: label }));
+        return;
+    }
+    const weights = Object.keys(distribution).map(type => {
+        if (!types.includes(type)) errors.push(t('validation.unknownType', { field: label, type }));
+        if (typeof distribution[type] !== 'number' || distribution[type] < 0) errors.push(t('validation.weight', { field: `${label}.${type}` }));
+        return distribution[type];
+    });
+    if (weights.reduce((sum, w) => sum + (w > 0 ? w : 0), 0) <= 0) errors.push(t('validation.positiveWeight', { field: label }));
+}
+
+/**
+ * Checks a pack against the rules in packs/level-pack.schema.json.
+ * Returns a list of human-readable problems (empty when the pack is valid)
+ * so teachers can see exactly what to fix in their JSON.
+ */
+function validateLevelPack(pack) {
+    const errors = [];
+    if (!pack || typeof pack !== 'object') return [t('validation.packObject')];
+    if (typeof pack.id !== 'string' || !pack.id) errors.push(t('validation.required', { field: 'id' }));
+    if (typeof pack.name !== 'string' || !pack.name) errors.push(t('validation.required', { field: 'name' }));
+
+    const types = Object.keys(pack.balloons || {});
+    if (types.length === 0) errors.push(t('validation.noBalloons'));
+    types.forEach(type => {
+        const balloon = pack.balloons[type];
+        if (!BALLOON_KEY_PATTERN.test(type)) errors.push(t('validation.typeKey', { field: `balloons.${type}` }));
+        if (!isValidRange(balloon.range)) errors.push(t('validation.range', { field: `balloons.${type}.range` }));
+        if (!TAILWIND_COLOUR_PATTERN.test(balloon.color)) errors.push(t('validation.tailwindColour', { field: `balloons.${type}.color` }));
+        if (balloon.textColor !== undefined && !TAILWIND_COLOUR_PATTERN.test(balloon.textColor)) errors.push(t('validation.tailwindColour', { field: `balloons.${type}.textColor` }));
+        if (typeof balloon.chartColor !== 'string') errors.push(t('validation.cssColour', { field: `balloons.${type}.chartColor` }));
+        if (balloon.name !== undefined && typeof balloon.name !== 'string') errors.push(t('validation.text', { field: `balloons.${type}.name` }));
+    });
+
+    const level1 = pack.level1 || {};
+    if (!Array.isArray(level1.sequence) || level1.sequence.length === 0) {
+        errors.push(t('validation.sequence', { field: 'level1.sequence' }));
+    } else {
+        level1.sequence.filter(type => !types.includes(type))
+            .forEach(type => errors.push(t('validation.unknownType', { field: 'level1.sequence', type })));
+    }
+
+    const level2 = pack.level2 || {};
+    validateDistribution(level2.distribution, types, 'level2.distribution', errors);
+    if (level2.batchSize !== undefined && (!Number.isInteger(level2.batchSize) || level2.batchSize < 1 || level2.batchSize > 1000)) {
+        errors.push(t('validation.wholeNumber', { field: 'level2.batchSize', min: 1, max: 1000 }));
+    }
+
+    const level3 = pack.level3 || {};
+    validateDistribution(level3.distribution, types, 'level3.distribution', errors);
+    if (level3.temperature !== undefined) {
+        const { baseline, percentPerDegree } = level3.temperature;
+        if (typeof baseline !== 'number' || typeof percentPerDegree !== 'number') {
+            errors.push(t('validation.temperature', { field: 'level3.temperature' }));
+        }
+    }
+    return errors;
+}
+
+function getTutorialStepsByLevel() {
+    return { l1: L1_TUTORIAL_STEPS, l2: L2_TUTORIAL_STEPS, l3: L3_TUTORIAL_STEPS, l4: L4_TUTORIAL_STEPS };
+}
+
+function captureDefaultPackText() {
+    if (defaultPackText) return;
+    defaultPackText = { slides: EDUCATIONAL_SLIDES.l1.map(slide => ({ ...slide })) };
+}
+
+/**
+ * Makes a validated pack the active one. Tutorial entries patch the
+ * built-in steps by position (title/text only - what they highlight is
+ * tied to the screen layout), slides replace the Level 1 slides. Fields
+ * a pack leaves out come from the message catalogue.
+ */
+function applyLevelPack(pack) {
+    captureDefaultPackText();
+    BALLOON_CONFIG = pack.balloons;
+    L1_SEQUENCE = pack.level1.sequence;
+    L2_DISTRIBUTION = pack.level2.distribution;
+    L2_BATCH_SIZE = pack.level2.batchSize || DEFAULT_LEVEL_PACK.level2.batchSize;
+    L3_DISTRIBUTION = pack.level3.distribution;
+    L3_TEMPERATURE_SCALING = pack.level3.temperature || DEFAULT_LEVEL_PACK.level3.temperature;
+
+    const tutorials = getTutorialStepsByLevel();
+    Object.keys(tutorials).forEach(level => {
+        // Packs configure Levels 1-3; Level 4's machines don't come from a pack
+        const patches = ((pack[`level${level.slice(1)}`] || {}).tutorial) || [];
+        tutorials[level].forEach((step, index) => {
+            TUTORIAL_STEP_TEXT_FIELDS.forEach(field => {
+                step[field] = (patches[index] && patches[index][field]) || undefined;
+            });
+        });
+    });
+    EDUCATIONAL_SLIDES.l1 = pack.level1.slides && pack.level1.slides.length > 0
+        ? pack.level1.slides
+        : defaultPackText.slides;
+
+    document.getElementById('l2-batch-size').textContent = L2_BATCH_SIZE;
+    buildBalloonTypeUi();
+}
+
+// Rebuilds every per-balloon-type control after the set of types changes
+function buildBalloonTypeUi() {
+    buildL1DataPanel();
+    setupL2Controls();
+    setupL3Controls();
+    buildGlobalBanner();
+}
+
+function getRequestedLevelPackId() {
+    return takeLevelPackFromUrl() || gameState.levelPack || DEFAULT_LEVEL_PACK_ID;
+}
+
+// A ?pack= link switches packs once. It is dropped from the address so a
+// reload or an import later on doesn't switch back and start Levels 1-3 over.
+function takeLevelPackFromUrl() {
+    const url = new URL(window.location.href);
+    const packId = url.searchParams.get(LEVEL_PACK_URL_PARAM);
+    if (packId !== null) {
+        url.searchParams.delete(LEVEL_PACK_URL_PARAM);
+        history.replaceState(history.state, '', url);
+    }
+    return packId;
+}
+
+async function fetchLevelPack(packId) {
+    if (packId === DEFAULT_LEVEL_PACK_ID) return DEFAULT_LEVEL_PACK;
+    if (!/^[a-z0-9-]+$/i.test(packId)) throw new Error(t('pack.badId', { id: packId }));
+    let pack;
+    try {
+        pack = await fetchJson(`packs/${packId}.json`);
+    } catch (err) {
+        throw new Error(t('pack.notLoaded', { id: packId }));
+    }
+    const errors = validateLevelPack(pack);
+    if (errors.length > 0) throw new Error(t('pack.invalid', { id: packId, errors: errors.slice(0, 3).join('; ') }));
+    return pack;
+}
+
+/**
+ * Loads the pack chosen in the URL or saved game. A missing or broken pack
+ * falls back to the Classic pack for this session only: the saved pack and
+ * the progress made with it are kept for when it can be loaded again.
+ */
+async function loadSelectedLevelPack() {
+    const packId = getRequestedLevelPackId();
+    try {
+        const pack = await fetchLevelPack(packId);
+        applyLevelPack(pack);
+        // A pack from the URL replaces the saved one just like picking it in the menu
+        if (packId !== gameState.levelPack) {
+            gameState.levelPack = packId;
+            resetPackProgress();
+            setLevelPackStatus(t('pack.switched', { name: pack.name }));
+        }
+    } catch (err) {
+        applyLevelPack(DEFAULT_LEVEL_PACK);
+        setLevelPackStatus(t('pack.unavailable', { id: packId }));
+    }
+    ensureStatsForPack();
+    await populateLevelPackSelect();
+}
+
+// Levels 1-3 results and past strategies only make sense for the pack they were played with
+function resetPackProgress() {
+    ['l1', 'l2', 'l3'].forEach(level => resetStats(level));
+    ensureStatsForPack();
+    gameState.l2.pastStrategies = [];
+    saveGameState();
+}
+
+// Stats saved under a different pack may be missing some balloon types
+function ensureStatsForPack() {
+    ['l1', 'l2', 'l3'].forEach(level => {
+        Object.keys(BALLOON_CONFIG).forEach(type => {
+            if (!gameState[level].stats[type]) gameState[level].stats[type] = { score: 0, pops: 0, count: 0, pumps: 0 };
+        });
+    });
+}
+
+async function populateLevelPackSelect() {
+    const select = document.getElementById('level-pack-select');
+    let packs = [{ id: DEFAULT_LEVEL_PACK_ID, name: DEFAULT_LEVEL_PACK.name }];
+    try {
+        const index = await fetchJson('packs/index.json');
+        packs = packs.concat(index.packs.filter(pack => pack.id !== DEFAULT_LEVEL_PACK_ID));
+    } catch (err) {
+        // Opened straight from disk - only the built-in pack is available
+    }
+    select.innerHTML = packs.map(pack => `<option value="${escapeHtml(pack.id)}">${escapeHtml(pack.name)}</option>`).join('');
+    select.value = gameState.levelPack;
+}
+
+function setLevelPackStatus(text) {
+    const statusEl = document.getElementById('level-pack-status');
+    if (statusEl) statusEl.textContent = text;
+}
+
+async function changeLevelPack(packId) {
+    if (packId === gameState.levelPack) return;
+    if (!confirm(t('confirm.switchPack'))) {
+        document.getElementById('level-pack-select').value = gameState.levelPack;
+        return;
+    }
+    try {
+        const pack = await fetchLevelPack(packId);
+        applyLevelPack(pack);
+        gameState.levelPack = packId;
+        resetPackProgress();
+        setLevelPackStatus(t('pack.loaded', { name: pack.name }));
+    } catch (err) {
+        document.getElementById('level-pack-select').value = gameState.levelPack;
+        setLevelPackStatus(err.message);
+    }
+}
+
+// =================================
+// ======== CLASS SESSIONS =========
+// =================================
+/* ===========================================
+    CLASS SESSIONS - TEACHER DASHBOARD RESULTS
+    ===========================================
+    Students join the session code their teacher created on the
+    dashboard (teacher.html). After every finished level, strategy run
+    or production pause, their results are posted to the classroom
+    results server (server.js) so the class can be discussed as a whole.
+*/
+const CLASS_SYNC_EVERY_L3_BALLOONS = 25;
+
+// Same origin when the game is served by server.js, otherwise ?server=... or a local default
+function getClassServerUrl() {
+    const fromUrl = new URLSearchParams(window.location.search).get('server');
+    if (fromUrl) return fromUrl.replace(/\/+$/, '');
+    if (window.location.protocol.startsWith('http')) return window.location.origin;
+    return 'http://localhost:8080';
+}
+
+function setClassStatus(text, isError = false) {
+    const statusEl = document.getElementById('class-status');
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.className = `text-xs mt-2 ${isError ? 'text-red-400' : 'text-indigo-300'}`;
+}
+
+function updateClassPanel() {
+    const session = gameState.classSession;
+    document.getElementById('class-join-form').style.display = session ? 'none' : 'flex';
+    document.getElementById('class-joined').style.display = session ? 'flex' : 'none';
+    if (session) {
+        document.getElementById('class-joined-label').textContent = t('class.joinedLabel', { name: session.name, code: session.code });
+    }
+}
+
+async function joinClassSession() {
+    const name = document.getElementById('class-name-input').value.trim();
+    const code = document.getElementById('class-code-input').value.trim().toUpperCase();
+    if (!name || !code) {
+        setClassStatus(t('class.missingDetails'), true);
+        return;
+    }
+    const serverUrl = getClassServerUrl();
+    let response;
+    try {
+        response = await fetch(`${serverUrl}/api/sessions/${encodeURIComponent(code)}`);
+    } catch (err) {
+        setClassStatus(t('class.unreachable'), true);
+        return;
+    }
+    if (!response.ok) {
+        setClassStatus(t('class.notFound'), true);
+        return;
+    }
+    gameState.classSession = {
+        code,
+        name,
+        serverUrl,
+        studentId: (gameState.classSession && gameState.classSession.studentId) || `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+    };
+    saveGameState();
+    updateClassPanel();
+    setClassStatus(t('class.joined'));
+    syncClassResults();
+    startGlobalBanner();
+}
+
+function leaveClassSession() {
+    gameState.classSession = null;
+    saveGameState();
+    updateClassPanel();
+    setClassStatus('');
+    startGlobalBanner();
+}
+
+/**
+ * Posts the student's latest results. Failures never interrupt play -
+ * the next sync simply sends everything again.
+ */
+function syncClassResults() {
+    const session = gameState.classSession;
+    if (!session) return;
+    const payload = {
+        studentId: session.studentId,
+        name: session.name,
+        l1: { stats: gameState.l1.stats, bestScore: gameState.l1.bestScore, balloonIndex: gameState.l1.balloonIndex },
+        l2: { pastStrategies: gameState.l2.pastStrategies },
+        l3: { stats: gameState.l3.stats, totalScore: gameState.l3.totalScore, processedCount: gameState.l3.processedCount || 0 }
+    };
+    fetch(`${session.serverUrl}/api/sessions/${encodeURIComponent(session.code)}/results`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    }).then(response => {
+        setClassStatus(t(response.ok ? 'class.shared' : 'class.rejected'), !response.ok);
+    }).catch(() => setClassStatus(t('class.offline'), true));
+}
+
+/* ===========================================
+    OFFLINE APP - SERVICE WORKER & INSTALL
+    ===========================================
+    sw.js caches the app shell, vendored libraries and content files so
+    the game keeps running with no network once it has loaded over
+    HTTP(S) one time. Service workers need a real origin, so nothing is
+    registered when index.html is opened from disk - it still runs
+    offline there because every dependency is bundled in vendor/.
+
+    When the browser offers to install the game as an app, the main
+    menu shows an Install button that opens the browser's prompt.
+*/
+let deferredInstallPrompt = null;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+    navigator.serviceWorker.register('sw.js')
+        .catch(() => {}); // Without the cache the game still runs, just not offline
+}
+
+async function installApp() {
+    if (!deferredInstallPrompt) return;
+    const installPrompt = deferredInstallPrompt;
+    deferredInstallPrompt = null;
+    document.getElementById('install-app-btn').classList.add('hidden');
+    installPrompt.prompt();
+    await installPrompt.userChoice;
+}
+
+window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    deferredInstallPrompt = e;
+    document.getElementById('install-app-btn').classList.remove('hidden');
+});
+window.addEventListener('appinstalled', () => {
+    deferredInstallPrompt = null;
+    document.getElementById('install-app-btn').classList.add('hidden');
+});
+
 // --- Initial Event Listeners ---
 homeBtn.addEventListener('click', () => showScreen('main-menu'));
 helpBtn.addEventListener('click', () => {
@@ -1528,12 +5716,46 @@ helpBtn.addEventListener('click', () => {
     if (activeScreenId === 'level-1') { gameState.tutorial.l1 = 0; showTutorialStep(L1_TUTORIAL_STEPS, 'l1'); }
     if (activeScreenId === 'level-2') { gameState.tutorial.l2 = 0; showTutorialStep(L2_TUTORIAL_STEPS, 'l2'); }
     if (activeScreenId === 'level-3') { gameState.tutorial.l3 = 0; showTutorialStep(L3_TUTORIAL_STEPS, 'l3'); }
+    if (activeScreenId === 'level-4') { gameState.tutorial.l4 = 0; showTutorialStep(L4_TUTORIAL_STEPS, 'l4'); }
 });
 startGameBtn.addEventListener('click', goToLevelSelect);
 selectL1Btn.addEventListener('click', startLevel1);
 selectL2Btn.addEventListener('click', startLevel2);
 selectL3Btn.addEventListener('click', startLevel3);
+selectL4Btn.addEventListener('click', startLevel4);
+document.getElementById('l4-bot-toggle').addEventListener('change', (e) => setL4Bot(e.target.checked, gameState.l4.bot.policy));
+document.getElementById('l4-bot-policy').addEventListener('change', (e) => setL4Bot(gameState.l4.bot.enabled, e.target.value));
+document.getElementById('l4-replay-btn').addEventListener('click', replayLevel4);
 resetProgressBtn.addEventListener('click', resetAllProgress);
+document.getElementById('seed-apply-btn').addEventListener('click', applyTeacherSeed);
+document.getElementById('class-join-btn').addEventListener('click', joinClassSession);
+document.getElementById('l1-bot-toggle').addEventListener('change', (e) => setL1BotEnabled(e.target.checked));
+document.getElementById('level-pack-select').addEventListener('change', (e) => changeLevelPack(e.target.value));
+document.getElementById('language-select').addEventListener('change', (e) => changeLanguage(e.target.value));
+document.getElementById('shortcuts-toggle').addEventListener('change', (e) => setShortcutsEnabled(e.target.checked));
+document.getElementById('install-app-btn').addEventListener('click', installApp);
+document.getElementById('class-leave-btn').addEventListener('click', leaveClassSession);
+document.getElementById('open-replay-btn').addEventListener('click', openReplayScreen);
+document.getElementById('profile-select').addEventListener('change', (e) => switchProfile(e.target.value));
+document.getElementById('profile-new-btn').addEventListener('click', createProfile);
+document.getElementById('profile-rename-btn').addEventListener('click', renameProfile);
+document.getElementById('profile-delete-btn').addEventListener('click', deleteProfile);
+document.getElementById('export-progress-btn').addEventListener('click', exportProgress);
+document.getElementById('export-csv-btn').addEventListener('click', exportResultsCsv);
+document.getElementById('import-progress-btn').addEventListener('click', () => document.getElementById('import-progress-input').click());
+document.getElementById('import-progress-input').addEventListener('change', (e) => {
+    if (e.target.files[0]) importProgress(e.target.files[0]);
+    e.target.value = '';
+});
+document.getElementById('replay-back-btn').addEventListener('click', closeReplayScreen);
+document.getElementById('replay-session-select').addEventListener('change', (e) => loadReplaySession(e.target.value));
+document.getElementById('replay-play-btn').addEventListener('click', toggleReplayPlayback);
+document.getElementById('replay-speed').addEventListener('change', (e) => { if (replay) replay.speed = parseInt(e.target.value); });
+document.getElementById('replay-scrubber').addEventListener('input', (e) => { if (replay) seekReplay(parseInt(e.target.value)); });
+document.addEventListener('keydown', handleKeyboardShortcut);
+document.getElementById('seed-input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') applyTeacherSeed();
+});
 l1PumpBtn.addEventListener('click', handleL1Pump);
 l1BankBtn.addEventListener('click', handleL1Bank);
 document.getElementById('l1-summary-next-btn').addEventListener('click', startLevel2);
@@ -1545,22 +5767,40 @@ l2StartStopBtn.addEventListener('click', toggleL2Simulation);
 document.getElementById('l2-clear-all-strategies').addEventListener('click', clearAllL2Strategies);
 document.getElementById('l2-skip-to-end-btn').addEventListener('click', skipL2ToEnd);
 document.getElementById('l2-back-to-learn-btn').addEventListener('click', () => showScreen('level-1'));
-l2ModalCloseBtn.addEventListener('click', () => {
-    l2CompletionModal.classList.add('hidden');
+document.getElementById('l1-memory-select').addEventListener('change', (e) => setL1ContextWindow(parseInt(e.target.value)));
+document.getElementById('l2-autotune-btn').addEventListener('click', startAutoTune);
+document.getElementById('l2-drift-scenario').addEventListener('change', (e) => setL2DriftScenario(e.target.value));
+document.getElementById('l2-split-toggle').addEventListener('change', (e) => setL2Split(e.target.checked, gameState.l2.split.shifted));
+document.getElementById('l2-split-shift').addEventListener('change', (e) => setL2Split(gameState.l2.split.enabled, e.target.checked));
+document.getElementById('l2-review-toggle').addEventListener('change', (e) => setL2Review(e.target.checked));
+document.getElementById('l2-review-threshold').addEventListener('input', (e) => setL2ReviewThreshold(parseInt(e.target.value, 10)));
+document.getElementById('l2-review-pump-btn').addEventListener('click', () => decideL2Review('pump'));
+document.getElementById('l2-review-bank-btn').addEventListener('click', () => decideL2Review('bank'));
+document.querySelectorAll('[data-chart-action]').forEach(btn => {
+    btn.addEventListener('click', () => handleChartControl(btn.parentElement.dataset.chart, btn.dataset.chartAction, btn));
+});
+document.getElementById('l1-quiz-btn').addEventListener('click', () => startQuiz('l1'));
+document.getElementById('l2-quiz-btn').addEventListener('click', () => {
+    closeL2CompletionModal();
+    startQuiz('l2');
 });
+document.getElementById('l3-quiz-btn').addEventListener('click', () => startQuiz('l3'));
+l2ModalCloseBtn.addEventListener('click', closeL2CompletionModal);
 l2OpenGameBtn.addEventListener('click', () => {
     startLevel3();
-    l2CompletionModal.classList.add('hidden');
+    closeL2CompletionModal();
 });
-setupL2Controls();
 l3StartStopBtn.addEventListener('click', toggleL3Simulation);
 document.getElementById('l3-reset-production-btn').addEventListener('click', resetL3Production);
-setupL3Controls();
+document.getElementById('l3-policy-toggle').addEventListener('change', (e) => setL3PolicyEnabled(e.target.checked));
+document.getElementById('l3-sampling-toggle').addEventListener('change', (e) => setL3SamplingEnabled(e.target.checked));
+document.getElementById('l3-model-temperature').addEventListener('input', (e) => setL3ModelTemperature(e.target.value));
+document.getElementById('l3-sampling-clear-btn').addEventListener('click', clearL3SamplingHistogram);
 
 // --- Custom Tooltip Event Listeners ---
 selectL2Btn.addEventListener('mouseenter', (e) => {
     if (selectL2Btn.disabled) {
-        showTooltip('Level 1 must be completed first', e.clientX, e.clientY);
+        showTooltip(t('select.l2.locked'), e.clientX, e.clientY);
     }
 });
 selectL2Btn.addEventListener('mouseleave', hideTooltip);
@@ -1568,7 +5808,7 @@ selectL2Btn.addEventListener('mousemove', updateTooltipPosition);
 
 selectL3Btn.addEventListener('mouseenter', (e) => {
     if (selectL3Btn.disabled) {
-        showTooltip('Level 2 must be completed first', e.clientX, e.clientY);
+        showTooltip(t('select.l3.locked'), e.clientX, e.clientY);
     }
 });
 selectL3Btn.addEventListener('mouseleave', hideTooltip);
@@ -1582,14 +5822,14 @@ tutorialNextBtn.addEventListener('click', () => {
     const activeScreenId = document.querySelector('.active-screen').id;
     if (!activeScreenId.startsWith('level-')) return;
     const levelKey = 'l' + activeScreenId.slice(-1);
-    const steps = levelKey === 'l1' ? L1_TUTORIAL_STEPS : levelKey === 'l2' ? L2_TUTORIAL_STEPS : L3_TUTORIAL_STEPS;
+    const steps = getTutorialStepsByLevel()[levelKey];
     advanceTutorial(1, steps, levelKey);
 });
 tutorialPrevBtn.addEventListener('click', () => {
     const activeScreenId = document.querySelector('.active-screen').id;
     if (!activeScreenId.startsWith('level-')) return;
     const levelKey = 'l' + activeScreenId.slice(-1);
-    const steps = levelKey === 'l1' ? L1_TUTORIAL_STEPS : levelKey === 'l2' ? L2_TUTORIAL_STEPS : L3_TUTORIAL_STEPS;
+    const steps = getTutorialStepsByLevel()[levelKey];
     advanceTutorial(-1, steps, levelKey);
 });
 
@@ -1621,6 +5861,12 @@ tutorialPrevBtn.addEventListener('click', () => {
 
 // --- Load Game on Startup ---
 initGame();
+renderProfilePicker();
+buildBalloonTypeUi();
+startGlobalBanner();
+loadSelectedLevelPack();
+loadSelectedLanguage();
+registerServiceWorker();
 document.addEventListener('DOMContentLoaded', () => {
     initGame();
     // Trigger initial title animation for engaging user experience
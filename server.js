@@ -0,0 +1,424 @@
+/* ===========================================
+    POP LOGIC - CLASSROOM RESULTS SERVER
+    ===========================================
+
+    A small, dependency-free Node server a teacher can run on the
+    classroom LAN:
+
+        node server.js            (listens on port 8080)
+        PORT=3000 node server.js
+
+    It serves the game itself plus the teacher dashboard (teacher.html)
+    and collects results from student clients that joined a class
+    session with its code.
+
+    API:
+    ====
+    POST /api/sessions                  -> create a session, returns { code, teacherKey }
+    GET  /api/sessions/:code            -> session info
+    POST /api/sessions/:code/results    -> a student's latest results (upsert)
+    GET  /api/sessions/:code/results    -> per-student results + class aggregates
+    POST /api/sessions/:code/bias       -> per-colour multipliers for published totals
+                                           (needs the session's X-Teacher-Key header)
+    GET  /api/global?session=CODE       -> $ pumped per colour for the game's banner
+                                           (one class with its bias, or every class)
+
+    Sessions are kept in memory and mirrored to server-data/sessions.json
+    so restarting the server mid-lesson doesn't lose the class's work.
+*/
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PopLogicEngine = require('./engine.js');
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const ROOT_DIR = __dirname;
+const DATA_FILE = process.env.POPLOGIC_DATA_FILE || path.join(ROOT_DIR, 'server-data', 'sessions.json');
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Unambiguous characters only - no 0/O or 1/I/L to misread off the board
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+// Balloon colours as the game names them - the bias and results keys
+const COLOR_KEY_PATTERN = /^[a-z]{1,20}$/;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.webmanifest': 'application/manifest+json',
+    '.woff2': 'font/woff2'
+};
+
+// Files that must never be served to the network
+const PRIVATE_PATHS = ['server.js', 'server-data', '.git'];
+
+// --- Session Storage ---
+let sessions = loadSessions();
+
+function loadSessions() {
+    try {
+        return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (err) {
+        return {};
+    }
+}
+
+function persistSessions() {
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    fs.writeFile(DATA_FILE, JSON.stringify(sessions, null, 2), err => {
+        if (err) console.error('Could not save sessions:', err.message);
+    });
+}
+
+function generateSessionCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+        }
+    } while (sessions[code]);
+    return code;
+}
+
+// --- Class Aggregates ---
+/*
+    Sums every student's per-colour stats for each level so the dashboard
+    can show class-wide pop rates and average yields per balloon colour.
+    Level 2 uses each student's most recent strategy run.
+*/
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toNumber = (value) => (typeof value === 'number' && isFinite(value) ? value : 0);
+
+// Malformed entries (from an old save or a hand-made request) are skipped, never summed
+function addStats(target, stats) {
+    if (!isPlainObject(stats)) return;
+    Object.keys(stats).forEach(color => {
+        const stat = stats[color];
+        if (!isPlainObject(stat)) return;
+        if (!target[color]) target[color] = { score: 0, pops: 0, count: 0, pumps: 0 };
+        target[color].score += toNumber(stat.score);
+        target[color].pops += toNumber(stat.pops);
+        target[color].count += toNumber(stat.count);
+        target[color].pumps += toNumber(stat.pumps);
+    });
+}
+
+function strategyRecordToStats(record) {
+    const stats = {};
+    if (!isPlainObject(record) || !isPlainObject(record.performance)) return stats;
+    Object.keys(record.performance).forEach(color => {
+        const perf = record.performance[color];
+        if (!isPlainObject(perf)) return;
+        const count = toNumber(perf.count);
+        stats[color] = {
+            score: toNumber(perf.avgScore) * count,
+            pops: Math.round((toNumber(perf.popRate) / 100) * count),
+            count,
+            pumps: 0
+        };
+    });
+    return stats;
+}
+
+function buildAggregates(session) {
+    const totals = { l1: {}, l2: {}, l3: {} };
+    Object.values(session.students).forEach(student => {
+        if (student.l1) addStats(totals.l1, student.l1.stats);
+        if (student.l2 && Array.isArray(student.l2.pastStrategies) && student.l2.pastStrategies.length > 0) {
+            addStats(totals.l2, strategyRecordToStats(student.l2.pastStrategies[0]));
+        }
+        if (student.l3) addStats(totals.l3, student.l3.stats);
+    });
+    return {
+        studentCount: Object.keys(session.students).length,
+        l1: PopLogicEngine.summarizeStats(totals.l1),
+        l2: PopLogicEngine.summarizeStats(totals.l2),
+        l3: PopLogicEngine.summarizeStats(totals.l3)
+    };
+}
+
+/*
+    Total $ pumped per colour - what the game's global banner shows.
+    A session's bias (e.g. { red: 3 }) is applied before publishing so
+    the teacher can plant misleading data for the data-bias lesson.
+*/
+function buildGlobalTotals(sessionList, bias) {
+    const totals = {};
+    sessionList.forEach(session => {
+        const aggregates = buildAggregates(session);
+        ['l1', 'l2', 'l3'].forEach(level => {
+            Object.keys(aggregates[level].performance).forEach(color => {
+                const perf = aggregates[level].performance[color];
+                totals[color] = (totals[color] || 0) + perf.avgScore * perf.count;
+            });
+        });
+    });
+    Object.keys(totals).forEach(color => {
+        const multiplier = bias && bias[color] !== undefined ? bias[color] : 1;
+        totals[color] = Math.round(totals[color] * multiplier);
+    });
+    return totals;
+}
+
+function sanitizeBias(body) {
+    const bias = {};
+    Object.keys(body || {}).forEach(color => {
+        const multiplier = parseFloat(body[color]);
+        if (COLOR_KEY_PATTERN.test(color) && isFinite(multiplier) && multiplier >= 0 && multiplier <= 100) {
+            bias[color] = multiplier;
+        }
+    });
+    return bias;
+}
+
+// --- Student Results ---
+/*
+    Results are rebuilt from the fields the dashboard and the aggregates
+    read, so a hand-made request can't store markup or strings where the
+    teacher page expects numbers. Anything malformed rejects the whole
+    upload with a 400; the game simply tries again on its next sync.
+*/
+const STAT_FIELDS = ['score', 'pops', 'count', 'pumps'];
+const MAX_STRATEGY_RECORDS = 3;
+
+function readNumber(value, label) {
+    if (typeof value !== 'number' || !isFinite(value)) throw new Error(`${label} must be a number`);
+    return value;
+}
+
+function readObject(value, label) {
+    if (!isPlainObject(value)) throw new Error(`${label} must be an object`);
+    return value;
+}
+
+// { color: { ...fields } } with colour keys the dashboard can show as they are
+function readPerColor(value, label, fields) {
+    const result = {};
+    Object.entries(readObject(value, label)).forEach(([color, entry]) => {
+        if (!COLOR_KEY_PATTERN.test(color)) throw new Error(`${label} has an invalid colour "${color.slice(0, 20)}"`);
+        readObject(entry, `${label}.${color}`);
+        result[color] = {};
+        fields.forEach(field => { result[color][field] = readNumber(entry[field], `${label}.${color}.${field}`); });
+    });
+    return result;
+}
+
+function readStrategyRecord(record, label) {
+    readObject(record, label);
+    return {
+        timestamp: readNumber(record.timestamp, `${label}.timestamp`),
+        performance: readPerColor(record.performance, `${label}.performance`, ['avgScore', 'popRate', 'count']),
+        overallPopRate: readNumber(record.overallPopRate, `${label}.overallPopRate`),
+        overallAvgScore: readNumber(record.overallAvgScore, `${label}.overallAvgScore`),
+        totalProcessed: readNumber(record.totalProcessed, `${label}.totalProcessed`)
+    };
+}
+
+function readStudentResults(body) {
+    const level = (name, read) => (body[name] ? read(readObject(body[name], name)) : null);
+    return {
+        l1: level('l1', l1 => ({
+            stats: readPerColor(l1.stats, 'l1.stats', STAT_FIELDS),
+            bestScore: readNumber(l1.bestScore, 'l1.bestScore'),
+            balloonIndex: readNumber(l1.balloonIndex, 'l1.balloonIndex')
+        })),
+        l2: level('l2', l2 => {
+            if (!Array.isArray(l2.pastStrategies)) throw new Error('l2.pastStrategies must be a list');
+            return { pastStrategies: l2.pastStrategies.slice(0, MAX_STRATEGY_RECORDS).map((record, i) => readStrategyRecord(record, `l2.pastStrategies[${i}]`)) };
+        }),
+        l3: level('l3', l3 => ({
+            stats: readPerColor(l3.stats, 'l3.stats', STAT_FIELDS),
+            totalScore: readNumber(l3.totalScore, 'l3.totalScore'),
+            processedCount: readNumber(l3.processedCount, 'l3.processedCount')
+        }))
+    };
+}
+
+// --- HTTP Helpers ---
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (err) {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function serveStatic(req, res, pathname) {
+    let decodedPath;
+    try {
+        decodedPath = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (err) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.normalize(path.join(ROOT_DIR, decodedPath.replace(/^\/+/, '')));
+    const isOutsideRoot = !filePath.startsWith(ROOT_DIR + path.sep);
+    // Checked after normalising, so encoded slashes and ../ can't reach a private file
+    const relativePath = path.relative(ROOT_DIR, filePath).split(path.sep).join('/');
+    const isPrivate = PRIVATE_PATHS.some(p => relativePath === p || relativePath.startsWith(p + '/'));
+    if (isOutsideRoot || isPrivate) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+// --- API Routes ---
+async function handleApi(req, res, parts) {
+    // parts: ['api', 'sessions', code?, 'results'?]
+    const code = parts[2] ? parts[2].toUpperCase() : null;
+
+    if (req.method === 'POST' && parts.length === 2) {
+        const body = await readJsonBody(req);
+        const newCode = generateSessionCode();
+        // Only the dashboard that created the session holds this key, so students can't change its bias
+        const teacherKey = crypto.randomBytes(16).toString('hex');
+        sessions[newCode] = {
+            code: newCode,
+            name: String(body.name || '').slice(0, 80),
+            createdAt: Date.now(),
+            teacherKey,
+            bias: {},
+            students: {}
+        };
+        persistSessions();
+        return sendJson(res, 201, { code: newCode, teacherKey });
+    }
+
+    const session = code ? sessions[code] : null;
+    if (!session) return sendJson(res, 404, { error: 'Unknown session code' });
+
+    if (req.method === 'GET' && parts.length === 3) {
+        return sendJson(res, 200, {
+            code: session.code,
+            name: session.name,
+            createdAt: session.createdAt,
+            studentCount: Object.keys(session.students).length
+        });
+    }
+
+    if (parts[3] === 'bias' && req.method === 'POST') {
+        if (!session.teacherKey || req.headers['x-teacher-key'] !== session.teacherKey) {
+            return sendJson(res, 403, { error: 'Only the teacher who created this session can change its bias' });
+        }
+        session.bias = sanitizeBias(await readJsonBody(req));
+        persistSessions();
+        return sendJson(res, 200, { bias: session.bias });
+    }
+
+    if (parts[3] === 'results' && req.method === 'POST') {
+        const body = await readJsonBody(req);
+        if (!body.studentId || !body.name) return sendJson(res, 400, { error: 'studentId and name are required' });
+        const results = readStudentResults(body);
+        const studentId = String(body.studentId).slice(0, 40);
+        session.students[studentId] = {
+            studentId,
+            name: String(body.name).slice(0, 40),
+            updatedAt: Date.now(),
+            ...results
+        };
+        persistSessions();
+        return sendJson(res, 200, { ok: true });
+    }
+
+    if (parts[3] === 'results' && req.method === 'GET') {
+        return sendJson(res, 200, {
+            code: session.code,
+            name: session.name,
+            bias: session.bias || {},
+            students: Object.values(session.students).sort((a, b) => a.name.localeCompare(b.name)),
+            aggregates: buildAggregates(session),
+            globalTotals: {
+                raw: buildGlobalTotals([session], {}),
+                published: buildGlobalTotals([session], session.bias)
+            }
+        });
+    }
+
+    return sendJson(res, 404, { error: 'Not found' });
+}
+
+const server = http.createServer(async (req, res) => {
+    // Students may load the game from another host on the LAN
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Teacher-Key');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const parts = pathname.split('/').filter(Boolean);
+    if (parts[0] === 'api') {
+        try {
+            if (parts[1] === 'global' && req.method === 'GET') {
+                const code = (searchParams.get('session') || '').toUpperCase();
+                if (code && !sessions[code]) return sendJson(res, 404, { error: 'Unknown session code' });
+                const totals = code
+                    ? buildGlobalTotals([sessions[code]], sessions[code].bias)
+                    : buildGlobalTotals(Object.values(sessions), {});
+                return sendJson(res, 200, { totals });
+            }
+            if (parts[1] === 'sessions') return await handleApi(req, res, parts);
+            sendJson(res, 404, { error: 'Not found' });
+        } catch (err) {
+            sendJson(res, 400, { error: err.message });
+        }
+        return;
+    }
+    serveStatic(req, res, pathname);
+});
+
+if (require.main === module) {
+    server.listen(PORT, '0.0.0.0', () => {
+        console.log(`PopLogic class server running on port ${PORT}`);
+        Object.values(os.networkInterfaces()).flat()
+            .filter(net => net && net.family === 'IPv4' && !net.internal)
+            .forEach(net => console.log(`  Students can join at http://${net.address}:${PORT}/`));
+        console.log(`  Teacher dashboard: http://localhost:${PORT}/teacher.html`);
+    });
+}
+
+module.exports = { server, buildAggregates, buildGlobalTotals };
@@ -0,0 +1,110 @@
+/* ===========================================
+    POP LOGIC - OFFLINE SERVICE WORKER
+    ===========================================
+
+    Caches the app shell so the game installs as an app and keeps
+    running when the school Wi-Fi drops or blocks CDNs. Progress lives
+    in localStorage, so saving works offline without any help from here.
+
+    Strategies:
+    ===========
+    App shell (HTML, scripts, styles, vendor/, icons)
+        -> cache first. Bump CACHE_VERSION when any of them change; the
+           new worker takes over once every open tab has been closed.
+    Content (data/, packs/, locales/)
+        -> network first, falling back to the cache, so a teacher's
+           edited pack or catalogue shows up whenever the network is there.
+    Class server API (/api/...) and other origins
+        -> never cached; the game already handles the server being away.
+*/
+const CACHE_VERSION = 'poplogic-v9';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'teacher.html',
+    'script.js',
+    'engine.js',
+    'teacher.js',
+    'main.css',
+    'animations.css',
+    'components.css',
+    'inline-styles.css',
+    'favicon.ico',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/tailwind.css',
+    'vendor/chart.umd.min.js',
+    'vendor/fonts/poppins.css',
+    'vendor/fonts/poppins-latin-400-normal.woff2',
+    'vendor/fonts/poppins-latin-500-normal.woff2',
+    'vendor/fonts/poppins-latin-600-normal.woff2',
+    'vendor/fonts/poppins-latin-700-normal.woff2',
+    'vendor/fonts/poppins-latin-900-normal.woff2'
+];
+
+// Fetched with the shell so every level pack, language and quiz works offline
+const CONTENT = [
+    'data/global-yields.json',
+    'data/recorded-yields.json',
+    'data/quiz-questions.json',
+    'packs/index.json',
+    'packs/two-colours.json',
+    'packs/noisy-green.json',
+    'packs/adversarial-purple.json',
+    'locales/index.json',
+    'locales/es.json'
+];
+const CONTENT_PATHS = ['/data/', '/packs/', '/locales/'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll([...APP_SHELL, ...CONTENT])));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    if (CONTENT_PATHS.some(prefix => url.pathname.includes(prefix))) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// ?seed=, ?pack= and ?lang= links all open the one cached index.html
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_VERSION);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_VERSION);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw err;
+    }
+}
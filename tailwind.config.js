@@ -0,0 +1,29 @@
+/* ===========================================
+    TAILWIND BUILD - PRECOMPILED vendor/tailwind.css
+    ===========================================
+    The game ships a precompiled Tailwind stylesheet instead of the
+    Play CDN so it works offline and on school networks that block CDNs.
+    After adding or changing Tailwind classes, rebuild it with:
+
+        npx tailwindcss@3.4.17 -c tailwind.config.js -o vendor/tailwind.css --minify
+
+    Balloon colours are assembled at runtime (`bg-${config.color}`) from
+    BALLOON_CONFIG and level packs, so the scanner never sees them; the
+    safelist keeps every palette colour a pack can pick.
+*/
+const BALLOON_PALETTE = 'slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose';
+
+module.exports = {
+    content: [
+        './index.html',
+        './teacher.html',
+        './script.js',
+        './teacher.js',
+        './locales/*.json',
+        './packs/*.json',
+        './data/*.json'
+    ],
+    safelist: [
+        { pattern: new RegExp(`^(bg|text)-(${BALLOON_PALETTE})-(300|400|500|600)$`) }
+    ]
+};
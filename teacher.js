@@ -0,0 +1,233 @@
+/* ===========================================
+    POP LOGIC - TEACHER DASHBOARD
+    ===========================================
+
+    Creates class session codes on the results server (server.js) and
+    polls it for every student's results. Shows a per-student table and
+    class-wide aggregates per balloon colour so the teacher can discuss
+    patterns (e.g. "most of you popped yellow - why?") with the class.
+*/
+
+// --- DOM Elements ---
+const sessionNameInput = document.getElementById('session-name-input');
+const sessionCodeInput = document.getElementById('session-code-input');
+const createSessionBtn = document.getElementById('create-session-btn');
+const openSessionBtn = document.getElementById('open-session-btn');
+const dashboardStatus = document.getElementById('dashboard-status');
+const sessionView = document.getElementById('session-view');
+
+const POLL_INTERVAL_MS = 4000;
+// Keys for the sessions this browser created - the server only takes bias changes with one
+const TEACHER_KEYS_STORAGE = 'popLogicTeacherKeys';
+// Classic colours keep their usual order; extra balloon types from level packs follow
+const CLASSIC_COLOR_ORDER = ['red', 'blue', 'green', 'yellow'];
+// Colour keys end up in class names and attributes, so only the server's own rule gets through
+const COLOR_KEY_PATTERN = /^[a-z]{1,20}$/;
+
+// The dashboard is normally served by the results server itself,
+// but ?server=http://host:port points it at another machine
+const serverUrl = new URLSearchParams(window.location.search).get('server') || window.location.origin;
+
+let activeSessionCode = null;
+let pollTimer = null;
+
+// --- Utility Functions ---
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Student results are always shown through these, so only ever a number reaches the page
+function toNumber(value) {
+    const number = Number(value);
+    return isFinite(number) ? number : 0;
+}
+
+function formatPercent(value) {
+    return `${toNumber(value).toFixed(0)}%`;
+}
+
+function formatMoney(value) {
+    return `$${toNumber(value).toFixed(1)}`;
+}
+
+function formatDollars(value) {
+    return `$${Math.round(toNumber(value)).toLocaleString()}`;
+}
+
+function formatCount(value) {
+    return Math.round(toNumber(value)).toLocaleString();
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function getColorOrder(data) {
+    const colors = new Set(CLASSIC_COLOR_ORDER);
+    ['l1', 'l2', 'l3'].forEach(level => Object.keys(data.aggregates[level].performance).forEach(color => colors.add(color)));
+    Object.keys(data.globalTotals.raw).forEach(color => colors.add(color));
+    Object.keys(data.bias).forEach(color => colors.add(color));
+    return [...colors].filter(color => COLOR_KEY_PATTERN.test(color));
+}
+
+function getTeacherKeys() {
+    try {
+        return JSON.parse(localStorage.getItem(TEACHER_KEYS_STORAGE)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+function saveTeacherKey(code, key) {
+    localStorage.setItem(TEACHER_KEYS_STORAGE, JSON.stringify({ ...getTeacherKeys(), [code]: key }));
+}
+
+function setStatus(text) {
+    dashboardStatus.textContent = text;
+}
+
+async function apiRequest(path, options = {}) {
+    const teacherKey = activeSessionCode && getTeacherKeys()[activeSessionCode];
+    const response = await fetch(`${serverUrl}/api/sessions${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(teacherKey ? { 'X-Teacher-Key': teacherKey } : {}) }
+    });
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || `Request failed (${response.status})`);
+    return body;
+}
+
+// --- Session Management ---
+async function createSession() {
+    try {
+        const { code, teacherKey } = await apiRequest('', { method: 'POST', body: JSON.stringify({ name: sessionNameInput.value.trim() }) });
+        saveTeacherKey(code, teacherKey);
+        openSession(code);
+    } catch (err) {
+        setStatus(`Could not create a session: ${err.message}. Is server.js running?`);
+    }
+}
+
+function openSession(code) {
+    activeSessionCode = code.trim().toUpperCase();
+    if (!activeSessionCode) return;
+    clearInterval(pollTimer);
+    history.replaceState(null, '', `?session=${activeSessionCode}${serverUrl !== window.location.origin ? `&server=${encodeURIComponent(serverUrl)}` : ''}`);
+    refreshResults();
+    pollTimer = setInterval(refreshResults, POLL_INTERVAL_MS);
+}
+
+async function refreshResults() {
+    try {
+        const data = await apiRequest(`/${activeSessionCode}/results`);
+        setStatus('');
+        renderSession(data);
+    } catch (err) {
+        setStatus(`Session ${activeSessionCode}: ${err.message}`);
+    }
+}
+
+// --- Rendering ---
+function renderSession(data) {
+    sessionView.classList.remove('hidden');
+    document.getElementById('session-code-display').textContent = data.code;
+    document.getElementById('session-name-display').textContent = data.name || '';
+    document.getElementById('student-count').textContent = data.students.length;
+    const colors = getColorOrder(data);
+    renderAggregates(data.aggregates, colors);
+    renderBias(data.bias, data.globalTotals, colors);
+    renderStudents(data.students);
+}
+
+function renderBias(bias, globalTotals, colorOrder) {
+    const tbody = document.getElementById('bias-rows');
+    // Don't redraw the inputs while the teacher is typing into them
+    if (tbody.contains(document.activeElement)) return;
+    tbody.innerHTML = colorOrder.map(color => `
+        <tr class="border-b border-indigo-700/50">
+            <td class="py-2 font-bold text-${color}-400">${capitalize(color)}</td>
+            <td class="py-2 text-right"><input type="number" min="0" max="100" step="0.1" data-color="${color}" value="${bias[color] !== undefined ? bias[color] : 1}" class="bias-input w-20 bg-indigo-900/60 border border-indigo-600 rounded px-2 py-1 text-right font-mono text-white"></td>
+            <td class="py-2 text-right font-mono">$${(globalTotals.raw[color] || 0).toLocaleString()}</td>
+            <td class="py-2 text-right font-mono ${bias[color] !== undefined && bias[color] !== 1 ? 'text-amber-400 font-bold' : ''}">$${(globalTotals.published[color] || 0).toLocaleString()}</td>
+        </tr>
+    `).join('');
+}
+
+async function publishBias(bias) {
+    try {
+        await apiRequest(`/${activeSessionCode}/bias`, { method: 'POST', body: JSON.stringify(bias) });
+        document.activeElement.blur();
+        refreshResults();
+    } catch (err) {
+        setStatus(`Could not update the bias: ${err.message}`);
+    }
+}
+
+function collectBiasInputs() {
+    const bias = {};
+    document.querySelectorAll('.bias-input').forEach(input => {
+        const multiplier = parseFloat(input.value);
+        if (!isNaN(multiplier) && multiplier !== 1) bias[input.dataset.color] = multiplier;
+    });
+    return bias;
+}
+
+function renderAggregates(aggregates, colorOrder) {
+    const colors = colorOrder.filter(color =>
+        ['l1', 'l2', 'l3'].some(level => aggregates[level].performance[color]));
+    const cell = (level, color, key, format) => {
+        const perf = aggregates[level].performance[color];
+        return perf && perf.count > 0 ? format(perf[key]) : '–';
+    };
+    document.getElementById('aggregate-rows').innerHTML = colors.length === 0
+        ? `<tr><td colspan="8" class="py-4 text-center text-indigo-400">No results yet</td></tr>`
+        : colors.map(color => `
+            <tr class="border-b border-indigo-700/50">
+                <td class="py-2 font-bold text-${color}-400">${capitalize(color)}</td>
+                <td class="py-2 text-right font-mono">${aggregates.l1.performance[color] ? aggregates.l1.performance[color].count : 0}</td>
+                <td class="py-2 text-right font-mono">${cell('l1', color, 'avgScore', formatMoney)}</td>
+                <td class="py-2 text-right font-mono">${cell('l1', color, 'popRate', formatPercent)}</td>
+                <td class="py-2 text-right font-mono">${cell('l2', color, 'avgScore', formatMoney)}</td>
+                <td class="py-2 text-right font-mono">${cell('l2', color, 'popRate', formatPercent)}</td>
+                <td class="py-2 text-right font-mono">${cell('l3', color, 'avgScore', formatMoney)}</td>
+                <td class="py-2 text-right font-mono">${cell('l3', color, 'popRate', formatPercent)}</td>
+            </tr>
+        `).join('');
+}
+
+function renderStudents(students) {
+    document.getElementById('student-rows').innerHTML = students.length === 0
+        ? `<tr><td colspan="9" class="py-4 text-center text-indigo-400">Waiting for students to join…</td></tr>`
+        : students.map(student => {
+            const l1Earned = student.l1 ? Object.values(student.l1.stats || {}).reduce((sum, s) => sum + toNumber(s && s.score), 0) : null;
+            const strategies = (student.l2 && Array.isArray(student.l2.pastStrategies)) ? student.l2.pastStrategies : [];
+            const latest = strategies[0];
+            const secondsAgo = Math.round((Date.now() - toNumber(student.updatedAt)) / 1000);
+            return `
+                <tr class="border-b border-indigo-700/50">
+                    <td class="py-2 font-bold">${escapeHtml(student.name)}</td>
+                    <td class="py-2 text-right font-mono">${l1Earned === null ? '–' : formatDollars(l1Earned)}</td>
+                    <td class="py-2 text-right font-mono">${student.l1 ? formatDollars(student.l1.bestScore) : '–'}</td>
+                    <td class="py-2 text-right font-mono">${strategies.length}</td>
+                    <td class="py-2 text-right font-mono">${latest ? formatDollars(toNumber(latest.overallAvgScore) * toNumber(latest.totalProcessed)) : '–'}</td>
+                    <td class="py-2 text-right font-mono">${latest ? formatPercent(latest.overallPopRate) : '–'}</td>
+                    <td class="py-2 text-right font-mono">${student.l3 ? formatDollars(student.l3.totalScore) : '–'}</td>
+                    <td class="py-2 text-right font-mono">${student.l3 ? formatCount(student.l3.processedCount) : '–'}</td>
+                    <td class="py-2 text-right text-indigo-300">${secondsAgo < 60 ? `${secondsAgo}s ago` : `${Math.round(secondsAgo / 60)}m ago`}</td>
+                </tr>
+            `;
+        }).join('');
+}
+
+// --- Event Listeners ---
+createSessionBtn.addEventListener('click', createSession);
+openSessionBtn.addEventListener('click', () => openSession(sessionCodeInput.value));
+document.getElementById('save-bias-btn').addEventListener('click', () => publishBias(collectBiasInputs()));
+document.getElementById('clear-bias-btn').addEventListener('click', () => publishBias({}));
+sessionCodeInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') openSession(sessionCodeInput.value);
+});
+
+// Re-open the session after a page refresh
+const initialSession = new URLSearchParams(window.location.search).get('session');
+if (initialSession) openSession(initialSession);